@@ -1,22 +1,14 @@
 require('dotenv').config();
-const { Telegraf, Markup, session } = require('telegraf');
-const admin = require('firebase-admin');
-
-// Initialize Firebase
-const serviceAccount = {
-  type: "service_account",
-  project_id: process.env.FIREBASE_PROJECT_ID,
-  private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-  client_email: process.env.FIREBASE_CLIENT_EMAIL,
-};
-
-if (!admin.apps.length) {
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-  });
-}
-
-const db = admin.firestore();
+const crypto = require('crypto');
+const { Telegraf, Markup, Scenes, session } = require('telegraf');
+const { createStorage } = require('../lib/storage');
+const { ACTIONS, DETECTORS, withDefaults, compileRule, screenText } = require('../lib/moderation');
+const { normalizeTag, searchFields, parseQuery, matchesQuery } = require('../lib/search');
+const { MUTE_SCOPES, escalationFor, activeRestriction, hasActiveRestriction, restrictionChanges } = require('../lib/sanctions');
+
+// Initialize storage (Firestore in production, STORAGE_BACKEND=memory for offline runs)
+const storage = createStorage();
+const { repos } = storage;
 const bot = new Telegraf(process.env.BOT_TOKEN);
 
 // Global variables (will be reset on restart, but we'll use Firestore as source of truth)
@@ -26,23 +18,14 @@ let confessionCounter = 0; // This will be updated from Firestore
 async function initializeCounter() {
   try {
     // Get the system counters document
-    const counterDoc = await db.collection('system').doc('counters').get();
+    const counters = await repos.counters.get();
     
-    if (!counterDoc.exists) {
+    if (!counters) {
       // Initialize if doesn't exist
-      const snapshot = await db.collection('confessions')
-        .where('status', '==', 'approved')
-        .orderBy('confessionNumber', 'desc')
-        .limit(1)
-        .get();
-      
-      let maxConfession = 0;
-      if (!snapshot.empty) {
-        maxConfession = snapshot.docs[0].data().confessionNumber || 0;
-      }
+      const maxConfession = await repos.confessions.getHighestNumber();
       
       // Set initial counter
-      await db.collection('system').doc('counters').set({
+      await repos.counters.set({
         confessionNumber: maxConfession,
         lastAssigned: new Date().toISOString(),
         initialized: new Date().toISOString()
@@ -51,24 +34,14 @@ async function initializeCounter() {
       confessionCounter = maxConfession;
       console.log(`Initialized confession counter: ${confessionCounter}`);
     } else {
-      const data = counterDoc.data();
-      confessionCounter = data.confessionNumber || 0;
+      confessionCounter = counters.confessionNumber || 0;
       console.log(`Loaded confession counter from Firestore: ${confessionCounter}`);
     }
   } catch (error) {
     console.error('Counter init error:', error);
     // Fallback: try to get from confessions
     try {
-      const snapshot = await db.collection('confessions')
-        .where('status', '==', 'approved')
-        .orderBy('confessionNumber', 'desc')
-        .limit(1)
-        .get();
-      
-      if (!snapshot.empty) {
-        const latest = snapshot.docs[0].data();
-        confessionCounter = latest.confessionNumber || 0;
-      }
+      confessionCounter = await repos.confessions.getHighestNumber();
     } catch (fallbackError) {
       console.error('Fallback counter init also failed:', fallbackError);
       confessionCounter = 0;
@@ -76,50 +49,9 @@ async function initializeCounter() {
   }
 }
 
-// Get next confession number using Firestore transaction (atomic operation)
-async function getNextConfessionNumber() {
-  const counterRef = db.collection('system').doc('counters');
-  
-  try {
-    const result = await db.runTransaction(async (transaction) => {
-      const doc = await transaction.get(counterRef);
-      
-      if (!doc.exists) {
-        // Initialize if doesn't exist
-        transaction.set(counterRef, {
-          confessionNumber: 1,
-          lastAssigned: new Date().toISOString()
-        });
-        return 1;
-      }
-      
-      const current = doc.data().confessionNumber;
-      const next = current + 1;
-      
-      transaction.update(counterRef, {
-        confessionNumber: next,
-        lastAssigned: new Date().toISOString()
-      });
-      
-      return next;
-    });
-    
-    return result;
-  } catch (error) {
-    console.error('Transaction failed: ', error);
-    throw error;
-  }
-}
-
 // Persistent cooldown system using Firestore - FIXED: Removed memory Map
 async function checkCooldown(userId, action = 'confession', cooldownMs = 60000) {
-  const cooldownRef = db.collection('user_cooldowns').doc(userId.toString());
-  const doc = await cooldownRef.get();
-  
-  if (!doc.exists) return true; // No cooldown record, allowed
-  
-  const data = doc.data();
-  const lastAction = data[action];
+  const lastAction = await repos.cooldowns.getLastAction(userId, action);
   
   if (!lastAction) return true; // No action recorded for this type, allowed
   
@@ -127,22 +59,12 @@ async function checkCooldown(userId, action = 'confession', cooldownMs = 60000)
 }
 
 async function setCooldown(userId, action = 'confession') {
-  const cooldownRef = db.collection('user_cooldowns').doc(userId.toString());
-  await cooldownRef.set({
-    [action]: Date.now(),
-    updatedAt: new Date().toISOString()
-  }, { merge: true });
+  await repos.cooldowns.set(userId, action);
 }
 
 // Comment rate limiting
 async function checkCommentRateLimit(userId, windowMs = 30000, maxComments = 3) { // 30 seconds, 3 comments
-  const rateLimitRef = db.collection('user_rate_limits').doc(userId.toString());
-  const doc = await rateLimitRef.get();
-  
-  if (!doc.exists) return true; // No rate limit record, allowed
-  
-  const data = doc.data();
-  const recentComments = data.commentTimestamps || [];
+  const recentComments = await repos.rateLimits.getCommentTimestamps(userId);
   
   // Filter timestamps within the window
   const now = Date.now();
@@ -152,38 +74,12 @@ async function checkCommentRateLimit(userId, windowMs = 30000, maxComments = 3)
 }
 
 async function recordComment(userId) {
-  const rateLimitRef = db.collection('user_rate_limits').doc(userId.toString());
-  const now = Date.now();
-  
-  await db.runTransaction(async (transaction) => {
-    const doc = await transaction.get(rateLimitRef);
-    
-    if (!doc.exists) {
-      transaction.set(rateLimitRef, {
-        commentTimestamps: [now],
-        updatedAt: new Date().toISOString()
-      });
-    } else {
-      transaction.update(rateLimitRef, {
-        commentTimestamps: admin.firestore.FieldValue.arrayUnion(now),
-        updatedAt: new Date().toISOString()
-      });
-    }
-  });
+  await repos.rateLimits.recordComment(userId);
   
   // Clean up old timestamps (optional cleanup)
   setTimeout(async () => {
     try {
-      const doc = await rateLimitRef.get();
-      if (doc.exists) {
-        const data = doc.data();
-        const now = Date.now();
-        const recent = data.commentTimestamps.filter(ts => (now - ts) <= 30000); // 30 second window
-        
-        await rateLimitRef.update({
-          commentTimestamps: recent
-        });
-      }
+      await repos.rateLimits.pruneComments(userId, 30000); // 30 second window
     } catch (error) {
       console.error('Cleanup error:', error);
     }
@@ -191,21 +87,261 @@ async function recordComment(userId) {
 }
 
 // Initialize session and counter
-bot.use(session());
+// Sessions live in the `sessions` collection so multi-step flows survive
+// cold starts and work across serverless instances
+const SESSION_TTL_MS = (parseInt(process.env.SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+bot.use(session({
+  store: {
+    get: (key) => repos.sessions.get(key),
+    set: (key, value) => repos.sessions.set(key, value, SESSION_TTL_MS),
+    delete: (key) => repos.sessions.delete(key)
+  }
+}));
 bot.use(async (ctx, next) => {
   ctx.session = ctx.session || {};
   await next();
 });
 
+// Remember when each user last used the bot (for broadcast audiences), at
+// most once an hour so it doesn't cost a write per update
+const ACTIVITY_STAMP_INTERVAL_MS = 60 * 60 * 1000;
+
+bot.use(async (ctx, next) => {
+  await next();
+  
+  if (ctx.chat?.type !== 'private' || Date.now() - (ctx.session.lastActiveStamp || 0) < ACTIVITY_STAMP_INTERVAL_MS) return;
+  
+  try {
+    await repos.users.update(ctx.from.id, { lastActiveAt: new Date().toISOString() });
+    ctx.session.lastActiveStamp = Date.now();
+  } catch (error) {
+    // No profile yet, nothing to stamp
+  }
+});
+
+// ==================== CONVERSATION SCENES ====================
+// Every multi-step flow is a scene, so only one can be active at a time and
+// an abandoned flow expires instead of catching the user's next message
+const CONFESSION_SCENE = 'confession';
+const COMMENT_SCENE = 'comment';
+const COMMENT_EDIT_SCENE = 'comment_edit';
+const REJECTION_SCENE = 'rejection';
+const BROADCAST_SCENE = 'broadcast';
+const ADMIN_MESSAGE_SCENE = 'admin_message';
+const PROFILE_EDIT_SCENE = 'profile_edit';
+const BLOCK_SCENE = 'block_user';
+const SEARCH_SCENE = 'search';
+const QUIET_HOURS_SCENE = 'quiet_hours';
+const USER_SEARCH_SCENE = 'user_search';
+const WARN_SCENE = 'warn_user';
+const SANCTION_SCENE = 'sanction';
+const APPEAL_SCENE = 'appeal';
+const APPEAL_DECISION_SCENE = 'appeal_decision';
+
+const SCENE_TTL_SECONDS = (parseInt(process.env.FLOW_TIMEOUT_MINUTES) || 15) * 60;
+
+const MAIN_MENU_LAYOUT = [
+  ['📝 Send Confession', '👤 My Profile'],
+  ['🔥 Trending', '🎯 Daily Check-in'],
+  ['🏷️ Hashtags', '🏆 Achievements'],
+  ['⚙️ Settings', 'ℹ️ About Us'],
+  ['🔍 Browse Users', '📌 Rules'],
+  ['🔎 Search']
+];
+
+// Menu buttons and commands are navigation, never input for a flow
+function isNavigationText(text) {
+  return text.startsWith('/') || MAIN_MENU_LAYOUT.flat().includes(text);
+}
+
+function createFlowScene(id, handleText) {
+  const scene = new Scenes.BaseScene(id, { ttl: SCENE_TTL_SECONDS });
+  
+  scene.on('text', async (ctx, next) => {
+    // Navigating away abandons the flow and lets the regular handlers run
+    if (isNavigationText(ctx.message.text)) {
+      await ctx.scene.leave();
+      return next();
+    }
+    
+    await handleText(ctx, ctx.message.text);
+  });
+  
+  return scene;
+}
+
+const confessionScene = createFlowScene(CONFESSION_SCENE, (ctx, text) => handleConfession(ctx, text));
+confessionScene.on(['photo', 'video', 'voice', 'document', 'sticker'], async (ctx) => {
+  await handleConfession(ctx, ctx.message.caption || '', extractMedia(ctx.message));
+});
+
+const broadcastScene = createFlowScene(BROADCAST_SCENE, (ctx, text) => handleBroadcastInput(ctx, text));
+broadcastScene.on('photo', async (ctx) => {
+  await handleBroadcastInput(ctx, ctx.message.caption || '', extractMedia(ctx.message));
+});
+
+const rejectionScene = createFlowScene(REJECTION_SCENE, (ctx, text) => handleRejection(ctx, text));
+// Abandoning a rejection hands the confession back to the other admins
+rejectionScene.leave(async (ctx) => releaseReviewClaim(ctx, ctx.scene.state.confessionId));
+
+const stage = new Scenes.Stage([
+  confessionScene,
+  createFlowScene(COMMENT_SCENE, (ctx, text) => addComment(ctx, text)),
+  createFlowScene(COMMENT_EDIT_SCENE, (ctx, text) => handleCommentEdit(ctx, text)),
+  rejectionScene,
+  broadcastScene,
+  createFlowScene(ADMIN_MESSAGE_SCENE, (ctx, text) => handleAdminMessage(ctx, text)),
+  createFlowScene(PROFILE_EDIT_SCENE, (ctx, text) => handleProfileEdit(ctx, text)),
+  createFlowScene(BLOCK_SCENE, (ctx, text) => handleBlockStatus(ctx, text)),
+  createFlowScene(SEARCH_SCENE, (ctx, text) => handleSearch(ctx, text)),
+  createFlowScene(QUIET_HOURS_SCENE, (ctx, text) => handleQuietHours(ctx, text)),
+  createFlowScene(USER_SEARCH_SCENE, (ctx, text) => handleUserSearch(ctx, text)),
+  createFlowScene(WARN_SCENE, (ctx, text) => handleWarnReason(ctx, text)),
+  createFlowScene(SANCTION_SCENE, (ctx, text) => handleSanctionReason(ctx, text)),
+  createFlowScene(APPEAL_SCENE, (ctx, text) => handleAppealMessage(ctx, text)),
+  createFlowScene(APPEAL_DECISION_SCENE, (ctx, text) => handleAppealDenial(ctx, text))
+]);
+
+stage.command('cancel', async (ctx) => {
+  if (!ctx.scene.current) {
+    await ctx.reply('Nothing to cancel.');
+    return;
+  }
+  
+  await ctx.scene.leave();
+  await ctx.reply('❌ Cancelled. Use the menu below to continue.');
+});
+
+// Tell the user when a flow timed out instead of silently dropping their message
+bot.use(async (ctx, next) => {
+  const flow = ctx.session.__scenes;
+  
+  if (flow?.current && flow.expires !== undefined && flow.expires < Math.floor(Date.now() / 1000)) {
+    delete ctx.session.__scenes;
+    const text = ctx.message?.text;
+    
+    if (ctx.chat?.type === 'private' && text && !isNavigationText(text)) {
+      await ctx.reply('⌛ Your previous action timed out. Please start again from the menu.');
+      return;
+    }
+  }
+  
+  await next();
+});
+
+// Bans and mutes are enforced here, before any scene or handler sees the
+// update: a banned user can't use the bot at all, a muted one can't start or
+// continue writing what they're muted from. Staff are never held back
+bot.use(async (ctx, next) => {
+  if (!ctx.from) return next();
+  
+  const profile = await repos.users.get(ctx.from.id);
+  if (!profile || !hasActiveRestriction(profile)) return next();
+  if (await isStaff(ctx.from.id)) return next();
+  
+  // Appealing is the one thing a banned user can still do
+  const ban = activeRestriction(profile, 'ban');
+  if (ban && !isAppealUpdate(ctx)) {
+    await refuseRestricted(ctx, banNotice(ban), {
+      reply_markup: Markup.inlineKeyboard([[appealButton('ban')]]).reply_markup
+    });
+    return;
+  }
+  if (ban) return next();
+  
+  const activity = restrictedActivity(ctx);
+  const mute = activity && activeRestriction(profile, activity);
+  if (mute) {
+    delete ctx.session.__scenes;
+    await refuseRestricted(ctx, muteNotice(activity, mute));
+    return;
+  }
+  
+  await next();
+});
+
+bot.use(stage.middleware());
+
 // ==================== ADMIN VERIFICATION ====================
-function isAdmin(userId) {
+// Staff roles live in the roles collection; ADMIN_IDS only bootstraps the owners
+const PERMISSIONS = {
+  REVIEW_CONFESSIONS: 'review_confessions',
+  BLOCK_USERS: 'block_users',
+  BROADCAST: 'broadcast',
+  MESSAGE_USERS: 'message_users',
+  VIEW_STATS: 'view_stats',
+  VIEW_IDENTITIES: 'view_identities',
+  MODERATE_COMMENTS: 'moderate_comments',
+  VIEW_AUDIT_LOG: 'view_audit_log',
+  MANAGE_FILTER: 'manage_filter',
+  MANAGE_ROLES: 'manage_roles'
+};
+
+const ROLES = {
+  owner: { label: '👑 Owner', permissions: Object.values(PERMISSIONS) },
+  admin: {
+    label: '🛡️ Admin',
+    permissions: Object.values(PERMISSIONS).filter(permission => permission !== PERMISSIONS.MANAGE_ROLES)
+  },
+  moderator: {
+    label: '🔨 Moderator',
+    permissions: [
+      PERMISSIONS.REVIEW_CONFESSIONS, PERMISSIONS.MODERATE_COMMENTS,
+      PERMISSIONS.BLOCK_USERS, PERMISSIONS.VIEW_STATS
+    ]
+  },
+  support: {
+    label: '💬 Support',
+    permissions: [PERMISSIONS.MESSAGE_USERS, PERMISSIONS.VIEW_STATS]
+  }
+};
+
+function ownerIds() {
+  return process.env.ADMIN_IDS?.split(',').map(id => id.trim()).filter(Boolean) || [];
+}
+
+// The user's role name, or null for regular users
+async function getRole(userId) {
   // Validate input
   if (!userId || typeof userId !== 'number' && typeof userId !== 'string') {
-    return false;
+    return null;
+  }
+  
+  if (ownerIds().includes(userId.toString())) return 'owner';
+  
+  const assignment = await repos.roles.get(userId);
+  return assignment && ROLES[assignment.role] ? assignment.role : null;
+}
+
+async function hasPermission(userId, permission) {
+  const role = await getRole(userId);
+  return role !== null && ROLES[role].permissions.includes(permission);
+}
+
+// Anyone with a staff role, whatever their permissions
+async function isStaff(userId) {
+  return (await getRole(userId)) !== null;
+}
+
+// Everyone who should receive a permission's notifications (e.g. new confessions to review)
+async function staffWithPermission(permission) {
+  const assignments = await repos.roles.list();
+  const ids = new Set(ownerIds());
+  
+  for (const { userId, role } of assignments) {
+    if (ROLES[role]?.permissions.includes(permission)) ids.add(userId);
   }
   
-  const adminIds = process.env.ADMIN_IDS?.split(',').map(id => id.trim()) || [];
-  return adminIds.includes(userId.toString());
+  return [...ids];
+}
+
+// The admin behind an update, as recorded on reviews and in the audit log
+function actorOf(ctx) {
+  return {
+    id: ctx.from.id.toString(),
+    name: ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name
+  };
 }
 
 // ==================== INPUT SANITIZATION ====================
@@ -223,12 +359,15 @@ function sanitizeInput(text) {
   return sanitized;
 }
 
+// Escape user text for legacy Markdown messages
+function escapeMarkdown(text) {
+  return text.replace(/([_*`\[])/g, '\\$1');
+}
+
 // ==================== REPUTATION SYSTEM ====================
 async function updateReputation(userId, points) {
   try {
-    await db.collection('users').doc(userId.toString()).update({
-      reputation: admin.firestore.FieldValue.increment(points)
-    });
+    await repos.users.increment(userId, 'reputation', points);
   } catch (error) {
     console.error('Reputation update error:', error);
     // Log error but don't fail the operation
@@ -268,29 +407,179 @@ async function checkAchievements(userId) {
 
 async function awardAchievement(userId, achievementId, message) {
   try {
-    await db.collection('users').doc(userId.toString()).update({
-      achievements: admin.firestore.FieldValue.arrayUnion(achievementId),
-      achievementCount: admin.firestore.FieldValue.increment(1)
-    });
+    await repos.users.addAchievement(userId, achievementId);
     
     // Notify user about achievement
-    await bot.telegram.sendMessage(userId, `🎉 Achievement Unlocked!\n\n${message}`);
+    await notify(userId, 'achievements', `🎉 Achievement Unlocked!\n\n${message}`);
   } catch (error) {
     console.error('Achievement award error:', error);
   }
 }
 
 // ==================== HASHTAG SYSTEM ====================
+// Tags travel in callback data (`htag_<tag>_<page>`), which Telegram caps at
+// 64 bytes, so longer words aren't taken as hashtags
+const MAX_HASHTAG_LENGTH = 32;
+
 function extractHashtags(text) {
-  const hashtagRegex = /#[a-zA-Z0-9_]+/g;
+  const hashtagRegex = new RegExp(`#[a-zA-Z0-9_]{1,${MAX_HASHTAG_LENGTH}}(?![a-zA-Z0-9_])`, 'g');
   return text.match(hashtagRegex) || [];
 }
 
+// Lowercased tags of a confession (older confessions only have `hashtags`)
+function confessionTags(confession) {
+  return confession.tags || [...new Set((confession.hashtags || []).map(normalizeTag))];
+}
+
+// ==================== MEDIA CONFESSIONS ====================
+// Attachments a confession can carry; stickers can't have a caption so their
+// text is sent as a separate message
+const MEDIA_TYPES = {
+  photo: { label: '📷 Photo', method: 'sendPhoto', captioned: true },
+  video: { label: '🎬 Video', method: 'sendVideo', captioned: true },
+  voice: { label: '🎤 Voice note', method: 'sendVoice', captioned: true },
+  document: { label: '📎 Document', method: 'sendDocument', captioned: true },
+  sticker: { label: '🎭 Sticker', method: 'sendSticker', captioned: false }
+};
+
+// Telegram captions max out at 1024 characters, leave room for our headers
+const MAX_CAPTION_LENGTH = 900;
+
+function extractMedia(message) {
+  if (message.photo) {
+    // Telegram sends every size, the last one is the largest
+    return { type: 'photo', fileId: message.photo[message.photo.length - 1].file_id };
+  }
+  
+  for (const type of Object.keys(MEDIA_TYPES)) {
+    if (message[type]) return { type: type, fileId: message[type].file_id };
+  }
+  
+  return null;
+}
+
+// Short preview of a confession for lists
+function confessionSnippet(confession, length) {
+  const text = confession.text || '';
+  const snippet = `${text.substring(0, length)}${text.length > length ? '...' : ''}`;
+  
+  if (!confession.media) return snippet;
+  const label = `[${MEDIA_TYPES[confession.media.type].label}]`;
+  return snippet ? `${label} ${snippet}` : label;
+}
+
+// Send a confession (text or media) and return the message carrying `extra`
+async function sendConfessionMessage(chatId, confession, text, extra = {}) {
+  if (!confession.media) {
+    return bot.telegram.sendMessage(chatId, text, extra);
+  }
+  
+  const mediaType = MEDIA_TYPES[confession.media.type];
+  
+  if (mediaType.captioned) {
+    return bot.telegram[mediaType.method](chatId, confession.media.fileId, { caption: text, ...extra });
+  }
+  
+  await bot.telegram[mediaType.method](chatId, confession.media.fileId);
+  return bot.telegram.sendMessage(chatId, text, extra);
+}
+
+// Callback buttons can sit on text or media messages; only text can be edited in place
+async function editOrReply(ctx, text, extra = {}) {
+  if (ctx.callbackQuery?.message?.text !== undefined) {
+    await ctx.editMessageText(text, extra);
+  } else {
+    await ctx.reply(text, extra);
+  }
+}
+
+// ==================== LOCAL TIME ====================
+// Posting windows, quiet hours and digests use the bot's timezone (TIMEZONE)
+const BOT_TIMEZONE = process.env.TIMEZONE || 'UTC';
+const TIME_STEP_MS = 5 * 60 * 1000;
+
+function localHour(time) {
+  return parseInt(new Intl.DateTimeFormat('en-GB', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: BOT_TIMEZONE
+  }).format(new Date(time)));
+}
+
+// Whether `time` falls within local hours [start, end); the range may wrap
+// past midnight (22-7) and equal start and end means all day
+function inHourRange(start, end, time = Date.now()) {
+  if (start === end) return true;
+  
+  const hour = localHour(time);
+  return start < end
+    ? hour >= start && hour < end
+    : hour >= start || hour < end;
+}
+
+// The first time from `time` on, in 5-minute steps, for which `test` holds
+function nextTimeWhen(test, time = Date.now()) {
+  let next = time;
+  for (let steps = 0; steps < 2 * 24 * 12 && !test(next); steps++) next += TIME_STEP_MS;
+  return next;
+}
+
+// Calendar fields of a moment on the bot's clock
+function localDateParts(time) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: BOT_TIMEZONE,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(time);
+  
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, parseInt(part.value)]));
+}
+
+function timezoneOffsetMs(time) {
+  const { year, month, day, hour, minute, second } = localDateParts(time);
+  return Date.UTC(year, month - 1, day, hour, minute, second) - Math.floor(time / 1000) * 1000;
+}
+
+// "YYYY-MM-DD HH:MM", or "HH:MM" for the next time the clock shows it, read
+// on the bot's clock. Returns a timestamp, or null if it isn't a valid time
+function parseLocalTime(text, now = Date.now()) {
+  const match = text.trim().match(/^(?:(\d{4})-(\d{2})-(\d{2})\s+)?(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  
+  const today = localDateParts(now);
+  const [year, month, day] = match[1]
+    ? [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])]
+    : [today.year, today.month, today.day];
+  const [hour, minute] = [parseInt(match[4]), parseInt(match[5])];
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return null;
+  
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const time = wallClock - timezoneOffsetMs(wallClock);
+  
+  return !match[1] && time <= now ? time + 24 * 60 * 60 * 1000 : time;
+}
+
+function formatLocalTime(time) {
+  return new Date(time).toLocaleString('en-GB', {
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: BOT_TIMEZONE
+  });
+}
+
 // ==================== USER PROFILE MANAGEMENT ====================
 async function getUserProfile(userId) {
-  const userDoc = await db.collection('users').doc(userId.toString()).get();
+  const existingProfile = await repos.users.get(userId);
   
-  if (!userDoc.exists) {
+  if (!existingProfile) {
     // Create default profile
     const newProfile = {
       userId: userId,
@@ -311,1678 +600,4960 @@ async function getUserProfile(userId) {
         confessionApproved: true,
         newComment: true,
         newFollower: true,
-        newConfession: true
+        newConfession: true,
+        followedPosts: false,
+        hashtagPosts: true,
+        achievements: true
       },
+      quietHours: null,
+      digestMode: 'instant',
+      shareConfessionsWithFollowers: false,
       tags: []
     };
     
-    await db.collection('users').doc(userId.toString()).set(newProfile);
+    await repos.users.create(userId, newProfile);
     return newProfile;
   }
   
-  return userDoc.data();
+  return existingProfile;
 }
 
-// ==================== TRENDING SYSTEM ====================
-async function getTrendingConfessions(limit = 5) {
-  const confessionsSnapshot = await db.collection('confessions')
-    .where('status', '==', 'approved')
-    .orderBy('totalComments', 'desc')
-    .limit(limit)
-    .get();
-  
-  return confessionsSnapshot.docs.map(doc => doc.data());
+function accountStatus(profile) {
+  if (activeRestriction(profile, 'ban')) return '⛔ Banned';
+  if (MUTE_SCOPES.some(scope => activeRestriction(profile, scope))) return '🔇 Muted';
+  if (profile.isActive) return '✅ Active';
+  return '🚫 Blocked the bot';
 }
 
-// ==================== DAILY CHECKIN SYSTEM ====================
-bot.command('checkin', async (ctx) => {
-  const userId = ctx.from.id;
-  const profile = await getUserProfile(userId);
-  
-  if (!profile.isActive) {
-    await ctx.reply('❌ Your account has been blocked by admin.');
-    return;
+// ==================== NOTIFICATIONS ====================
+// Every message to a user goes through notify(). The types below follow the
+// user's preferences: each can be switched off, quiet hours hold messages
+// until they end, and daily digest mode replaces them with one summary a day.
+// Any other type (review results, warnings, staff and admin messages) is sent right away.
+const NOTIFICATION_TYPES = {
+  confessionApproved: { label: 'Confession posted', summary: 'of your confessions posted' },
+  newComment: { label: 'Comments & replies', summary: 'new comments and replies' },
+  newFollower: { label: 'New followers', summary: 'new followers' },
+  followedPosts: { label: 'Posts by people you follow', summary: 'post alerts from people you follow' },
+  hashtagPosts: { label: 'Subscribed hashtags', summary: 'new posts in your hashtags' },
+  achievements: { label: 'Achievements', summary: 'achievements unlocked' }
+};
+// What each type is set to until the user changes it (profiles from before a
+// type existed have no value stored); alerts about followed users are opt-in
+const NOTIFICATION_DEFAULTS = {
+  confessionApproved: true,
+  newComment: true,
+  newFollower: true,
+  followedPosts: false,
+  hashtagPosts: true,
+  achievements: true
+};
+const DIGEST_HOUR = parseInt(process.env.NOTIFICATION_DIGEST_HOUR) || 20;
+
+function notificationEnabled(profile, type) {
+  return profile.notifications?.[type] ?? NOTIFICATION_DEFAULTS[type];
+}
+
+function inQuietHours(profile, time = Date.now()) {
+  const quiet = profile.quietHours;
+  return Boolean(quiet) && inHourRange(quiet.start, quiet.end, time);
+}
+
+// Start of the next digest hour (never the one already under way)
+function nextDigestTime() {
+  return nextTimeWhen(
+    time => localHour(time) === DIGEST_HOUR && localHour(time - TIME_STEP_MS) !== DIGEST_HOUR,
+    Date.now() + TIME_STEP_MS
+  );
+}
+
+// Send one message (with an optional attachment) and report how it went: 'sent', 'blocked' (the user blocked
+// the bot or can't be reached at all, so they're marked inactive),
+// 'rate_limited' with Telegram's retryAfter in seconds, or 'failed'
+async function deliverMessage(userId, text, extra = {}, media = null) {
+  try {
+    await sendConfessionMessage(userId, { media }, text, extra);
+    return { status: 'sent' };
+  } catch (error) {
+    if (error.code === 429) {
+      return { status: 'rate_limited', retryAfter: error.parameters?.retry_after || 1 };
+    }
+    
+    if (error.code === 403) {
+      await markBotBlocked(userId);
+      return { status: 'blocked', error: error.description };
+    }
+    
+    console.error(`Notify error ${userId}:`, error);
+    return { status: 'failed', error: error.description || error.message };
+  }
+}
+
+// Returns whether the message went out
+async function sendNow(userId, text, extra = {}) {
+  const { status } = await deliverMessage(userId, text, extra);
+  return status === 'sent';
+}
+
+async function markBotBlocked(userId) {
+  try {
+    const profile = await repos.users.get(userId);
+    if (profile?.isActive) {
+      await repos.users.update(userId, { isActive: false, inactiveReason: 'bot_blocked' });
+    }
+  } catch (error) {
+    console.error(`Mark inactive error ${userId}:`, error);
+  }
+}
+
+// Someone who blocked the bot has to start it again to hear from it
+async function reactivateReturningUser(userId) {
+  const profile = await repos.users.get(userId);
+  if (profile?.inactiveReason === 'bot_blocked') {
+    await repos.users.update(userId, { isActive: true, inactiveReason: null });
   }
+}
+
+// Send, hold or summarise a message according to the user's preferences.
+// Banned users only get review and moderation messages (the types without
+// preferences), so they still hear about their ban and appeals.
+// Returns false if it was dropped or failed to send
+async function notify(userId, type, text, extra = {}) {
+  if (!NOTIFICATION_TYPES[type]) return sendNow(userId, text, extra);
   
-  const today = new Date().toDateString();
-  const lastCheckin = profile.lastCheckin ? new Date(profile.lastCheckin).toDateString() : null;
+  const profile = await repos.users.get(userId);
+  if (!profile || profile.isActive === false || !notificationEnabled(profile, type)) return false;
+  if (activeRestriction(profile, 'ban')) return false;
   
-  if (lastCheckin === today) {
-    await ctx.reply(`✅ You already checked in today!\n\nCurrent streak: ${profile.dailyStreak} days`);
-    return;
+  if (profile.digestMode === 'daily') {
+    await repos.outbox.addToDigest(userId, 'daily_digest', new Date(nextDigestTime()).toISOString(), type);
+    return true;
   }
   
-  let newStreak = 1;
-  if (lastCheckin) {
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    
-    if (lastCheckin === yesterday.toDateString()) {
-      newStreak = profile.dailyStreak + 1;
-    }
+  if (inQuietHours(profile)) {
+    const after = nextTimeWhen(time => !inQuietHours(profile, time));
+    await repos.outbox.add(userId, 'message', { text, extra }, new Date(after).toISOString());
+    return true;
   }
   
-  await db.collection('users').doc(userId.toString()).update({
-    dailyStreak: newStreak,
-    lastCheckin: new Date().toISOString()
-  });
+  return sendNow(userId, text, extra);
+}
+
+// ==================== TRENDING SYSTEM ====================
+// engagementScore weighs reactions, comments and views (see the confession
+// repository). Daily and weekly lists decay it by age so a fresh post with a
+// burst of activity outranks an older one that collected more over time.
+const TRENDING_PERIODS = {
+  day: { label: 'Today', hours: 24 },
+  week: { label: 'This Week', hours: 24 * 7 },
+  all: { label: 'All Time', hours: null }
+};
+const TRENDING_GRAVITY = 1.5;
+
+function trendingScore(confession, now = Date.now()) {
+  const ageHours = Math.max(0, now - Date.parse(confession.approvedAt)) / (60 * 60 * 1000);
+  return (confession.engagementScore || 0) / Math.pow(ageHours + 2, TRENDING_GRAVITY);
+}
+
+async function getTrendingConfessions(limit = 5, period = 'day') {
+  const { hours } = TRENDING_PERIODS[period] || TRENDING_PERIODS.day;
   
-  await updateReputation(userId, 2); // 2 points for daily checkin
+  if (!hours) {
+    return repos.confessions.listByStatus('approved', {
+      orderBy: 'engagementScore',
+      direction: 'desc',
+      limit: limit
+    });
+  }
   
-  await ctx.reply(`🎉 Daily Check-in!\n\n✅ +2 reputation points\nCurrent streak: ${newStreak} days`);
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+  const recent = await repos.confessions.listApprovedSince(since, 200);
+  const now = Date.now();
   
-  // Check for streak achievements
-  await checkAchievements(userId);
-});
+  return recent
+    .filter(confession => confession.engagementScore > 0)
+    .sort((a, b) => trendingScore(b, now) - trendingScore(a, now))
+    .slice(0, limit);
+}
 
-// ==================== ADMIN DASHBOARD ====================
-bot.command('admin', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.reply('❌ Access denied. Admin only command.');
-    return;
+// ==================== SEARCH ====================
+// Approved confessions by number, #hashtag or keywords, from /search, the
+// menu or inline mode (@bot query). See lib/search.js for the index.
+const SEARCH_PAGE_SIZE = 5;
+const SEARCH_SCAN_LIMIT = 200;
+const INLINE_PAGE_SIZE = 10;
+const SEARCH_USAGE = 'Send a confession number (#123), hashtags (#exam) or keywords.';
+
+async function searchConfessions(query) {
+  const parsed = parseQuery(query);
+  if (!parsed) return [];
+  
+  if (parsed.number !== undefined) {
+    const confession = await repos.confessions.getByNumber(parsed.number);
+    return confession ? [confession] : [];
   }
   
-  const stats = await getBotStats();
-  
-  const text = `🔐 *Admin Dashboard*\n\n`;
-  const users = `**Total Users:** ${stats.totalUsers}\n`;
-  const confessions = `**Pending Confessions:** ${stats.pendingConfessions}\n`;
-  const approved = `**Approved Confessions:** ${stats.approvedConfessions}\n`;
-  const rejected = `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
+  // Narrow down with one term (a hashtag, else the longest word), then match the rest
+  const [field, term] = parsed.tags.length > 0
+    ? ['tags', parsed.tags[0]]
+    : ['keywords', [...parsed.keywords].sort((a, b) => b.length - a.length)[0]];
+  const candidates = await repos.confessions.listApprovedContaining(field, term, { limit: SEARCH_SCAN_LIMIT });
   
-  const fullText = text + users + confessions + approved + rejected;
+  return candidates.filter(confession => matchesQuery(confession, parsed));
+}
+
+// Link to the confession's channel post, if it has been posted
+function channelPostUrl(confession) {
+  if (!confession.channelMessageId) return null;
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('👥 Manage Users', 'manage_users')],
-    [Markup.button.callback('📝 Review Confessions', 'review_confessions')],
-    [Markup.button.callback('📢 Broadcast Message', 'broadcast_message')],
-    [Markup.button.callback('📊 Bot Statistics', 'bot_stats')],
-    [Markup.button.callback('❌ Block User', 'block_user')],
-    [Markup.button.callback('✅ Unblock User', 'unblock_user')]
-  ]);
+  const channelId = process.env.CHANNEL_ID || '';
+  if (channelId.startsWith('@')) {
+    return `https://t.me/${channelId.substring(1)}/${confession.channelMessageId}`;
+  }
+  return `https://t.me/c/${confession.channelChatId.replace(/^-100/, '')}/${confession.channelMessageId}`;
+}
 
-  await ctx.replyWithMarkdown(fullText, keyboard);
-});
+function commentsUrl(confessionId) {
+  return `https://t.me/${bot.botInfo.username}?start=comments_${confessionId}`;
+}
 
-// Get bot statistics
-async function getBotStats() {
-  const usersSnapshot = await db.collection('users').get();
-  const confessionsSnapshot = await db.collection('confessions').get();
-  
-  let pending = 0, approved = 0, rejected = 0;
-  
-  confessionsSnapshot.forEach(doc => {
-    const data = doc.data();
-    switch (data.status) {
-      case 'pending': pending++; break;
-      case 'approved': approved++; break;
-      case 'rejected': rejected++; break;
-    }
-  });
-  
-  return {
-    totalUsers: usersSnapshot.size,
-    pendingConfessions: pending,
-    approvedConfessions: approved,
-    rejectedConfessions: rejected
-  };
+// "#12 snippet" plus comment count and post link, for result lists
+function confessionResultText(confession) {
+  const url = channelPostUrl(confession);
+  return `*#${confession.confessionNumber}* ${escapeMarkdown(confessionSnippet(confession, 150))}\n` +
+    `💬 ${confession.totalComments || 0}${url ? ` · [View post](${url})` : ''}\n\n`;
 }
 
-// ==================== MANAGE USERS ====================
-bot.action('manage_users', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.answerCbQuery('❌ Access denied');
+async function showSearchResults(ctx, page = 0) {
+  const query = ctx.session.searchQuery;
+  if (!query) {
+    await editOrReply(ctx, `🔎 *Search*\n\n${SEARCH_USAGE}`, { parse_mode: 'Markdown' });
     return;
   }
   
-  const usersSnapshot = await db.collection('users').limit(10).get();
+  const results = await searchConfessions(query);
+  const totalPages = Math.max(1, Math.ceil(results.length / SEARCH_PAGE_SIZE));
+  page = Math.min(page, totalPages - 1);
+  const items = results.slice(page * SEARCH_PAGE_SIZE, (page + 1) * SEARCH_PAGE_SIZE);
   
-  if (usersSnapshot.empty) {
-    await ctx.editMessageText(
-      `👥 *Manage Users*\n\nNo users found.`,
-      { parse_mode: 'Markdown' }
-    );
-    return;
+  let text = `🔎 *Search:* ${escapeMarkdown(query)}\n`;
+  
+  if (results.length === 0) {
+    text += `\nNo confessions found.\n\n${SEARCH_USAGE}`;
+  } else {
+    const more = results.length >= SEARCH_SCAN_LIMIT ? '+' : '';
+    text += `${results.length}${more} result(s) · Page ${page + 1}/${totalPages}\n\n`;
   }
   
-  let usersText = `👥 *Manage Users*\n\n`;
+  items.forEach(confession => {
+    text += confessionResultText(confession);
+  });
+  
   const keyboard = [];
   
-  for (const doc of usersSnapshot.docs) {
-    const userData = doc.data();
-    const username = userData.username || 'No username';
-    const joinDate = new Date(userData.joinDate).toLocaleDateString();
-    const confessions = userData.totalConfessions || 0;
-    const reputation = userData.reputation || 0;
-    const status = userData.isActive ? '✅ Active' : '❌ Blocked';
-    
-    usersText += `• ID: ${userData.userId}\n`;
-    usersText += `  Username: @${username}\n`;
-    usersText += `  Confessions: ${confessions}\n`;
-    usersText += `  Reputation: ${reputation}\n`;
-    usersText += `  Status: ${status}\n`;
-    usersText += `  Joined: ${joinDate}\n\n`;
-    
-    keyboard.push([
-      Markup.button.callback(`🔍 View @${username}`, `view_user_${userData.userId}`)
-    ]);
+  if (items.length > 0) {
+    keyboard.push(items.map(confession => (
+      Markup.button.callback(`💬 #${confession.confessionNumber}`, `cmts_${confession.confessionId}_0`)
+    )));
   }
   
-  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('⬅️ Prev', `search_page_${page - 1}`));
+  if (page + 1 < totalPages) navigation.push(Markup.button.callback('Next ➡️', `search_page_${page + 1}`));
+  if (navigation.length > 0) keyboard.push(navigation);
   
-  await ctx.editMessageText(usersText, { 
+  keyboard.push([Markup.button.switchToCurrentChat('🔎 Search inline', query)]);
+  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+  
+  await editOrReply(ctx, text, {
     parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
+    disable_web_page_preview: true,
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
   });
-});
+}
 
-// View user details
-bot.action(/view_user_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.answerCbQuery('❌ Access denied');
+async function handleSearch(ctx, text) {
+  await ctx.scene.leave();
+  ctx.session.searchQuery = text.trim().substring(0, 100);
+  await showSearchResults(ctx);
+}
+
+bot.command('search', async (ctx) => {
+  const query = ctx.message.text.split(' ').slice(1).join(' ');
+  
+  if (!query.trim()) {
+    await ctx.reply(`🔎 *Search Confessions*\n\n${SEARCH_USAGE}\n\nSend /cancel to stop.`, { parse_mode: 'Markdown' });
+    await ctx.scene.enter(SEARCH_SCENE);
     return;
   }
   
-  const userId = ctx.match[1];
+  await handleSearch(ctx, query);
+});
+
+bot.action(/^search_page_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await showSearchResults(ctx, parseInt(ctx.match[1]));
+});
+
+// Inline mode: the offset is the page number; an empty query lists the latest posts
+bot.on('inline_query', async (ctx) => {
+  const query = ctx.inlineQuery.query.trim();
+  const page = parseInt(ctx.inlineQuery.offset) || 0;
+  
+  try {
+    const results = query
+      ? await searchConfessions(query)
+      : await repos.confessions.listByStatus('approved', {
+        orderBy: 'confessionNumber',
+        direction: 'desc',
+        limit: INLINE_PAGE_SIZE * 5
+      });
+    const items = results.slice(page * INLINE_PAGE_SIZE, (page + 1) * INLINE_PAGE_SIZE);
+    
+    const articles = items.map(confession => {
+      const url = channelPostUrl(confession);
+      const buttons = [Markup.button.url('💬 Comments', commentsUrl(confession.confessionId))];
+      if (url) buttons.unshift(Markup.button.url('📢 View post', url));
+      
+      return {
+        type: 'article',
+        id: confession.confessionId,
+        title: `Confession #${confession.confessionNumber}`,
+        description: confessionSnippet(confession, 100),
+        input_message_content: {
+          message_text: `#${confession.confessionNumber}\n\n${confessionSnippet(confession, 3000)}`
+        },
+        reply_markup: Markup.inlineKeyboard([buttons]).reply_markup
+      };
+    });
+    
+    const hasNext = results.length > (page + 1) * INLINE_PAGE_SIZE;
+    await ctx.answerInlineQuery(articles, {
+      cache_time: 30,
+      next_offset: hasNext ? `${page + 1}` : ''
+    });
+  } catch (error) {
+    console.error('Inline search error:', error);
+    await ctx.answerInlineQuery([], { cache_time: 5 });
+  }
+});
+
+// ==================== DAILY CHECKIN SYSTEM ====================
+bot.command('checkin', async (ctx) => {
+  const userId = ctx.from.id;
   const profile = await getUserProfile(userId);
   
-  const text = `👤 *User Details*\n\n`;
-  const id = `**User ID:** ${profile.userId}\n`;
-  const username = profile.username ? `**Username:** @${profile.username}\n` : '';
-  const bio = profile.bio ? `**Bio:** ${profile.bio}\n` : '';
-  const followers = `**Followers:** ${profile.followers.length}\n`;
-  const following = `**Following:** ${profile.following.length}\n`;
-  const confessions = `**Confessions:** ${profile.totalConfessions}\n`;
-  const reputation = `**Reputation:** ${profile.reputation}\n`;
-  const achievements = `**Achievements:** ${profile.achievementCount}\n`;
-  const streak = `**Daily Streak:** ${profile.dailyStreak} days\n`;
-  const status = `**Status:** ${profile.isActive ? '✅ Active' : '❌ Blocked'}\n`;
-  const joinDate = `**Join Date:** ${new Date(profile.joinDate).toLocaleDateString()}\n`;
+  const today = new Date().toDateString();
+  const lastCheckin = profile.lastCheckin ? new Date(profile.lastCheckin).toDateString() : null;
   
-  const fullText = text + id + username + bio + followers + following + confessions + reputation + achievements + streak + status + joinDate;
+  if (lastCheckin === today) {
+    await ctx.reply(`✅ You already checked in today!\n\nCurrent streak: ${profile.dailyStreak} days`);
+    return;
+  }
   
-  const keyboard = [
-    [Markup.button.callback('✉️ Message User', `message_${userId}`)],
-    [Markup.button.callback(profile.isActive ? '❌ Block User' : '✅ Unblock User', `toggle_block_${userId}`)],
-    [Markup.button.callback('👥 View Confessions', `view_user_confessions_${userId}`)],
-    [Markup.button.callback('🔙 Back to Users', 'manage_users')]
-  ];
+  let newStreak = 1;
+  if (lastCheckin) {
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    
+    if (lastCheckin === yesterday.toDateString()) {
+      newStreak = profile.dailyStreak + 1;
+    }
+  }
   
-  await ctx.editMessageText(fullText, { 
-    parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
+  await repos.users.update(userId, {
+    dailyStreak: newStreak,
+    lastCheckin: new Date().toISOString()
   });
+  
+  await updateReputation(userId, 2); // 2 points for daily checkin
+  
+  await ctx.reply(`🎉 Daily Check-in!\n\n✅ +2 reputation points\nCurrent streak: ${newStreak} days`);
+  
+  // Check for streak achievements
+  await checkAchievements(userId);
 });
 
-// Toggle user block status
-bot.action(/toggle_block_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.answerCbQuery('❌ Access denied');
+// ==================== ADMIN DASHBOARD ====================
+bot.command('admin', async (ctx) => {
+  if (!await isStaff(ctx.from.id)) {
+    await ctx.reply('❌ Access denied. Admin only command.');
     return;
   }
   
-  const userId = ctx.match[1];
-  const profile = await getUserProfile(userId);
+  const { text, keyboard } = await adminDashboard(ctx.from.id);
+  await ctx.replyWithMarkdown(text, keyboard);
+});
+
+// Dashboard text and the buttons the user's role allows
+async function adminDashboard(userId) {
+  const role = await getRole(userId);
+  const { permissions } = ROLES[role];
   
-  await db.collection('users').doc(userId.toString()).update({
-    isActive: !profile.isActive
-  });
+  let text = `🔐 *Admin Dashboard*\n\n**Role:** ${ROLES[role].label}\n`;
   
-  await ctx.answerCbQuery(profile.isActive ? '❌ User blocked!' : '✅ User unblocked!');
-  
-  // Update the message
-  const updatedProfile = await getUserProfile(userId);
-  const text = `👤 *User Details*\n\n`;
-  const id = `**User ID:** ${updatedProfile.userId}\n`;
-  const username = updatedProfile.username ? `**Username:** @${updatedProfile.username}\n` : '';
-  const bio = updatedProfile.bio ? `**Bio:** ${updatedProfile.bio}\n` : '';
-  const followers = `**Followers:** ${updatedProfile.followers.length}\n`;
-  const following = `**Following:** ${updatedProfile.following.length}\n`;
-  const confessions = `**Confessions:** ${updatedProfile.totalConfessions}\n`;
-  const reputation = `**Reputation:** ${updatedProfile.reputation}\n`;
-  const achievements = `**Achievements:** ${updatedProfile.achievementCount}\n`;
-  const streak = `**Daily Streak:** ${updatedProfile.dailyStreak} days\n`;
-  const status = `**Status:** ${updatedProfile.isActive ? '✅ Active' : '❌ Blocked'}\n`;
-  const joinDate = `**Join Date:** ${new Date(updatedProfile.joinDate).toLocaleDateString()}\n`;
-  
-  const fullText = text + id + username + bio + followers + following + confessions + reputation + achievements + streak + status + joinDate;
+  if (permissions.includes(PERMISSIONS.VIEW_STATS)) {
+    const stats = await getBotStats();
+    text += `**Total Users:** ${stats.totalUsers}\n`;
+    text += `**Pending Confessions:** ${stats.pendingConfessions}\n`;
+    text += `**Scheduled Confessions:** ${stats.scheduledConfessions}\n`;
+    text += `**Approved Confessions:** ${stats.approvedConfessions}\n`;
+    text += `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
+  }
   
-  const keyboard = [
-    [Markup.button.callback('✉️ Message User', `message_${userId}`)],
-    [Markup.button.callback(updatedProfile.isActive ? '❌ Block User' : '✅ Unblock User', `toggle_block_${userId}`)],
-    [Markup.button.callback('👥 View Confessions', `view_user_confessions_${userId}`)],
-    [Markup.button.callback('🔙 Back to User', `view_user_${userId}`)]
+  const buttons = [
+    [PERMISSIONS.VIEW_STATS, '👥 Manage Users', 'manage_users'],
+    [PERMISSIONS.REVIEW_CONFESSIONS, '📝 Review Confessions', 'review_confessions'],
+    [PERMISSIONS.REVIEW_CONFESSIONS, '🗓️ Publish Queue', 'queue_page_0'],
+    [PERMISSIONS.MODERATE_COMMENTS, '🚩 Reported Comments', 'cmt_reports_0'],
+    [PERMISSIONS.BROADCAST, '📢 Broadcast Message', 'broadcast_message'],
+    [PERMISSIONS.VIEW_STATS, '📊 Bot Statistics', 'bot_stats'],
+    [PERMISSIONS.BLOCK_USERS, '❌ Block User', 'block_user'],
+    [PERMISSIONS.BLOCK_USERS, '✅ Unblock User', 'unblock_user'],
+    [[PERMISSIONS.REVIEW_CONFESSIONS, PERMISSIONS.BLOCK_USERS], '📨 Appeals', 'appeals_page_0'],
+    [PERMISSIONS.VIEW_AUDIT_LOG, '📜 Audit Log', 'auditlog_page_0'],
+    [PERMISSIONS.MANAGE_FILTER, '🧹 Content Filter', 'content_filter']
   ];
   
-  await ctx.editMessageText(fullText, { 
-    parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
-  });
-});
+  const keyboard = Markup.inlineKeyboard(buttons
+    .filter(([required]) => [].concat(required).some(permission => permissions.includes(permission)))
+    .map(([, label, data]) => [Markup.button.callback(label, data)])
+  );
+  
+  return { text, keyboard };
+}
 
-// View user confessions
-bot.action(/view_user_confessions_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.answerCbQuery('❌ Access denied');
-    return;
-  }
+// Get bot statistics
+async function getBotStats() {
+  const [totalUsers, pending, scheduled, approved, rejected] = await Promise.all([
+    repos.users.count(),
+    repos.confessions.countByStatus('pending'),
+    repos.confessions.countByStatus('scheduled'),
+    repos.confessions.countByStatus('approved'),
+    repos.confessions.countByStatus('rejected')
+  ]);
   
-  const userId = ctx.match[1];
+  return {
+    totalUsers: totalUsers,
+    pendingConfessions: pending,
+    scheduledConfessions: scheduled,
+    approvedConfessions: approved,
+    rejectedConfessions: rejected
+  };
+}
+
+// ==================== MANAGE USERS ====================
+const USER_SORTS = {
+  joined: { label: '📅 Newest', field: 'joinDate' },
+  reputation: { label: '⭐ Reputation', field: 'reputation' },
+  confessions: { label: '📝 Confessions', field: 'totalConfessions' }
+};
+const USERS_PAGE_SIZE = 8;
+
+function userListEntry(profile) {
+  const name = profile.username ? `@${escapeMarkdown(profile.username)}` : '_no username_';
+  const joined = new Date(profile.joinDate).toLocaleDateString();
+  const strikes = profile.strikeCount ? ` · ⚠️ ${profile.strikeCount}` : '';
+  
+  return `• ${name} (ID: ${profile.userId})\n  ⭐ ${profile.reputation || 0} · 📝 ${profile.totalConfessions || 0}${strikes} · ${accountStatus(profile)} · joined ${joined}\n`;
+}
+
+function userListButtons(users) {
+  return users.map(profile => [
+    Markup.button.callback(`🔍 ${profile.username ? `@${profile.username}` : `ID ${profile.userId}`}`, `view_user_${profile.userId}`)
+  ]);
+}
+
+async function showUserList(ctx, sort = 'joined', page = 0) {
+  const total = await repos.users.count();
+  const totalPages = Math.max(1, Math.ceil(total / USERS_PAGE_SIZE));
+  page = Math.min(page, totalPages - 1);
   
-  const confessionsSnapshot = await db.collection('confessions')
-    .where('userId', '==', parseInt(userId))
-    .orderBy('createdAt', 'desc')
-    .limit(10)
-    .get();
+  const users = await repos.users.listPage({
+    orderBy: USER_SORTS[sort].field,
+    offset: page * USERS_PAGE_SIZE,
+    limit: USERS_PAGE_SIZE
+  });
   
-  if (confessionsSnapshot.empty) {
-    await ctx.editMessageText(
-      `📝 *User Confessions*\n\nNo confessions found for this user.`,
-      { parse_mode: 'Markdown' }
-    );
-    return;
-  }
+  let text = `👥 *Manage Users* (${total} · page ${page + 1}/${totalPages})\n`;
+  text += `Sorted by ${USER_SORTS[sort].label}\n\n`;
+  if (users.length === 0) text += 'No users found.\n';
+  users.forEach(profile => { text += userListEntry(profile); });
   
-  let confessionsText = `📝 *User Confessions*\n\n`;
-  const keyboard = [];
+  const keyboard = userListButtons(users);
   
-  for (const doc of confessionsSnapshot.docs) {
-    const data = doc.data();
-    const status = data.status.charAt(0).toUpperCase() + data.status.slice(1);
-    const createdAt = new Date(data.createdAt).toLocaleDateString();
-    
-    confessionsText += `• #${data.confessionNumber || 'N/A'} - ${status}\n`;
-    confessionsText += `  Created: ${createdAt}\n`;
-    confessionsText += `  "${data.text.substring(0, 50)}${data.text.length > 50 ? '...' : ''}"\n\n`;
-    
-    keyboard.push([
-      Markup.button.callback(`🔍 View Confession #${data.confessionNumber || 'N/A'}`, `view_confession_${data.confessionId}`)
-    ]);
-  }
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('⬅️ Prev', `users_${sort}_${page - 1}`));
+  if (page + 1 < totalPages) navigation.push(Markup.button.callback('Next ➡️', `users_${sort}_${page + 1}`));
+  if (navigation.length > 0) keyboard.push(navigation);
   
-  keyboard.push([Markup.button.callback('🔙 Back to User', `view_user_${userId}`)]);
+  keyboard.push(Object.entries(USER_SORTS).map(([key, { label }]) => (
+    Markup.button.callback(key === sort ? `• ${label}` : label, `users_${key}_0`)
+  )));
+  keyboard.push([Markup.button.callback('🔎 Search by Username or ID', 'users_search')]);
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
   
-  await ctx.editMessageText(confessionsText, { 
+  await editOrReply(ctx, text, {
     parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
   });
-});
+}
 
-// ==================== REVIEW CONFESSIONS ====================
-bot.action('review_confessions', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+bot.action('manage_users', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_STATS)) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  const pendingSnapshot = await db.collection('confessions')
-    .where('status', '==', 'pending')
-    .orderBy('createdAt', 'asc')
-    .limit(10)
-    .get();
-  
-  if (pendingSnapshot.empty) {
-    await ctx.editMessageText(
-      `📝 *Pending Confessions*\n\nNo pending confessions to review.`,
-      { parse_mode: 'Markdown' }
-    );
+  await showUserList(ctx);
+  await ctx.answerCbQuery();
+});
+
+bot.action(/^users_(joined|reputation|confessions)_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_STATS)) {
+    await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  let confessionsText = `📝 *Pending Confessions*\n\n`;
-  const keyboard = [];
-  
-  for (const doc of pendingSnapshot.docs) {
-    const data = doc.data();
-    const user = await getUserProfile(data.userId);
-    const username = user.username ? `@${user.username}` : `ID: ${data.userId}`;
-    
-    confessionsText += `• From: ${username}\n`;
-    confessionsText += `  Confession: "${data.text.substring(0, 50)}${data.text.length > 50 ? '...' : ''}"\n\n`;
-    
-    keyboard.push([
-      Markup.button.callback(`✅ Approve #${doc.id}`, `approve_${doc.id}`),
-      Markup.button.callback(`❌ Reject #${doc.id}`, `reject_${doc.id}`)
-    ]);
-  }
-  
-  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
-  
-  await ctx.editMessageText(confessionsText, { 
-    parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
-  });
+  await showUserList(ctx, ctx.match[1], parseInt(ctx.match[2]));
+  await ctx.answerCbQuery();
 });
 
-// ==================== BROADCAST MESSAGE ====================
-bot.action('broadcast_message', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+bot.action('users_search', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_STATS)) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  await ctx.editMessageText(
-    `📢 *Broadcast Message*\n\nEnter your message to broadcast to all users:`,
+  await editOrReply(ctx,
+    `🔎 *Search Users*\n\nSend a user ID, or the start of a username (e.g. \`@abebe\`).\n\nSend /cancel to stop.`,
     { parse_mode: 'Markdown' }
   );
-  ctx.session.waitingForBroadcast = true;
+  await ctx.scene.enter(USER_SEARCH_SCENE);
   await ctx.answerCbQuery();
 });
 
-bot.on('text', async (ctx) => {
-  // Handle confession submission
-  if (ctx.session.waitingForConfession) {
-    await handleConfession(ctx, ctx.message.text);
+async function handleUserSearch(ctx, text) {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_STATS)) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
     return;
   }
   
-  // Handle rejection reason
-  if (ctx.session.rejectingConfession) {
-    await handleRejection(ctx, ctx.message.text);
+  const query = text.trim().replace(/^@/, '');
+  if (!query) {
+    await ctx.reply('❌ Send a user ID or username.');
     return;
   }
   
-  // Handle admin messages to users
-  if (ctx.session.messagingUser) {
-    await handleAdminMessage(ctx, ctx.message.text);
-    return;
+  let users;
+  if (/^\d+$/.test(query)) {
+    const profile = await repos.users.get(parseInt(query));
+    users = profile ? [profile] : [];
+  } else {
+    users = await repos.users.searchByUsername(query, USERS_PAGE_SIZE);
   }
   
-  // Handle comment submission
-  if (ctx.session.waitingForComment) {
-    await addComment(ctx, ctx.message.text);
+  await ctx.scene.leave();
+  
+  let resultText = `🔎 *Users matching "${escapeMarkdown(query)}"*\n\n`;
+  if (users.length === 0) resultText += 'No users found.\n';
+  users.forEach(profile => { resultText += userListEntry(profile); });
+  
+  const keyboard = userListButtons(users);
+  keyboard.push([
+    Markup.button.callback('🔎 Search Again', 'users_search'),
+    Markup.button.callback('👥 All Users', 'manage_users')
+  ]);
+  
+  await ctx.reply(resultText, {
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
+}
+
+// Everything staff need about one user: profile, warnings and, for those who
+// may link users to their posts, recent comments
+async function showAdminUser(ctx, userId) {
+  const profile = await repos.users.get(userId);
+  if (!profile) {
+    await editOrReply(ctx, '❌ User not found.', {
+      reply_markup: Markup.inlineKeyboard([[Markup.button.callback('🔙 Back to Users', 'manage_users')]]).reply_markup
+    });
     return;
   }
   
-  // Handle username setting
-  if (ctx.session.waitingForUsername) {
-    const username = ctx.message.text.trim();
-    
-    // Validate username
-    if (!/^[a-zA-Z0-9_]{3,20}$/.test(username)) {
-      await ctx.reply('❌ Invalid username. Use 3-20 characters (letters, numbers, underscores only).');
-      return;
-    }
-    
-    // Check if username already exists
-    const existingUsers = await db.collection('users')
-      .where('username', '==', username)
-      .limit(1)
-      .get();
-    
-    if (!existingUsers.empty && existingUsers.docs[0].data().userId !== ctx.from.id) {
-      await ctx.reply('❌ Username already taken. Choose another one.');
-      return;
-    }
-    
-    // Update profile
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      username: username
+  // Anyone with VIEW_STATS gets here; the actions depend on their role
+  const [canSeeComments, canSanction, canMessage] = await Promise.all([
+    hasPermission(ctx.from.id, PERMISSIONS.VIEW_IDENTITIES),
+    hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS),
+    hasPermission(ctx.from.id, PERMISSIONS.MESSAGE_USERS)
+  ]);
+  const [strikes, comments] = await Promise.all([
+    repos.users.listStrikes(userId, 5),
+    canSeeComments ? repos.comments.listByUser(userId, 5) : []
+  ]);
+  
+  let text = `👤 *User Details*\n\n`;
+  text += `**User ID:** ${profile.userId}\n`;
+  if (profile.username) text += `**Username:** @${escapeMarkdown(profile.username)}\n`;
+  if (profile.bio) text += `**Bio:** ${escapeMarkdown(profile.bio)}\n`;
+  text += `**Followers:** ${profile.followers.length}\n`;
+  text += `**Following:** ${profile.following.length}\n`;
+  text += `**Confessions:** ${profile.totalConfessions}\n`;
+  text += `**Reputation:** ${profile.reputation}\n`;
+  text += `**Achievements:** ${profile.achievementCount}\n`;
+  text += `**Daily Streak:** ${profile.dailyStreak} days\n`;
+  text += `**Status:** ${accountStatus(profile)}\n`;
+  text += `**Join Date:** ${new Date(profile.joinDate).toLocaleDateString()}\n`;
+  
+  const restrictions = [
+    ['ban', '⛔ Banned'],
+    ['comments', '💬 Muted from comments'],
+    ['confessions', '📝 Muted from confessions']
+  ].filter(([key]) => activeRestriction(profile, key));
+  
+  if (restrictions.length > 0) {
+    text += `\n🚫 *Restrictions*\n`;
+    restrictions.forEach(([key, label]) => {
+      const restriction = activeRestriction(profile, key);
+      const reason = restriction.reason ? `: ${escapeMarkdown(restriction.reason)}` : '';
+      text += `• ${label} ${restrictionExpiry(restriction)}${reason}\n`;
     });
-    
-    await ctx.reply(`✅ Username updated to @${username}`);
-    ctx.session.waitingForUsername = false;
-    return;
   }
   
-  // Handle bio setting
-  if (ctx.session.waitingForBio) {
-    const bio = ctx.message.text.trim();
-    
-    if (bio.length > 100) {
-      await ctx.reply('❌ Bio too long. Maximum 100 characters.');
-      return;
-    }
-    
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      bio: bio
+  text += `\n⚠️ *Strikes (${profile.strikeCount || 0})*\n`;
+  if (strikes.length === 0) text += 'None\n';
+  strikes.forEach(strike => {
+    text += `• ${new Date(strike.createdAt).toLocaleDateString()}: ${escapeMarkdown(strike.reason)}\n`;
+  });
+  
+  if (canSeeComments) {
+    text += `\n💬 *Recent Comments*\n`;
+    if (comments.length === 0) text += 'None\n';
+    comments.forEach(comment => {
+      const hidden = comment.status === 'visible' ? '' : ` (${comment.status})`;
+      text += `• #${comment.number}${hidden}, ${new Date(comment.createdAt).toLocaleDateString()}: "${commentPreview(comment, 60)}"\n`;
     });
-    
-    await ctx.reply('✅ Bio updated successfully!');
-    ctx.session.waitingForBio = false;
-    return;
   }
   
-  // Handle broadcast message
-  if (ctx.session.waitingForBroadcast) {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply('❌ Access denied');
-      ctx.session.waitingForBroadcast = false;
-      return;
-    }
-    
-    await broadcastMessage(ctx.message.text);
-    await ctx.reply('✅ Broadcast message sent to all users!');
-    ctx.session.waitingForBroadcast = false;
-    return;
+  const keyboard = [];
+  
+  if (canMessage) {
+    keyboard.push([Markup.button.callback('✉️ Message User', `message_${userId}`)]);
   }
   
-  // Handle manual block
-  if (ctx.session.waitingForBlockUserId) {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply('❌ Access denied');
-      ctx.session.waitingForBlockUserId = false;
-      return;
-    }
-    
-    const userId = parseInt(ctx.message.text.trim());
-    if (isNaN(userId)) {
-      await ctx.reply('❌ Invalid user ID. Please enter a valid number.');
-      return;
-    }
+  if (canSanction) {
+    keyboard.push([
+      Markup.button.callback('⚠️ Warn', `warn_user_${userId}`),
+      Markup.button.callback('🔇 Mute', `sanction_menu_mute_${userId}`),
+      Markup.button.callback('⛔ Ban', `sanction_menu_ban_${userId}`)
+    ]);
     
-    try {
-      await db.collection('users').doc(userId.toString()).update({
-        isActive: false
-      });
-      await ctx.reply(`✅ User ${userId} has been blocked.`);
-    } catch (error) {
-      await ctx.reply(`❌ Error blocking user: ${error.message}`);
+    if (restrictions.length > 0) {
+      keyboard.push([Markup.button.callback('✅ Lift Restrictions', `sanction_lift_${userId}`)]);
     }
-    
-    ctx.session.waitingForBlockUserId = false;
+  }
+  
+  keyboard.push([Markup.button.callback('👥 View Confessions', `view_user_confessions_${userId}`)]);
+  
+  if (comments.length > 0) {
+    keyboard.push(comments.map(comment => (
+      Markup.button.callback(`💬 #${comment.number}`, `cmt_view_${comment.confessionId}_${comment.commentId}_0`)
+    )));
+  }
+  
+  keyboard.push([Markup.button.callback('🔙 Back to Users', 'manage_users')]);
+  
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
+}
+
+// View user details
+bot.action(/^view_user_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_STATS)) {
+    await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  // Handle manual unblock
-  if (ctx.session.waitingForUnblockUserId) {
-    if (!isAdmin(ctx.from.id)) {
-      await ctx.reply('❌ Access denied');
-      ctx.session.waitingForUnblockUserId = false;
-      return;
-    }
-    
-    const userId = parseInt(ctx.message.text.trim());
-    if (isNaN(userId)) {
-      await ctx.reply('❌ Invalid user ID. Please enter a valid number.');
-      return;
-    }
-    
-    try {
-      await db.collection('users').doc(userId.toString()).update({
-        isActive: true
-      });
-      await ctx.reply(`✅ User ${userId} has been unblocked.`);
-    } catch (error) {
-      await ctx.reply(`❌ Error unblocking user: ${error.message}`);
-    }
-    
-    ctx.session.waitingForUnblockUserId = false;
-    return;
-  }
+  await showAdminUser(ctx, parseInt(ctx.match[1]));
+  await ctx.answerCbQuery();
 });
 
-async function broadcastMessage(message) {
-  const usersSnapshot = await db.collection('users').get();
+// ==================== SANCTIONS ====================
+const MUTE_LABELS = {
+  comments: 'comment',
+  confessions: 'send confessions',
+  all: 'comment or send confessions'
+};
+const MUTE_DURATIONS = [24, 7 * 24];
+const BAN_DURATIONS = [24, 7 * 24, 30 * 24, 0]; // 0 is permanent
+
+function durationLabel(hours) {
+  if (!hours) return 'Permanent';
+  return hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+}
+
+function restrictionExpiry(restriction) {
+  return restriction.until ? `until ${formatLocalTime(restriction.until)}` : 'permanently';
+}
+
+// Notices are plain text so they also fit callback alerts
+function banNotice(ban) {
+  const reason = ban.reason ? `\n\nReason: ${ban.reason}` : '';
+  return `⛔ Your account is banned ${restrictionExpiry(ban)}.${reason}`;
+}
+
+function muteNotice(scope, mute) {
+  const reason = mute.reason ? `\n\nReason: ${mute.reason}` : '';
+  return `🔇 You can't ${MUTE_LABELS[scope]} ${restrictionExpiry(mute)}.${reason}`;
+}
+
+async function refuseRestricted(ctx, notice, extra = {}) {
+  if (ctx.callbackQuery) {
+    await ctx.answerCbQuery(notice.substring(0, 200), { show_alert: true });
+  } else if (ctx.inlineQuery) {
+    await ctx.answerInlineQuery([], { cache_time: 0 });
+  } else if (ctx.chat?.type === 'private') {
+    await ctx.reply(notice, extra);
+  }
+}
+
+// Which mutable activity an update belongs to: starting or writing a
+// confession or a comment. Everything else stays open to muted users
+function restrictedActivity(ctx) {
+  const scene = ctx.session.__scenes?.current;
+  const data = ctx.callbackQuery?.data || '';
+  const text = ctx.message?.text || '';
   
-  let successCount = 0;
-  let failCount = 0;
+  if (scene === CONFESSION_SCENE || text === '📝 Send Confession' || data === 'send_confession' || data.startsWith('draft_')) {
+    return 'confessions';
+  }
   
-  for (const doc of usersSnapshot.docs) {
-    const userData = doc.data();
-    if (userData.isActive) { // Only send to active users
-      try {
-        await bot.telegram.sendMessage(userData.userId, `📢 *Broadcast Message*\n\n${message}`, {
-          parse_mode: 'Markdown'
-        });
-        successCount++;
-      } catch (error) {
-        failCount++;
-        console.error(`Failed to send broadcast to ${userData.userId}:`, error);
-      }
-    }
+  if (scene === COMMENT_SCENE || scene === COMMENT_EDIT_SCENE || /^(add_comment|cmt_reply|cmt_edit)_/.test(data)) {
+    return 'comments';
   }
   
-  console.log(`Broadcast sent: ${successCount} successful, ${failCount} failed`);
+  return null;
 }
 
-// ==================== BLOCK/UNBLOCK USER ====================
-bot.action('block_user', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.answerCbQuery('❌ Access denied');
-    return;
+// Ban or mute a user and tell them why and for how long
+// Restrictions as flat audit values, since the audit log shows one level
+function restrictionAuditValues(restrictions, prefix = '') {
+  return Object.fromEntries(Object.entries(restrictions)
+    .filter(([, restriction]) => restriction)
+    .map(([key, restriction]) => [`${prefix}${key}.until`, restriction.until || 'permanent']));
+}
+
+async function applySanction(ctx, userId, { type, scope = 'all', hours, reason, automatic = false }) {
+  const changes = restrictionChanges({ type, scope, hours, reason, issuedBy: ctx.from.id });
+  await repos.users.update(userId, changes);
+  
+  await logAudit(ctx, type === 'ban' ? 'ban_user' : 'mute_user', {
+    targetId: userId,
+    targetUserId: userId,
+    after: restrictionAuditValues(changes),
+    details: { scope: type === 'ban' ? null : scope, hours: hours || null, reason, automatic }
+  });
+  
+  const restriction = Object.values(changes)[0];
+  if (type === 'ban') {
+    await notify(userId, 'moderation', banNotice(restriction), {
+      reply_markup: Markup.inlineKeyboard([[appealButton('ban')]]).reply_markup
+    });
+  } else {
+    await notify(userId, 'moderation', muteNotice(scope, restriction));
+  }
+}
+
+// Lift every restriction, or only the ones named in `keys` ('ban',
+// 'comments', 'confessions')
+async function liftSanctions(ctx, userId, {
+  keys = null,
+  notice = '✅ The restrictions on your account have been lifted.'
+} = {}) {
+  const profile = await repos.users.get(userId);
+  const lifted = Object.fromEntries(Object.entries(profile.restrictions || {})
+    .filter(([key]) => !keys || keys.includes(key)));
+  const changes = keys
+    ? Object.fromEntries(keys.map(key => [`restrictions.${key}`, null]))
+    : { restrictions: {} };
+  
+  // Accounts blocked before restrictions existed were switched off instead
+  const legacyBlock = profile.isActive === false && profile.inactiveReason !== 'bot_blocked';
+  if (legacyBlock && (!keys || keys.includes('ban'))) {
+    changes.isActive = true;
+    changes.inactiveReason = null;
   }
   
-  await ctx.editMessageText(
-    `❌ *Block User*\n\nEnter user ID to block:`,
+  await repos.users.update(userId, changes);
+  
+  await logAudit(ctx, 'lift_sanctions', {
+    targetId: userId,
+    targetUserId: userId,
+    before: { ...restrictionAuditValues(lifted, 'restrictions.'), isActive: profile.isActive }
+  });
+  
+  await notify(userId, 'moderation', notice);
+}
+
+// Record a strike and apply whatever restriction the new strike count brings
+async function warnUser(ctx, userId, reason) {
+  const strike = await repos.users.addStrike(userId, { reason, issuedBy: ctx.from.id });
+  const { strikeCount } = await repos.users.get(userId);
+  
+  await logAudit(ctx, 'warn_user', {
+    targetId: userId,
+    targetUserId: userId,
+    details: { reason, strikeId: strike.strikeId, strikeCount }
+  });
+  
+  await notify(userId, 'moderation',
+    `⚠️ *Warning from the moderators* (strike ${strikeCount})\n\nReason: ${escapeMarkdown(reason)}\n\nRepeated warnings lead to mutes and bans.`,
     { parse_mode: 'Markdown' }
   );
-  ctx.session.waitingForBlockUserId = true;
-  await ctx.answerCbQuery();
-});
+  
+  const escalation = escalationFor(strikeCount);
+  if (escalation) {
+    await applySanction(ctx, userId, {
+      ...escalation,
+      reason: `${strikeCount} strikes (latest: ${reason})`,
+      automatic: true
+    });
+  }
+  
+  return { strikeCount, escalation };
+}
 
-bot.action('unblock_user', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+bot.action(/^warn_user_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  await ctx.editMessageText(
-    `✅ *Unblock User*\n\nEnter user ID to unblock:`,
+  const userId = parseInt(ctx.match[1]);
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `⚠️ *Warn User ${userId}*\n\nSend the reason for the warning. The user will see it.\n\nSend /cancel to stop.`,
     { parse_mode: 'Markdown' }
   );
-  ctx.session.waitingForUnblockUserId = true;
-  await ctx.answerCbQuery();
+  await ctx.scene.enter(WARN_SCENE, { userId });
 });
 
-// ==================== BOT STATISTICS ====================
-bot.action('bot_stats', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.answerCbQuery('❌ Access denied');
+async function handleWarnReason(ctx, text) {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
     return;
   }
   
-  const stats = await getBotStats();
+  const { userId } = ctx.scene.state;
+  const { strikeCount, escalation } = await warnUser(ctx, userId, text.trim().substring(0, 200));
   
-  const text = `📊 *Bot Statistics*\n\n`;
-  const users = `**Total Users:** ${stats.totalUsers}\n`;
-  const confessions = `**Pending Confessions:** ${stats.pendingConfessions}\n`;
-  const approved = `**Approved Confessions:** ${stats.approvedConfessions}\n`;
-  const rejected = `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
-  const total = `**Total Confessions:** ${stats.pendingConfessions + stats.approvedConfessions + stats.rejectedConfessions}\n`;
+  await ctx.scene.leave();
+  
+  const applied = !escalation ? ''
+    : escalation.type === 'ban' ? ` Banned ${escalation.hours ? `for ${durationLabel(escalation.hours)}` : 'permanently'}.`
+    : ` Muted for ${durationLabel(escalation.hours)}.`;
+  await ctx.reply(`✅ Warning recorded for user ${userId} (strike ${strikeCount}).${applied}`);
+  await showAdminUser(ctx, userId);
+}
+
+bot.action(/^sanction_menu_(mute|ban)_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
   
-  const fullText = text + users + confessions + approved + rejected + total;
+  const [, type, userId] = ctx.match;
+  let keyboard;
   
-  const keyboard = [
-    [Markup.button.callback('👥 Manage Users', 'manage_users')],
-    [Markup.button.callback('📝 Review Confessions', 'review_confessions')],
-    [Markup.button.callback('🔙 Admin Menu', 'admin_menu')]
-  ];
+  if (type === 'mute') {
+    keyboard = [['comments', '💬 Comments'], ['confessions', '📝 Confessions'], ['all', '🔇 Both']].map(([scope, label]) => (
+      MUTE_DURATIONS.map(hours => Markup.button.callback(`${label} ${durationLabel(hours)}`, `sanction_mute_${scope}_${hours}_${userId}`))
+    ));
+  } else {
+    keyboard = [BAN_DURATIONS.map(hours => Markup.button.callback(durationLabel(hours), `sanction_ban_all_${hours}_${userId}`))];
+  }
+  keyboard.push([Markup.button.callback('🔙 Back to User', `view_user_${userId}`)]);
   
-  await ctx.editMessageText(fullText, { 
-    parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
-  });
+  await editOrReply(ctx,
+    type === 'mute'
+      ? `🔇 *Mute User ${userId}*\n\nWhat should they be kept from, and for how long?`
+      : `⛔ *Ban User ${userId}*\n\nFor how long? A banned user can't use the bot at all.`,
+    { parse_mode: 'Markdown', reply_markup: Markup.inlineKeyboard(keyboard).reply_markup }
+  );
+  await ctx.answerCbQuery();
 });
 
-// ==================== ADMIN MENU RETURN ====================
-bot.action('admin_menu', async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+bot.action(/^sanction_(mute|ban)_(comments|confessions|all)_(\d+)_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  const stats = await getBotStats();
-  
-  const text = `🔐 *Admin Dashboard*\n\n`;
-  const users = `**Total Users:** ${stats.totalUsers}\n`;
-  const confessions = `**Pending Confessions:** ${stats.pendingConfessions}\n`;
-  const approved = `**Approved Confessions:** ${stats.approvedConfessions}\n`;
-  const rejected = `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
+  const [, type, scope, hours, userId] = ctx.match;
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `📝 Send the reason. User ${userId} will see it with the ${type === 'ban' ? 'ban' : 'mute'} (${durationLabel(parseInt(hours))}).\n\nSend /cancel to stop.`
+  );
+  await ctx.scene.enter(SANCTION_SCENE, { type, scope, hours: parseInt(hours) || null, userId: parseInt(userId) });
+});
+
+async function handleSanctionReason(ctx, text) {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
+    return;
+  }
   
-  const fullText = text + users + confessions + approved + rejected;
+  const { type, scope, hours, userId } = ctx.scene.state;
+  await applySanction(ctx, userId, { type, scope, hours, reason: text.trim().substring(0, 200) });
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('👥 Manage Users', 'manage_users')],
-    [Markup.button.callback('📝 Review Confessions', 'review_confessions')],
-    [Markup.button.callback('📢 Broadcast Message', 'broadcast_message')],
-    [Markup.button.callback('📊 Bot Statistics', 'bot_stats')],
-    [Markup.button.callback('❌ Block User', 'block_user')],
-    [Markup.button.callback('✅ Unblock User', 'unblock_user')]
-  ]);
+  await ctx.scene.leave();
+  await ctx.reply(`✅ User ${userId} ${type === 'ban' ? 'banned' : 'muted'} ${hours ? `for ${durationLabel(hours)}` : 'permanently'}.`);
+  await showAdminUser(ctx, userId);
+}
 
-  await ctx.editMessageText(fullText, { 
-    parse_mode: 'Markdown',
-    reply_markup: keyboard.reply_markup 
-  });
-  await ctx.answerCbQuery();
+bot.action(/^sanction_lift_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const userId = parseInt(ctx.match[1]);
+  await liftSanctions(ctx, userId);
+  await ctx.answerCbQuery('✅ Restrictions lifted');
+  await showAdminUser(ctx, userId);
 });
 
-// ==================== FIRST TIME WELCOME ====================
-bot.command('start', async (ctx) => {
-  const args = ctx.message.text.split(' ')[1];
-  
-  if (args && args.startsWith('comments_')) {
-    const confessionId = args.replace('comments_', '');
-    await showComments(ctx, confessionId);
+// View user confessions
+bot.action(/view_user_confessions_(.+)/, async (ctx) => {
+  // Linking a user to their confessions reveals who wrote them
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_IDENTITIES)) {
+    await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  // Get user profile
-  const profile = await getUserProfile(ctx.from.id);
+  const userId = ctx.match[1];
+  
+  const confessions = await repos.confessions.listByUser(parseInt(userId), 10);
   
-  if (!profile.isActive) {
-    await ctx.reply('❌ Your account has been blocked by admin.');
+  if (confessions.length === 0) {
+    await ctx.editMessageText(
+      `📝 *User Confessions*\n\nNo confessions found for this user.`,
+      { parse_mode: 'Markdown' }
+    );
     return;
   }
   
-  // Check if user is first-time user
-  if (!profile.isRegistered) {
-    // Update user as registered
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      isRegistered: true
-    });
+  let confessionsText = `📝 *User Confessions*\n\n`;
+  const keyboard = [];
+  
+  for (const data of confessions) {
+    const status = data.status.charAt(0).toUpperCase() + data.status.slice(1);
+    const createdAt = new Date(data.createdAt).toLocaleDateString();
     
-    // Send first-time welcome message with inline button
-    const welcomeText = `🤫 *Welcome to JU Confession Bot!*\n\nSend me your confession and it will be submitted anonymously for admin approval.\n\nYour identity will never be revealed!`;
+    confessionsText += `• #${data.confessionNumber || 'N/A'} - ${status}\n`;
+    confessionsText += `  Created: ${createdAt}\n`;
+    confessionsText += `  "${confessionSnippet(data, 50)}"\n\n`;
     
-    const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('Continue', 'continue_to_bot')]
+    keyboard.push([
+      Markup.button.callback(`🔍 View Confession #${data.confessionNumber || 'N/A'}`, `view_confession_${data.confessionId}`)
     ]);
-    
-    await ctx.replyWithMarkdown(welcomeText, keyboard);
-    return;
   }
   
-  // Regular menu for existing users
-  await showMainMenu(ctx);
-});
-
-// Handle first-time continue button
-bot.action('continue_to_bot', async (ctx) => {
-  await showMainMenu(ctx);
-  await ctx.answerCbQuery();
+  keyboard.push([Markup.button.callback('🔙 Back to User', `view_user_${userId}`)]);
+  
+  await ctx.editMessageText(confessionsText, { 
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard)
+  });
 });
 
-// ==================== CONSTANT NAVIGATION BUTTONS ====================
-async function showMainMenu(ctx) {
-  const profile = await getUserProfile(ctx.from.id);
+// ==================== REVIEW CONFESSIONS ====================
+bot.action('review_confessions', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.REVIEW_CONFESSIONS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
   
-  const text = `🤫 *JU Confession Bot*\n\n`;
-  const stats = `👤 Profile: ${profile.username || 'Not set'}\n`;
-  const reputation = `⭐ Reputation: ${profile.reputation}\n`;
-  const streak = `🔥 Streak: ${profile.dailyStreak} days\n`;
-  const bio = profile.bio ? `📝 Bio: ${profile.bio}\n` : '';
+  const pending = await repos.confessions.listByStatus('pending', { limit: 10 });
   
-  const fullText = text + stats + reputation + streak + bio + `\nChoose an option below:`;
+  if (pending.length === 0) {
+    await ctx.editMessageText(
+      `📝 *Pending Confessions*\n\nNo pending confessions to review.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
   
-  // Constant navigation buttons (not inline)
-  const keyboard = Markup.keyboard([
-    ['📝 Send Confession', '👤 My Profile'],
-    ['🔥 Trending', '🎯 Daily Check-in'],
-    ['🏷️ Hashtags', '🏆 Achievements'],
-    ['⚙️ Settings', 'ℹ️ About Us'],
-    ['🔍 Browse Users', '📌 Rules']
-  ]).resize();
+  let confessionsText = `📝 *Pending Confessions*\n\n`;
+  const keyboard = [];
+  const revealIdentity = await hasPermission(ctx.from.id, PERMISSIONS.VIEW_IDENTITIES);
+  
+  for (const [index, data] of pending.entries()) {
+    // Confession IDs embed the author's user ID, so label entries by position
+    if (revealIdentity) {
+      const user = await getUserProfile(data.userId);
+      const username = user.username ? `@${user.username}` : `ID: ${data.userId}`;
+      confessionsText += `${index + 1}. From: ${username}\n`;
+    } else {
+      confessionsText += `${index + 1}. From: Anonymous\n`;
+    }
+    
+    confessionsText += `  Confession: "${confessionSnippet(data, 50)}"\n\n`;
+    
+    keyboard.push([
+      Markup.button.callback(`✅ Approve #${index + 1}`, `approve_${data.confessionId}`),
+      Markup.button.callback(`❌ Reject #${index + 1}`, `reject_${data.confessionId}`)
+    ]);
+  }
   
-  await ctx.replyWithMarkdown(fullText, keyboard);
-}
-
-// ==================== COMMAND HANDLERS ====================
-bot.hears('📝 Send Confession', async (ctx) => {
-  await sendConfessionCommand(ctx);
-});
-
-bot.hears('👤 My Profile', async (ctx) => {
-  await myProfileCommand(ctx);
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  
+  await ctx.editMessageText(confessionsText, { 
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard)
+  });
 });
 
-bot.hears('🔥 Trending', async (ctx) => {
-  await trendingCommand(ctx);
-});
+// ==================== BROADCAST MESSAGE ====================
+// Admins compose a broadcast as a draft: a text or photo message, optional
+// URL buttons, an audience and an optional send time. A preview goes to the
+// admin first so formatting mistakes never reach every user.
+const MAX_BROADCAST_LENGTH = 3500;
+const MAX_BROADCAST_BUTTONS = 5;
+
+const BROADCAST_SEGMENTS = {
+  all: { label: '👥 All active users' },
+  reputation: {
+    label: '⭐ Reputation range',
+    prompt: 'Send the reputation range, e.g. `50-200`, or `100+` for 100 and above.'
+  },
+  joined: {
+    label: '📅 Joined after a date',
+    prompt: 'Send a date as `YYYY-MM-DD`. Users who joined on or after it get the broadcast.'
+  },
+  hashtag: {
+    label: '🏷️ Hashtag subscribers',
+    prompt: 'Send the hashtag, e.g. `#study`. Its subscribers get the broadcast.'
+  },
+  active: {
+    label: '⚡ Recently active',
+    prompt: 'Send a number of days, e.g. `7`. Users who used the bot within that many days get the broadcast.'
+  }
+};
 
-bot.hears('🎯 Daily Check-in', async (ctx) => {
-  await ctx.reply('/checkin');
-});
+function segmentLabel(segment) {
+  switch (segment.type) {
+    case 'reputation':
+      return segment.max === null ? `Reputation ${segment.min}+` : `Reputation ${segment.min} to ${segment.max}`;
+    case 'joined':
+      return `Joined since ${segment.date}`;
+    case 'hashtag':
+      return `Subscribers of ${segment.tag}`;
+    case 'active':
+      return `Active in the last ${segment.days} day(s)`;
+    default:
+      return 'All active users';
+  }
+}
 
-bot.hears('🏷️ Hashtags', async (ctx) => {
-  await hashtagsCommand(ctx);
-});
+// Banned users are outside every audience: they can't use the bot until
+// the ban ends, so a broadcast would only invite replies it refuses
+function matchesSegment(profile, segment) {
+  if (activeRestriction(profile, 'ban')) return false;
+  
+  switch (segment.type) {
+    case 'reputation':
+      return (profile.reputation || 0) >= segment.min && (segment.max === null || (profile.reputation || 0) <= segment.max);
+    case 'joined':
+      return Boolean(profile.joinDate) && profile.joinDate >= segment.after;
+    case 'hashtag':
+      return (profile.subscribedHashtags || []).includes(segment.tag);
+    case 'active':
+      return Boolean(profile.lastActiveAt) &&
+        Date.now() - new Date(profile.lastActiveAt).getTime() <= segment.days * 24 * 60 * 60 * 1000;
+    default:
+      return true;
+  }
+}
 
-bot.hears('🏆 Achievements', async (ctx) => {
-  await achievementsCommand(ctx);
-});
+async function countBroadcastRecipients(segment) {
+  let count = 0;
+  let cursor = null;
+  
+  for (;;) {
+    const users = await repos.users.listActiveAfter(cursor, 500);
+    if (users.length === 0) return count;
+    
+    count += users.filter(profile => matchesSegment(profile, segment)).length;
+    cursor = users[users.length - 1].userId;
+  }
+}
 
-bot.hears('⚙️ Settings', async (ctx) => {
-  await settingsCommand(ctx);
-});
+function broadcastText(job) {
+  return `📢 *Broadcast Message*\n\n${job.text}`;
+}
 
-bot.hears('ℹ️ About Us', async (ctx) => {
-  await aboutUsCommand(ctx);
-});
+function broadcastExtra(job) {
+  const extra = { parse_mode: 'Markdown' };
+  if (job.buttons.length > 0) {
+    extra.reply_markup = Markup.inlineKeyboard(
+      job.buttons.map(button => [Markup.button.url(button.text, button.url)])
+    ).reply_markup;
+  }
+  return extra;
+}
 
-bot.hears('🔍 Browse Users', async (ctx) => {
-  await browseUsersCommand(ctx);
-});
+// Check an admin's answer for the step they're on; returns the draft changes or an error
+function parseBroadcastInput(job, mode, text, media) {
+  switch (mode) {
+    case 'content': {
+      if (media && media.type !== 'photo') return { error: 'Only photos can be attached to a broadcast.' };
+      if (!media && !text) return { error: 'Send the message text, or a photo with an optional caption.' };
+      
+      const limit = media ? MAX_CAPTION_LENGTH : MAX_BROADCAST_LENGTH;
+      if (text.length > limit) return { error: `Message too long. Maximum ${limit} characters.` };
+      
+      return { changes: { text, media } };
+    }
+    case 'button': {
+      const match = text.match(/^(.{1,40}?)\s+-\s+((?:https?|tg):\/\/\S+)$/);
+      if (!match) return { error: 'Send the button as `Label - https://example.com`.' };
+      if (job.buttons.length >= MAX_BROADCAST_BUTTONS) return { error: `A broadcast can have at most ${MAX_BROADCAST_BUTTONS} buttons.` };
+      
+      return { changes: { buttons: [...job.buttons, { text: match[1], url: match[2] }] } };
+    }
+    case 'reputation': {
+      const match = text.match(/^(-?\d+)\s*(?:-\s*(-?\d+)|\+)$/);
+      const [min, max] = match ? [parseInt(match[1]), match[2] !== undefined ? parseInt(match[2]) : null] : [];
+      if (!match || (max !== null && max < min)) return { error: 'Send a range like `50-200` or `100+`.' };
+      
+      return { changes: { segment: { type: 'reputation', min, max } } };
+    }
+    case 'joined': {
+      const after = /^\d{4}-\d{2}-\d{2}$/.test(text) ? parseLocalTime(`${text} 00:00`) : null;
+      if (after === null) return { error: 'Send a date like `2024-09-01`.' };
+      
+      return { changes: { segment: { type: 'joined', date: text, after: new Date(after).toISOString() } } };
+    }
+    case 'hashtag': {
+      if (!/^#?\w+$/.test(text)) return { error: 'Send one hashtag, e.g. `#study`.' };
+      
+      return { changes: { segment: { type: 'hashtag', tag: normalizeTag(text) } } };
+    }
+    case 'active': {
+      const days = parseInt(text);
+      if (!/^\d+$/.test(text) || days < 1 || days > 365) return { error: 'Send a number of days from 1 to 365.' };
+      
+      return { changes: { segment: { type: 'active', days } } };
+    }
+    case 'schedule': {
+      if (text.toLowerCase() === 'now') return { changes: { scheduledFor: null } };
+      
+      const time = parseLocalTime(text);
+      if (time === null || time <= Date.now()) {
+        return { error: 'Send a future time as `HH:MM` or `YYYY-MM-DD HH:MM`, or `now`.' };
+      }
+      
+      return { changes: { scheduledFor: new Date(time).toISOString() } };
+    }
+    default:
+      return { error: 'This step has expired. Open the broadcast again.' };
+  }
+}
 
-bot.hears('📌 Rules', async (ctx) => {
-  await rulesCommand(ctx);
+bot.action('broadcast_message', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BROADCAST)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await editOrReply(ctx,
+    `📢 *New Broadcast*\n\nSend the message text, or a photo with an optional caption. Markdown formatting is supported.\n\nYou can choose the audience, add buttons, preview and schedule it next.\n\nSend /cancel to stop.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(BROADCAST_SCENE, { mode: 'content' });
+  await ctx.answerCbQuery();
 });
 
-// Individual command functions
-async function sendConfessionCommand(ctx) {
-  const userId = ctx.from.id;
+async function handleBroadcastInput(ctx, text, media = null) {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BROADCAST)) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
+    return;
+  }
   
-  // Check if user is active
-  const profile = await getUserProfile(userId);
-  if (!profile.isActive) {
-    await ctx.reply('❌ Your account has been blocked by admin.');
+  const { mode, broadcastId } = ctx.scene.state;
+  const job = broadcastId ? await repos.broadcasts.get(broadcastId) : null;
+  
+  if (broadcastId && job?.status !== 'draft') {
+    await ctx.reply('❌ This broadcast can no longer be edited.');
+    await ctx.scene.leave();
     return;
   }
   
-  // Check cooldown using persistent system
-  const canSubmit = await checkCooldown(userId, 'confession', 60000); // 1 minute cooldown
-  if (!canSubmit) {
-    const cooldownRef = await db.collection('user_cooldowns').doc(userId.toString()).get();
-    if (cooldownRef.exists) {
-      const data = cooldownRef.data();
-      const lastSubmit = data.confession || 0;
-      const waitTime = Math.ceil((60000 - (Date.now() - lastSubmit)) / 1000);
-      await ctx.reply(`Please wait ${waitTime} seconds before submitting another confession.`);
-      return;
-    }
+  const { error, changes } = parseBroadcastInput(job, mode, text.trim(), media);
+  if (error) {
+    await ctx.reply(`❌ ${error}`, { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  let draft;
+  if (job) {
+    await repos.broadcasts.update(broadcastId, changes);
+    draft = { ...job, ...changes };
+  } else {
+    draft = await repos.broadcasts.create({ ...changes, createdBy: ctx.from.id, reportChatId: ctx.chat.id });
   }
-
-  await ctx.replyWithMarkdown(
-    `✍️ *Send Your Confession*\n\nType your confession below (max 1000 characters):\n\nYou can add hashtags like #love #study #funny`
-  );
   
-  ctx.session.waitingForConfession = true;
+  await ctx.scene.leave();
+  await showBroadcastDraft(ctx, draft);
 }
 
-async function myProfileCommand(ctx) {
-  const profile = await getUserProfile(ctx.from.id);
-  
-  const profileText = `👤 *Your Profile*\n\n`;
-  const username = profile.username ? `**Username:** @${profile.username}\n` : `**Username:** Not set\n`;
-  const bio = profile.bio ? `**Bio:** ${profile.bio}\n` : `**Bio:** Not set\n`;
-  const followers = `**Followers:** ${profile.followers.length}\n`;
-  const following = `**Following:** ${profile.following.length}\n`;
-  const confessions = `**Total Confessions:** ${profile.totalConfessions}\n`;
-  const reputation = `**Reputation:** ${profile.reputation}\n`;
-  const achievements = `**Achievements:** ${profile.achievementCount}\n`;
-  const streak = `**Daily Streak:** ${profile.dailyStreak} days\n`;
-  const joinDate = `**Member Since:** ${new Date(profile.joinDate).toLocaleDateString()}\n`;
-  
-  const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + streak + joinDate;
+// Counting reads every user, so the draft keeps the count for the segment it
+// was made for and only counts again once the audience changes
+async function draftRecipientCount(job) {
+  const segmentKey = JSON.stringify(job.segment);
+  if (job.audienceCount?.segmentKey === segmentKey) return job.audienceCount.count;
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Set Username', 'set_username')],
-    [Markup.button.callback('📝 Set Bio', 'set_bio')],
-    [Markup.button.callback('👥 Followers', 'show_followers')],
-    [Markup.button.callback('👥 Following', 'show_following')],
-    [Markup.button.callback('🏆 View Achievements', 'view_achievements')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
-
-  await ctx.replyWithMarkdown(fullText, keyboard);
+  const count = await countBroadcastRecipients(job.segment);
+  await repos.broadcasts.update(job.broadcastId, { audienceCount: { segmentKey, count } });
+  return count;
 }
 
-async function trendingCommand(ctx) {
-  const trending = await getTrendingConfessions(5);
+async function showBroadcastDraft(ctx, job) {
+  const recipients = await draftRecipientCount(job);
+  const id = job.broadcastId;
+  const snippet = `${job.text.substring(0, 200)}${job.text.length > 200 ? '...' : ''}`;
   
-  if (trending.length === 0) {
-    await ctx.reply('No trending confessions yet. Be the first to submit one!');
-    return;
-  }
+  let text = `📢 *Broadcast Draft*\n\n`;
+  if (snippet) text += `${escapeMarkdown(snippet)}\n\n`;
+  if (job.media) text += `📷 With a photo\n`;
+  text += `🔗 Buttons: ${job.buttons.length > 0 ? escapeMarkdown(job.buttons.map(button => button.text).join(', ')) : 'none'}\n`;
+  text += `🎯 Audience: ${escapeMarkdown(segmentLabel(job.segment))} (${recipients} user(s))\n`;
+  text += `🕒 Sending: ${job.scheduledFor ? formatLocalTime(job.scheduledFor) : 'right away'}\n\n`;
+  text += `Send yourself a preview to check the formatting before it goes out.`;
   
-  let trendingText = `🔥 *Trending Confessions*\n\n`;
+  const keyboard = [
+    [
+      Markup.button.callback('✏️ Edit Message', `bcast_edit_${id}`),
+      Markup.button.callback('👀 Preview', `bcast_preview_${id}`)
+    ],
+    [
+      Markup.button.callback('🎯 Audience', `bcast_audience_${id}`),
+      Markup.button.callback('🔗 Add Button', `bcast_button_${id}`)
+    ]
+  ];
   
-  trending.forEach((confession, index) => {
-    trendingText += `${index + 1}. #${confession.confessionNumber}\n`;
-    trendingText += `   ${confession.text.substring(0, 100)}${confession.text.length > 100 ? '...' : ''}\n`;
-    trendingText += `   Comments: ${confession.totalComments || 0}\n\n`;
-  });
+  if (job.buttons.length > 0) {
+    keyboard.push([Markup.button.callback('🧹 Remove Buttons', `bcast_clearbuttons_${id}`)]);
+  }
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  keyboard.push([Markup.button.callback('🕒 Schedule', `bcast_schedule_${id}`)]);
+  keyboard.push([
+    Markup.button.callback(job.scheduledFor ? '✅ Confirm Schedule' : '🚀 Send Now', `bcast_send_${id}`),
+    Markup.button.callback('🗑️ Discard', `bcast_discard_${id}`)
   ]);
-
-  await ctx.replyWithMarkdown(trendingText, keyboard);
+  
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
 }
 
-async function hashtagsCommand(ctx) {
-  // Get popular hashtags from recent confessions
-  const confessionsSnapshot = await db.collection('confessions')
-    .where('status', '==', 'approved')
-    .orderBy('createdAt', 'desc')
-    .limit(50)
-    .get();
-  
-  const hashtagCount = {};
-  
-  confessionsSnapshot.forEach(doc => {
-    const data = doc.data();
-    const hashtags = extractHashtags(data.text);
-    hashtags.forEach(tag => {
-      hashtagCount[tag] = (hashtagCount[tag] || 0) + 1;
-    });
-  });
-  
-  // Sort hashtags by count
-  const sortedHashtags = Object.entries(hashtagCount)
-    .sort((a, b) => b[1] - a[1])
-    .slice(0, 10);
-  
-  if (sortedHashtags.length === 0) {
-    await ctx.reply('No hashtags found yet. Use #hashtags in your confessions!');
+// Prompts for the steps that wait for the admin's next message
+const BROADCAST_PROMPTS = {
+  edit: ['content', 'Send the new message text, or a photo with an optional caption. It replaces the current message.'],
+  button: ['button', 'Send the button as `Label - https://example.com`. Each button opens its link.'],
+  schedule: ['schedule', `Send the time to send it as \`HH:MM\` or \`YYYY-MM-DD HH:MM\` (${escapeMarkdown(BOT_TIMEZONE)}), or \`now\` to send it right away.`]
+};
+
+bot.action(/^bcast_(edit|preview|audience|button|clearbuttons|schedule|send|discard|open)_(.+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BROADCAST)) {
+    await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  let hashtagsText = `🏷️ *Popular Hashtags*\n\n`;
-  
-  sortedHashtags.forEach(([tag, count], index) => {
-    hashtagsText += `${index + 1}. ${tag} (${count} uses)\n`;
-  });
+  const [, action, broadcastId] = ctx.match;
+  const job = await repos.broadcasts.get(broadcastId);
+  if (!job || job.status !== 'draft') {
+    await ctx.answerCbQuery('❌ This broadcast can no longer be edited');
+    return;
+  }
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
-
-  await ctx.replyWithMarkdown(hashtagsText, keyboard);
-}
+  switch (action) {
+    case 'edit':
+    case 'button':
+    case 'schedule': {
+      const [mode, prompt] = BROADCAST_PROMPTS[action];
+      await ctx.answerCbQuery();
+      await ctx.reply(`${prompt}\n\nSend /cancel to keep the draft as it is.`, { parse_mode: 'Markdown' });
+      await ctx.scene.enter(BROADCAST_SCENE, { mode, broadcastId });
+      return;
+    }
+    
+    case 'preview':
+      try {
+        await sendConfessionMessage(ctx.from.id, job, broadcastText(job), broadcastExtra(job));
+        await ctx.answerCbQuery('👀 Preview sent');
+      } catch (error) {
+        await ctx.answerCbQuery();
+        await ctx.reply(`❌ The preview couldn't be sent: ${error.description || error.message}\n\nCheck the message's Markdown and buttons.`);
+      }
+      return;
+    
+    case 'audience': {
+      const keyboard = Object.entries(BROADCAST_SEGMENTS).map(([type, { label }]) => [
+        Markup.button.callback(label, `bcast_seg_${type}_${broadcastId}`)
+      ]);
+      keyboard.push([Markup.button.callback('🔙 Back to Draft', `bcast_open_${broadcastId}`)]);
+      
+      await ctx.answerCbQuery();
+      await editOrReply(ctx,
+        `🎯 *Broadcast Audience*\n\nCurrently: ${escapeMarkdown(segmentLabel(job.segment))}\n\nWho should get this broadcast?`,
+        { parse_mode: 'Markdown', reply_markup: Markup.inlineKeyboard(keyboard).reply_markup }
+      );
+      return;
+    }
+    
+    case 'clearbuttons':
+      await repos.broadcasts.update(broadcastId, { buttons: [] });
+      await ctx.answerCbQuery('🧹 Buttons removed');
+      await showBroadcastDraft(ctx, { ...job, buttons: [] });
+      return;
+    
+    case 'discard':
+      await repos.broadcasts.remove(broadcastId);
+      await ctx.answerCbQuery();
+      await editOrReply(ctx, '🗑️ Broadcast discarded.');
+      return;
+    
+    case 'send':
+      await ctx.answerCbQuery();
+      await startBroadcast(ctx, job);
+      return;
+    
+    default:
+      await ctx.answerCbQuery();
+      await showBroadcastDraft(ctx, job);
+  }
+});
 
-async function achievementsCommand(ctx) {
-  const profile = await getUserProfile(ctx.from.id);
-  
-  const achievements = profile.achievements || [];
+bot.action(/^bcast_seg_(\w+?)_(.+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BROADCAST)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
   
-  if (achievements.length === 0) {
-    await ctx.reply('No achievements yet. Start using the bot to unlock achievements!');
+  const [, type, broadcastId] = ctx.match;
+  const job = await repos.broadcasts.get(broadcastId);
+  if (!job || job.status !== 'draft' || !BROADCAST_SEGMENTS[type]) {
+    await ctx.answerCbQuery('❌ This broadcast can no longer be edited');
     return;
   }
   
-  let achievementsText = `🏆 *Your Achievements*\n\n`;
+  await ctx.answerCbQuery();
   
-  const achievementNames = {
-    'first_confession': 'First Confession',
-    'ten_confessions': 'Confession Master',
-    'fifty_followers': 'Popular User',
-    'week_streak': 'Week Streak'
+  if (type === 'all') {
+    await repos.broadcasts.update(broadcastId, { segment: { type: 'all' } });
+    await showBroadcastDraft(ctx, { ...job, segment: { type: 'all' } });
+    return;
+  }
+  
+  await ctx.reply(`${BROADCAST_SEGMENTS[type].prompt}\n\nSend /cancel to keep the current audience.`, { parse_mode: 'Markdown' });
+  await ctx.scene.enter(BROADCAST_SCENE, { mode: type, broadcastId });
+});
+
+// Turn a draft into a running or scheduled job; the draft message becomes its report
+async function startBroadcast(ctx, job) {
+  const scheduled = job.scheduledFor && new Date(job.scheduledFor).getTime() > Date.now();
+  const changes = {
+    status: scheduled ? 'scheduled' : 'running',
+    scheduledFor: scheduled ? job.scheduledFor : null,
+    reportChatId: ctx.chat.id,
+    reportMessageId: ctx.callbackQuery.message.message_id
   };
   
-  achievements.forEach(achievement => {
-    achievementsText += `• ${achievementNames[achievement] || achievement}\n`;
+  await repos.broadcasts.update(job.broadcastId, changes);
+  
+  await logAudit(ctx, 'broadcast', {
+    targetId: job.broadcastId,
+    details: {
+      text: job.text.substring(0, 200),
+      photo: Boolean(job.media),
+      audience: segmentLabel(job.segment),
+      scheduledFor: changes.scheduledFor
+    }
   });
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
-
-  await ctx.replyWithMarkdown(achievementsText, keyboard);
+  // The cron endpoint picks it up on its next run and keeps this report current
+  const started = { ...job, ...changes };
+  await editOrReply(ctx, broadcastReportText(started), {
+    parse_mode: 'Markdown',
+    reply_markup: broadcastReportKeyboard(started).reply_markup
+  });
 }
 
-async function settingsCommand(ctx) {
-  const profile = await getUserProfile(ctx.from.id);
-  
-  const text = `⚙️ *Settings*\n\nConfigure your bot preferences:\n\n`;
-  const notifications = `**Notifications:** ${profile.notifications.confessionApproved ? '✅' : '❌'} Confession Approved\n`;
-  const comments = `**Comments:** ${profile.notifications.newComment ? '✅' : '❌'} New Comments\n`;
-  const followers = `**Followers:** ${profile.notifications.newFollower ? '✅' : '❌'} New Followers\n`;
-  
-  const fullText = text + notifications + comments + followers;
-  
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Set Username', 'set_username')],
-    [Markup.button.callback('📝 Set Bio', 'set_bio')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
+// Broadcasts are sent in batches a little under Telegram's limit of about 30
+// messages a second, and each cron run stops after a time budget so it never
+// runs into the function timeout
+const BROADCAST_BATCH_SIZE = 25;
+const BROADCAST_SEND_DELAY_MS = 50;
+const BROADCAST_TIME_BUDGET_MS = 5000;
+// Well past the time budget, so a runner never loses its job mid-run
+const BROADCAST_LEASE_MS = 60 * 1000;
+
+function broadcastReportText(job) {
+  const { sent, failed, blocked } = job.counts;
+  const heading = {
+    scheduled: `🕒 *Broadcast scheduled for ${formatLocalTime(job.scheduledFor)}*`,
+    running: job.resumeAfter
+      ? '⏳ *Broadcast paused by Telegram rate limit*'
+      : job.cursor === null ? '📤 *Broadcast starting within a few minutes*' : '📤 *Broadcast in progress*',
+    completed: '✅ *Broadcast finished*',
+    cancelled: '⏹ *Broadcast stopped*'
+  }[job.status];
+  
+  let text = `${heading}\n\n`;
+  text += `🎯 ${escapeMarkdown(segmentLabel(job.segment))}\n\n`;
+  text += `✅ Sent: ${sent}\n`;
+  text += `❌ Failed: ${failed}\n`;
+  text += `🚫 Blocked the bot: ${blocked}\n`;
+  if (job.completedAt) text += `\nFinished ${formatLocalTime(job.completedAt)}`;
+  
+  return text;
+}
 
-  await ctx.replyWithMarkdown(fullText, keyboard);
+function broadcastReportKeyboard(job) {
+  const buttons = {
+    scheduled: [[Markup.button.callback('⏹ Cancel Broadcast', `bcast_stop_${job.broadcastId}`)]],
+    running: [[Markup.button.callback('⏹ Stop Broadcast', `bcast_stop_${job.broadcastId}`)]]
+  };
+  return Markup.inlineKeyboard(buttons[job.status] || []);
 }
 
-async function aboutUsCommand(ctx) {
-  const text = `ℹ️ *About Us*\n\nThis is an anonymous confession platform for JU students.\n\nFeatures:\n• Anonymous confessions\n• Admin approval system\n• User profiles\n• Social features\n• Comment system\n• Reputation system\n• Achievements\n• Daily check-ins\n\n100% private and secure.`;
+async function updateBroadcastReport(job) {
+  if (!job.reportMessageId) return;
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
-
-  await ctx.replyWithMarkdown(text, keyboard);
+  try {
+    await bot.telegram.editMessageText(job.reportChatId, job.reportMessageId, undefined, broadcastReportText(job), {
+      parse_mode: 'Markdown',
+      reply_markup: broadcastReportKeyboard(job).reply_markup
+    });
+  } catch (error) {
+    // "message is not modified" when nothing changed since the last run
+    if (!error.description?.includes('not modified')) {
+      console.error('Broadcast report error:', error);
+    }
+  }
 }
 
-async function browseUsersCommand(ctx) {
-  // Get all users except current user
-  const usersSnapshot = await db.collection('users')
-    .where('username', '!=', null) // Only users with usernames
-    .where('isActive', '==', true) // Only active users
-    .orderBy('reputation', 'desc') // Sort by reputation
-    .limit(10)
-    .get();
-  
-  if (usersSnapshot.empty) {
-    await ctx.reply(
-      `🔍 *Browse Users*\n\nNo users found.`
-    );
-    return;
-  }
-  
-  let usersText = `🔍 *Browse Users*\n\n`;
-  const keyboard = [];
+// Send the next batches of one job until it runs out of recipients, time or
+// Telegram asks us to slow down
+async function sendBroadcastBatches(job, runnerId, deadline) {
+  const text = broadcastText(job);
+  const extra = broadcastExtra(job);
   
-  for (const doc of usersSnapshot.docs) {
-    const userData = doc.data();
-    if (userData.userId === ctx.from.id) continue; // Skip current user
+  while (Date.now() < deadline) {
+    // Re-read the job so a stop from the report message takes effect
+    const current = await repos.broadcasts.get(job.broadcastId);
+    if (current.status !== 'running' || current.runnerId !== runnerId) return;
     
-    const name = userData.username;
-    const bio = userData.bio || 'No bio';
-    const followers = userData.followers.length;
-    const reputation = userData.reputation;
+    const recipients = await repos.users.listActiveAfter(current.cursor, BROADCAST_BATCH_SIZE);
     
-    usersText += `• @${name} (${reputation}⭐, ${followers} followers)\n`;
-    usersText += `  ${bio}\n\n`;
+    if (recipients.length === 0) {
+      await repos.broadcasts.update(job.broadcastId, {
+        status: 'completed',
+        completedAt: new Date().toISOString()
+      });
+      return;
+    }
     
-    keyboard.push([
-      Markup.button.callback(`👤 View @${name}`, `view_profile_${userData.userId}`)
-    ]);
+    let skippedTo = null;
+    for (const recipient of recipients) {
+      if (Date.now() >= deadline) break;
+      
+      if (!matchesSegment(recipient, job.segment)) {
+        skippedTo = recipient.userId;
+        continue;
+      }
+      skippedTo = null;
+      
+      const result = await deliverMessage(recipient.userId, text, extra, job.media);
+      
+      if (result.status === 'rate_limited') {
+        await repos.broadcasts.update(job.broadcastId, {
+          resumeAfter: new Date(Date.now() + result.retryAfter * 1000).toISOString()
+        });
+        return;
+      }
+      
+      await repos.broadcasts.recordDelivery(job.broadcastId, recipient.userId, result.status, result.error);
+      await new Promise(resolve => setTimeout(resolve, BROADCAST_SEND_DELAY_MS));
+    }
+    
+    // Users outside the audience get no delivery record, so move past them here
+    if (skippedTo !== null) await repos.broadcasts.update(job.broadcastId, { cursor: skippedTo });
   }
-  
-  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
-  
-  await ctx.replyWithMarkdown(usersText, Markup.inlineKeyboard(keyboard));
 }
 
-async function rulesCommand(ctx) {
-  const text = `📌 *Confession Rules*\n\n✅ Be respectful\n✅ No personal attacks\n✅ No spam or ads\n✅ Keep it anonymous\n✅ No hate speech\n✅ No illegal content\n✅ No harassment\n✅ Use appropriate hashtags`;
+// Carry every due or running broadcast forward and refresh the sender's
+// report. Jobs another run holds the lease on are left to it
+async function runBroadcasts() {
+  const deadline = Date.now() + BROADCAST_TIME_BUDGET_MS;
+  const runnerId = crypto.randomUUID();
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('📝 Send Confession', 'send_confession')],
-    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
-
-  await ctx.replyWithMarkdown(text, keyboard);
+  const candidates = [
+    ...await repos.broadcasts.listDueScheduled(),
+    ...await repos.broadcasts.listRunning()
+  ];
+  
+  for (const candidate of candidates) {
+    if (Date.now() >= deadline) break;
+    
+    const job = await repos.broadcasts.claim(candidate.broadcastId, runnerId, BROADCAST_LEASE_MS);
+    if (!job) continue;
+    
+    try {
+      await sendBroadcastBatches(job, runnerId, deadline);
+    } finally {
+      await repos.broadcasts.release(job.broadcastId, runnerId);
+    }
+    await updateBroadcastReport(await repos.broadcasts.get(job.broadcastId));
+  }
 }
 
-// Back to menu action
-bot.action('back_to_menu', async (ctx) => {
-  await showMainMenu(ctx);
-  await ctx.answerCbQuery();
+bot.action(/^bcast_stop_(.+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BROADCAST)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const job = await repos.broadcasts.get(ctx.match[1]);
+  if (!job || !['running', 'scheduled'].includes(job.status)) {
+    await ctx.answerCbQuery('This broadcast has already ended');
+    return;
+  }
+  
+  await repos.broadcasts.update(job.broadcastId, {
+    status: 'cancelled',
+    completedAt: new Date().toISOString()
+  });
+  
+  await logAudit(ctx, 'stop_broadcast', {
+    targetId: job.broadcastId,
+    before: { status: job.status },
+    after: { status: 'cancelled' },
+    details: { sent: job.counts.sent }
+  });
+  
+  await ctx.answerCbQuery('⏹ Broadcast stopped');
+  await updateBroadcastReport(await repos.broadcasts.get(job.broadcastId));
 });
 
-// Daily check-in action
-bot.action('daily_checkin', async (ctx) => {
-  await ctx.reply('/checkin');
+// ==================== BLOCK/UNBLOCK USER ====================
+bot.action('block_user', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await ctx.editMessageText(
+    `❌ *Block User*\n\nEnter the user ID to ban permanently, optionally followed by the reason the user will see (e.g. \`12345 spamming\`).\n\nFor a temporary ban or a mute, open the user from 👥 Manage Users.\n\nSend /cancel to stop.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(BLOCK_SCENE, { block: true });
   await ctx.answerCbQuery();
 });
 
-// View achievements action
-bot.action('view_achievements', async (ctx) => {
-  await achievementsCommand(ctx);
+bot.action('unblock_user', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await ctx.editMessageText(
+    `✅ *Unblock User*\n\nEnter the user ID to lift all bans and mutes:\n\nSend /cancel to stop.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(BLOCK_SCENE, { block: false });
   await ctx.answerCbQuery();
 });
 
-// ==================== MY PROFILE ACTIONS ====================
-bot.action('show_followers', async (ctx) => {
-  const profile = await getUserProfile(ctx.from.id);
-  const followerIds = profile.followers || [];
+async function handleBlockStatus(ctx, text) {
+  const { block } = ctx.scene.state;
   
-  if (followerIds.length === 0) {
-    await ctx.editMessageText(
-      `👥 *Your Followers*\n\nNo followers yet.`,
-      { parse_mode: 'Markdown' }
-    );
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.BLOCK_USERS)) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
     return;
   }
   
-  let followersText = `👥 *Your Followers (${followerIds.length})*\n\n`;
+  // "12345 reason" for a ban, just the ID to lift
+  const match = text.trim().match(/^(\d+)\s*([\s\S]*)$/);
+  if (!match) {
+    await ctx.reply('❌ Invalid user ID. Please enter a valid number.');
+    return;
+  }
   
-  for (const followerId of followerIds) {
-    const followerProfile = await getUserProfile(followerId);
-    const name = followerProfile.username || 'Anonymous';
-    const reputation = followerProfile.reputation;
-    followersText += `• @${name} (${reputation}⭐)\n`;
+  const userId = parseInt(match[1]);
+  if (!await repos.users.get(userId)) {
+    await ctx.reply(`❌ User ${userId} not found.`);
+    return;
   }
   
-  const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-  ]);
+  await ctx.scene.leave();
   
-  await ctx.editMessageText(followersText, { 
-    parse_mode: 'Markdown',
-    reply_markup: keyboard.reply_markup 
-  });
-});
+  if (block) {
+    await applySanction(ctx, userId, {
+      type: 'ban',
+      hours: null,
+      reason: match[2].substring(0, 200) || 'Blocked by admin'
+    });
+    await ctx.reply(`✅ User ${userId} has been banned permanently.`);
+  } else {
+    await liftSanctions(ctx, userId);
+    await ctx.reply(`✅ Restrictions lifted for user ${userId}.`);
+  }
+}
 
-bot.action('show_following', async (ctx) => {
-  const profile = await getUserProfile(ctx.from.id);
-  const followingIds = profile.following || [];
+// ==================== AUDIT LOG ====================
+const AUDIT_ACTIONS = [
+  'approve_confession', 'reject_confession', 'broadcast', 'stop_broadcast',
+  'message_user', 'grant_role', 'revoke_role', 'update_filter',
+  'hide_comment', 'unhide_comment', 'delete_comment', 'dismiss_reports',
+  'unschedule_confession', 'reorder_queue', 'update_publishing', 'warn_user',
+  'mute_user', 'ban_user', 'lift_sanctions', 'resolve_appeal'
+];
+const AUDIT_PAGE_SIZE = 10;
+
+// Record a privileged action; a failed write is logged but never blocks the action
+async function logAudit(ctx, action, { targetId = null, targetUserId = null, before = null, after = null, details = null } = {}) {
+  const actor = actorOf(ctx);
   
-  if (followingIds.length === 0) {
-    await ctx.editMessageText(
-      `👥 *You're Following*\n\nNot following anyone yet.`,
-      { parse_mode: 'Markdown' }
-    );
-    return;
+  try {
+    await repos.auditLog.record({
+      action: action,
+      actorId: actor.id,
+      actorName: actor.name,
+      targetId: targetId === null ? null : targetId.toString(),
+      targetUserId: targetUserId === null ? null : targetUserId.toString(),
+      before: before,
+      after: after,
+      details: details
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+}
+
+// "key: value, key: value" for before/after snapshots
+function formatAuditValues(values) {
+  if (!values) return 'none';
+  return Object.entries(values).map(([key, value]) => `${key}: ${value}`).join(', ');
+}
+
+function formatAuditEntry(entry) {
+  let text = `• *${escapeMarkdown(entry.action)}* — ${new Date(entry.createdAt).toLocaleString()}\n`;
+  text += `  By: ${escapeMarkdown(entry.actorName || '')} (${entry.actorId})\n`;
+  
+  if (entry.targetId) {
+    const user = entry.targetUserId && entry.targetUserId !== entry.targetId ? ` (user ${entry.targetUserId})` : '';
+    text += `  Target: ${escapeMarkdown(entry.targetId)}${user}\n`;
+  }
+  if (entry.before || entry.after) {
+    text += `  Change: ${escapeMarkdown(formatAuditValues(entry.before))} → ${escapeMarkdown(formatAuditValues(entry.after))}\n`;
+  }
+  if (entry.details) {
+    text += `  Details: ${escapeMarkdown(formatAuditValues(entry.details))}\n`;
   }
   
-  let followingText = `👥 *You're Following (${followingIds.length})*\n\n`;
+  return text;
+}
+
+async function showAuditLog(ctx, page) {
+  const filters = ctx.session.auditFilters || {};
   
-  for (const followingId of followingIds) {
-    const followingProfile = await getUserProfile(followingId);
-    const name = followingProfile.username || 'Anonymous';
-    const reputation = followingProfile.reputation;
-    followingText += `• @${name} (${reputation}⭐)\n`;
+  // Fetch one extra entry to know whether there is a next page
+  const entries = await repos.auditLog.list(filters, {
+    limit: AUDIT_PAGE_SIZE + 1,
+    offset: page * AUDIT_PAGE_SIZE
+  });
+  const hasNext = entries.length > AUDIT_PAGE_SIZE;
+  
+  const labels = { actorId: 'admin', targetUserId: 'user', action: 'action' };
+  const activeFilters = Object.entries(filters).map(([key, value]) => `${labels[key]}:${value}`).join(' ');
+  let text = `📜 *Audit Log* (page ${page + 1})\n`;
+  text += activeFilters ? `Filters: ${escapeMarkdown(activeFilters)}\n\n` : `\n`;
+  
+  if (entries.length === 0) {
+    text += 'No entries found.';
+  } else {
+    text += entries.slice(0, AUDIT_PAGE_SIZE).map(formatAuditEntry).join('\n');
   }
   
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('⬅️ Newer', `auditlog_page_${page - 1}`));
+  if (hasNext) navigation.push(Markup.button.callback('Older ➡️', `auditlog_page_${page + 1}`));
+  
   const keyboard = Markup.inlineKeyboard([
-    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
-    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    ...(navigation.length > 0 ? [navigation] : []),
+    [Markup.button.callback('🔙 Admin Menu', 'admin_menu')]
   ]);
   
-  await ctx.editMessageText(followingText, { 
+  await editOrReply(ctx, text, {
     parse_mode: 'Markdown',
-    reply_markup: keyboard.reply_markup 
+    reply_markup: keyboard.reply_markup
   });
-});
+}
 
-// ==================== BROWSE USERS ====================
-bot.action('browse_users', async (ctx) => {
-  // Get all users except current user
-  const usersSnapshot = await db.collection('users')
-    .where('username', '!=', null) // Only users with usernames
-    .where('isActive', '==', true) // Only active users
-    .orderBy('reputation', 'desc') // Sort by reputation
-    .limit(10)
-    .get();
-  
-  if (usersSnapshot.empty) {
-    await ctx.editMessageText(
-      `🔍 *Browse Users*\n\nNo users found.`,
-      { parse_mode: 'Markdown' }
-    );
+// /auditlog [admin:<id>] [user:<id>] [action:<type>] — no arguments clears the filters
+bot.command('auditlog', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_AUDIT_LOG)) {
+    await ctx.reply('❌ Access denied. Admin only command.');
     return;
   }
   
-  let usersText = `🔍 *Browse Users*\n\n`;
-  const keyboard = [];
+  const filters = {};
+  const args = ctx.message.text.split(/\s+/).slice(1);
   
-  for (const doc of usersSnapshot.docs) {
-    const userData = doc.data();
-    if (userData.userId === ctx.from.id) continue; // Skip current user
-    
-    const name = userData.username;
-    const bio = userData.bio || 'No bio';
-    const followers = userData.followers.length;
-    const reputation = userData.reputation;
+  for (const arg of args) {
+    const [key, value] = arg.split(':');
     
-    usersText += `• @${name} (${reputation}⭐, ${followers} followers)\n`;
-    usersText += `  ${bio}\n\n`;
-    
-    keyboard.push([
-      Markup.button.callback(`👤 View @${name}`, `view_profile_${userData.userId}`)
-    ]);
+    if (key === 'admin' && value) filters.actorId = value;
+    else if (key === 'user' && value) filters.targetUserId = value;
+    else if (key === 'action' && AUDIT_ACTIONS.includes(value)) filters.action = value;
+    else {
+      await ctx.reply(
+        `❌ Unknown filter: ${arg}\n\n` +
+        `Usage: /auditlog [admin:<id>] [user:<id>] [action:<type>]\n` +
+        `Action types: ${AUDIT_ACTIONS.join(', ')}`
+      );
+      return;
+    }
   }
   
-  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+  ctx.session.auditFilters = filters;
+  await showAuditLog(ctx, 0);
+});
+
+bot.action(/^auditlog_page_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_AUDIT_LOG)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
   
-  await ctx.editMessageText(usersText, { 
-    parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
-  });
+  await showAuditLog(ctx, parseInt(ctx.match[1]));
+  await ctx.answerCbQuery();
 });
 
-// ==================== VIEW USER PROFILE ====================
-bot.action(/view_profile_(.+)/, async (ctx) => {
-  const targetUserId = ctx.match[1];
-  const targetProfile = await getUserProfile(targetUserId);
-  const currentUserProfile = await getUserProfile(ctx.from.id);
+// ==================== ROLE MANAGEMENT ====================
+bot.command('roles', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MANAGE_ROLES)) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
   
-  const profileText = `👤 *Profile*\n\n`;
-  const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
-  const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
-  const followers = `**Followers:** ${targetProfile.followers.length}\n`;
-  const following = `**Following:** ${targetProfile.following.length}\n`;
-  const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
-  const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
-  const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
-  const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
+  const assignments = await repos.roles.list();
   
-  const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
+  let text = `👮 *Staff Roles*\n\n`;
+  text += `*${ROLES.owner.label}* (ADMIN\\_IDS)\n`;
+  text += ownerIds().map(id => `• ${id}`).join('\n') || '• none';
+  text += '\n';
   
-  // Check if user is already following
-  const isFollowing = currentUserProfile.following.includes(parseInt(targetUserId));
+  for (const [role, { label, permissions }] of Object.entries(ROLES)) {
+    const holders = assignments.filter(assignment => assignment.role === role);
+    if (holders.length === 0) continue;
+    
+    text += `\n*${label}* — ${escapeMarkdown(permissions.join(', '))}\n`;
+    text += holders.map(holder => `• ${holder.userId} (by ${escapeMarkdown(holder.grantedBy?.name || 'unknown')})`).join('\n');
+    text += '\n';
+  }
   
-  const keyboard = [
-    [isFollowing 
-      ? Markup.button.callback('✅ Following', `unfollow_${targetUserId}`)
-      : Markup.button.callback('➕ Follow', `follow_${targetUserId}`)
-    ]
-  ];
+  text += `\nUse /grant <user ID> <${Object.keys(ROLES).join('|')}> or /revoke <user ID>.`;
   
-  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+  await ctx.reply(text, { parse_mode: 'Markdown' });
+});
+
+bot.command('grant', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MANAGE_ROLES)) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
   
-  await ctx.editMessageText(fullText, { 
-    parse_mode: 'Markdown',
-    reply_markup: Markup.inlineKeyboard(keyboard)
+  const [userId, role] = ctx.message.text.split(/\s+/).slice(1);
+  
+  if (!userId || !/^\d+$/.test(userId) || !ROLES[role]) {
+    await ctx.reply(`Usage: /grant <user ID> <${Object.keys(ROLES).join('|')}>`);
+    return;
+  }
+  
+  if (ownerIds().includes(userId)) {
+    await ctx.reply(`❌ ${userId} is an owner through ADMIN_IDS. Change the environment variable instead.`);
+    return;
+  }
+  
+  const previous = await repos.roles.get(userId);
+  await repos.roles.set(userId, role, actorOf(ctx));
+  
+  await logAudit(ctx, 'grant_role', {
+    targetId: userId,
+    targetUserId: userId,
+    before: { role: previous?.role || 'none' },
+    after: { role: role }
   });
+  
+  await ctx.reply(`✅ ${userId} is now ${ROLES[role].label}.`);
+  
+  await notify(userId, 'staff', `🔐 You have been given the ${ROLES[role].label} role. Use /admin to open the dashboard.`);
 });
 
-// ==================== FOLLOW/UNFOLLOW ====================
-bot.action(/follow_(.+)/, async (ctx) => {
-  const targetUserId = parseInt(ctx.match[1]);
+bot.command('revoke', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MANAGE_ROLES)) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
   
-  if (targetUserId === ctx.from.id) {
-    await ctx.answerCbQuery('❌ You cannot follow yourself');
+  const [userId] = ctx.message.text.split(/\s+/).slice(1);
+  
+  if (!userId || !/^\d+$/.test(userId)) {
+    await ctx.reply('Usage: /revoke <user ID>');
     return;
   }
   
-  try {
-    // Add to current user's following
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      following: admin.firestore.FieldValue.arrayUnion(targetUserId)
-    });
-    
-    // Add to target user's followers
-    await db.collection('users').doc(targetUserId.toString()).update({
-      followers: admin.firestore.FieldValue.arrayUnion(ctx.from.id)
-    });
-    
-    await ctx.answerCbQuery('✅ Following!');
-    
-    // Update the message
-    const targetProfile = await getUserProfile(targetUserId);
-    const profileText = `👤 *Profile*\n\n`;
-    const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
-    const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
-    const followers = `**Followers:** ${targetProfile.followers.length + 1}\n`;
-    const following = `**Following:** ${targetProfile.following.length}\n`;
-    const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
-    const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
-    const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
-    const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
-    
-    const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
-    
-    const keyboard = [
-      [Markup.button.callback('✅ Following', `unfollow_${targetUserId}`)],
-      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-    ];
-    
-    await ctx.editMessageText(fullText, { 
-      parse_mode: 'Markdown',
-      reply_markup: Markup.inlineKeyboard(keyboard)
-    });
-    
-  } catch (error) {
-    console.error('Follow error:', error);
-    await ctx.answerCbQuery('❌ Error following user');
+  if (ownerIds().includes(userId)) {
+    await ctx.reply(`❌ ${userId} is an owner through ADMIN_IDS. Change the environment variable instead.`);
+    return;
+  }
+  
+  const previous = await repos.roles.get(userId);
+  if (!previous) {
+    await ctx.reply(`ℹ️ ${userId} has no staff role.`);
+    return;
   }
+  
+  await repos.roles.delete(userId);
+  
+  await logAudit(ctx, 'revoke_role', {
+    targetId: userId,
+    targetUserId: userId,
+    before: { role: previous.role },
+    after: { role: 'none' }
+  });
+  
+  await ctx.reply(`✅ Removed the ${ROLES[previous.role]?.label || previous.role} role from ${userId}.`);
 });
 
-bot.action(/unfollow_(.+)/, async (ctx) => {
-  const targetUserId = parseInt(ctx.match[1]);
+// ==================== CONTENT FILTER ====================
+const FILTER_USAGE = [
+  '/filter ban <word or phrase>',
+  '/filter unban <word or phrase>',
+  `/filter words <${ACTIONS.join('|')}>`,
+  `/filter rule <${ACTIONS.join('|')}> /pattern/flags [reason]`,
+  '/filter unrule <rule ID>',
+  `/filter detect <${Object.keys(DETECTORS).join('|')}> <${ACTIONS.join('|')}|off>`,
+  '/filter test <text>'
+].join('\n');
+
+async function getFilterSettings() {
+  return withDefaults(await repos.moderation.getSettings() || {});
+}
+
+// Plain text: patterns are full of characters Markdown would mangle
+function filterSettingsText(settings) {
+  let text = '🧹 Content Filter\n\n';
+  text += `Banned words (${settings.bannedWordAction}): ${settings.bannedWords.join(', ') || 'none'}\n\n`;
   
-  try {
-    // Remove from current user's following
-    await db.collection('users').doc(ctx.from.id.toString()).update({
-      following: admin.firestore.FieldValue.arrayRemove(targetUserId)
-    });
+  text += 'Rules:\n';
+  text += settings.rules.map(rule => `• ${rule.id} ${rule.action} /${rule.pattern}/${rule.flags}${rule.reason ? ` — ${rule.reason}` : ''}`).join('\n') || '• none';
+  text += '\n\n';
+  
+  text += `Detectors: ${Object.keys(DETECTORS).map(name => `${name}: ${settings.detectors[name]}`).join(', ')}\n\n`;
+  text += FILTER_USAGE;
+  
+  return text;
+}
+
+// Apply one /filter subcommand; returns the reply, or null if the arguments were invalid
+function applyFilterCommand(settings, command, args) {
+  const value = args.join(' ').trim().toLowerCase();
+  
+  switch (command) {
+    case 'ban':
+      if (!value) return null;
+      if (!settings.bannedWords.includes(value)) settings.bannedWords.push(value);
+      return `✅ "${value}" added to the banned words.`;
+      
+    case 'unban':
+      if (!settings.bannedWords.includes(value)) return `ℹ️ "${value}" is not a banned word.`;
+      settings.bannedWords = settings.bannedWords.filter(word => word !== value);
+      return `✅ "${value}" removed from the banned words.`;
+      
+    case 'words':
+      if (!ACTIONS.includes(value)) return null;
+      settings.bannedWordAction = value;
+      return `✅ Banned words will now ${value} a confession.`;
+      
+    case 'rule': {
+      const [action, literal, ...reason] = args;
+      const parsed = literal?.match(/^\/(.+)\/([imsu]*)$/);
+      if (!ACTIONS.includes(action) || !parsed) return null;
+      
+      const rule = {
+        id: `r${settings.nextRuleId}`,
+        action: action,
+        pattern: parsed[1],
+        flags: parsed[2],
+        reason: reason.join(' ')
+      };
+      
+      try {
+        compileRule(rule);
+      } catch (error) {
+        return `❌ Invalid pattern: ${error.message}`;
+      }
+      
+      settings.rules.push(rule);
+      settings.nextRuleId++;
+      return `✅ Rule ${rule.id} added.`;
+    }
     
-    // Remove from target user's followers
-    await db.collection('users').doc(targetUserId.toString()).update({
-      followers: admin.firestore.FieldValue.arrayRemove(ctx.from.id)
+    case 'unrule':
+      if (!settings.rules.some(rule => rule.id === value)) return `ℹ️ No rule with ID ${value}.`;
+      settings.rules = settings.rules.filter(rule => rule.id !== value);
+      return `✅ Rule ${value} removed.`;
+      
+    case 'detect': {
+      const [name, action] = args;
+      if (!DETECTORS[name] || !(ACTIONS.includes(action) || action === 'off')) return null;
+      settings.detectors[name] = action;
+      return `✅ ${DETECTORS[name].label} detector set to ${action}.`;
+    }
+    
+    default:
+      return null;
+  }
+}
+
+bot.command('filter', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MANAGE_FILTER)) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  const [command, ...args] = ctx.message.text.split(/\s+/).slice(1);
+  const settings = await getFilterSettings();
+  
+  if (!command) {
+    await ctx.reply(filterSettingsText(settings));
+    return;
+  }
+  
+  // Dry run against the current settings
+  if (command === 'test') {
+    const result = screenText(args.join(' '), settings);
+    await ctx.reply(
+      `Result: ${result.action}\n` +
+      `Reasons: ${result.reasons.join(', ') || 'none'}\n` +
+      `Text: ${result.text}`
+    );
+    return;
+  }
+  
+  const before = JSON.parse(JSON.stringify(settings));
+  const reply = applyFilterCommand(settings, command, args);
+  
+  if (reply === null) {
+    await ctx.reply(`❌ Invalid filter command.\n\n${FILTER_USAGE}`);
+    return;
+  }
+  
+  if (JSON.stringify(before) !== JSON.stringify(settings)) {
+    await repos.moderation.saveSettings(settings);
+    await logAudit(ctx, 'update_filter', {
+      details: { command: ctx.message.text.substring(0, 200) }
+    });
+  }
+  
+  await ctx.reply(reply);
+});
+
+bot.action('content_filter', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MANAGE_FILTER)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await ctx.editMessageText(filterSettingsText(await getFilterSettings()), {
+    reply_markup: Markup.inlineKeyboard([[Markup.button.callback('🔙 Admin Menu', 'admin_menu')]]).reply_markup
+  });
+  await ctx.answerCbQuery();
+});
+
+// ==================== BOT STATISTICS ====================
+bot.action('bot_stats', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.VIEW_STATS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const stats = await getBotStats();
+  
+  const text = `📊 *Bot Statistics*\n\n`;
+  const users = `**Total Users:** ${stats.totalUsers}\n`;
+  const confessions = `**Pending Confessions:** ${stats.pendingConfessions}\n`;
+  const scheduled = `**Scheduled Confessions:** ${stats.scheduledConfessions}\n`;
+  const approved = `**Approved Confessions:** ${stats.approvedConfessions}\n`;
+  const rejected = `**Rejected Confessions:** ${stats.rejectedConfessions}\n`;
+  const total = `**Total Confessions:** ${stats.pendingConfessions + stats.scheduledConfessions + stats.approvedConfessions + stats.rejectedConfessions}\n`;
+  
+  const fullText = text + users + confessions + scheduled + approved + rejected + total;
+  
+  const keyboard = [
+    [Markup.button.callback('👥 Manage Users', 'manage_users')],
+    [Markup.button.callback('📝 Review Confessions', 'review_confessions')],
+    [Markup.button.callback('🔙 Admin Menu', 'admin_menu')]
+  ];
+  
+  await ctx.editMessageText(fullText, { 
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard)
+  });
+});
+
+// ==================== ADMIN MENU RETURN ====================
+bot.action('admin_menu', async (ctx) => {
+  if (!await isStaff(ctx.from.id)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const { text, keyboard } = await adminDashboard(ctx.from.id);
+
+  await ctx.editMessageText(text, { 
+    parse_mode: 'Markdown',
+    reply_markup: keyboard.reply_markup 
+  });
+  await ctx.answerCbQuery();
+});
+
+// ==================== FIRST TIME WELCOME ====================
+bot.command('start', async (ctx) => {
+  const args = ctx.message.text.split(' ')[1];
+  
+  await reactivateReturningUser(ctx.from.id);
+  
+  if (args && args.startsWith('comments_')) {
+    const confessionId = args.replace('comments_', '');
+    await showComments(ctx, confessionId);
+    
+    // Opening a post from the channel counts as a view for trending
+    repos.confessions.recordView(confessionId).catch(error => {
+      console.error('Record view error:', error);
+    });
+    return;
+  }
+  
+  // Get user profile
+  const profile = await getUserProfile(ctx.from.id);
+  
+  // Check if user is first-time user
+  if (!profile.isRegistered) {
+    // Update user as registered
+    await repos.users.update(ctx.from.id, {
+      isRegistered: true
+    });
+    
+    // Send first-time welcome message with inline button
+    const welcomeText = `🤫 *Welcome to JU Confession Bot!*\n\nSend me your confession and it will be submitted anonymously for admin approval.\n\nYour identity will never be revealed!`;
+    
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('Continue', 'continue_to_bot')]
+    ]);
+    
+    await ctx.replyWithMarkdown(welcomeText, keyboard);
+    return;
+  }
+  
+  // Regular menu for existing users
+  await showMainMenu(ctx);
+});
+
+// Handle first-time continue button
+bot.action('continue_to_bot', async (ctx) => {
+  await showMainMenu(ctx);
+  await ctx.answerCbQuery();
+});
+
+// ==================== CONSTANT NAVIGATION BUTTONS ====================
+async function showMainMenu(ctx) {
+  const profile = await getUserProfile(ctx.from.id);
+  
+  const text = `🤫 *JU Confession Bot*\n\n`;
+  const stats = `👤 Profile: ${profile.username || 'Not set'}\n`;
+  const reputation = `⭐ Reputation: ${profile.reputation}\n`;
+  const streak = `🔥 Streak: ${profile.dailyStreak} days\n`;
+  const bio = profile.bio ? `📝 Bio: ${profile.bio}\n` : '';
+  
+  const fullText = text + stats + reputation + streak + bio + `\nChoose an option below:`;
+  
+  // Constant navigation buttons (not inline)
+  const keyboard = Markup.keyboard(MAIN_MENU_LAYOUT).resize();
+  
+  await ctx.replyWithMarkdown(fullText, keyboard);
+}
+
+// ==================== COMMAND HANDLERS ====================
+bot.hears('📝 Send Confession', async (ctx) => {
+  await sendConfessionCommand(ctx);
+});
+
+bot.hears('👤 My Profile', async (ctx) => {
+  await myProfileCommand(ctx);
+});
+
+bot.hears('🔥 Trending', async (ctx) => {
+  await trendingCommand(ctx);
+});
+
+bot.hears('🎯 Daily Check-in', async (ctx) => {
+  await ctx.reply('/checkin');
+});
+
+bot.hears('🏷️ Hashtags', async (ctx) => {
+  await hashtagsCommand(ctx);
+});
+
+bot.hears('🏆 Achievements', async (ctx) => {
+  await achievementsCommand(ctx);
+});
+
+bot.hears('⚙️ Settings', async (ctx) => {
+  await settingsCommand(ctx);
+});
+
+bot.hears('ℹ️ About Us', async (ctx) => {
+  await aboutUsCommand(ctx);
+});
+
+bot.hears('🔍 Browse Users', async (ctx) => {
+  await browseUsersCommand(ctx);
+});
+
+bot.hears('🔎 Search', async (ctx) => {
+  await ctx.reply(`🔎 *Search Confessions*\n\n${SEARCH_USAGE}\n\nSend /cancel to stop.`, { parse_mode: 'Markdown' });
+  await ctx.scene.enter(SEARCH_SCENE);
+});
+
+bot.hears('📌 Rules', async (ctx) => {
+  await rulesCommand(ctx);
+});
+
+// Individual command functions
+async function sendConfessionCommand(ctx) {
+  const userId = ctx.from.id;
+  
+  // Resume an unfinished draft instead of starting over
+  const draft = await repos.drafts.get(userId);
+  if (draft) {
+    await showDraftPreview(ctx, draft, `📝 *You have an unfinished draft*`);
+    return;
+  }
+  
+  if (!(await checkConfessionCooldown(ctx, userId))) {
+    return;
+  }
+
+  await ctx.replyWithMarkdown(
+    `✍️ *Send Your Confession*\n\nType your confession below (max 1000 characters), or send a photo, video, voice note, document or sticker with an optional caption.\n\nYou can add hashtags like #love #study #funny\n\nSend /cancel to stop.`
+  );
+  
+  await ctx.scene.enter(CONFESSION_SCENE);
+}
+
+// Check cooldown using persistent system, telling the user how long to wait
+async function checkConfessionCooldown(ctx, userId) {
+  const canSubmit = await checkCooldown(userId, 'confession', 60000); // 1 minute cooldown
+  if (!canSubmit) {
+    const lastSubmit = await repos.cooldowns.getLastAction(userId, 'confession');
+    if (lastSubmit) {
+      const waitTime = Math.ceil((60000 - (Date.now() - lastSubmit)) / 1000);
+      await ctx.reply(`Please wait ${waitTime} seconds before submitting another confession.`);
+      return false;
+    }
+  }
+  
+  return true;
+}
+
+async function myProfileCommand(ctx) {
+  const profile = await getUserProfile(ctx.from.id);
+  
+  const profileText = `👤 *Your Profile*\n\n`;
+  const username = profile.username ? `**Username:** @${profile.username}\n` : `**Username:** Not set\n`;
+  const bio = profile.bio ? `**Bio:** ${profile.bio}\n` : `**Bio:** Not set\n`;
+  const followers = `**Followers:** ${profile.followers.length}\n`;
+  const following = `**Following:** ${profile.following.length}\n`;
+  const confessions = `**Total Confessions:** ${profile.totalConfessions}\n`;
+  const reputation = `**Reputation:** ${profile.reputation}\n`;
+  const achievements = `**Achievements:** ${profile.achievementCount}\n`;
+  const streak = `**Daily Streak:** ${profile.dailyStreak} days\n`;
+  const joinDate = `**Member Since:** ${new Date(profile.joinDate).toLocaleDateString()}\n`;
+  
+  const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + streak + joinDate;
+  
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback('📝 Set Username', 'set_username')],
+    [Markup.button.callback('📝 Set Bio', 'set_bio')],
+    [Markup.button.callback('👥 Followers', 'show_followers')],
+    [Markup.button.callback('👥 Following', 'show_following')],
+    [Markup.button.callback('📰 Feed', 'feed')],
+    [Markup.button.callback('🏆 View Achievements', 'view_achievements')],
+    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  ]);
+
+  await ctx.replyWithMarkdown(fullText, keyboard);
+}
+
+async function trendingCommand(ctx, period = 'day') {
+  const trending = await getTrendingConfessions(5, period);
+  
+  let trendingText = `🔥 *Trending Confessions · ${TRENDING_PERIODS[period].label}*\n\n`;
+  
+  if (trending.length === 0) {
+    trendingText += 'Nothing trending here yet. Be the first to submit one!';
+  }
+  
+  trending.forEach((confession, index) => {
+    const stats = [
+      confessionReactionSummary(confession),
+      `💬 ${confession.totalComments || 0}`,
+      `👁️ ${confession.views || 0}`
+    ].filter(Boolean).join('  ');
+    
+    trendingText += `${index + 1}. #${confession.confessionNumber}\n`;
+    trendingText += `   ${confessionSnippet(confession, 100)}\n`;
+    trendingText += `   ${stats}\n\n`;
+  });
+  
+  const keyboard = Markup.inlineKeyboard([
+    Object.entries(TRENDING_PERIODS).map(([key, { label }]) => (
+      Markup.button.callback(key === period ? `• ${label} •` : label, `trending_${key}`)
+    )),
+    [Markup.button.callback('📝 Send Confession', 'send_confession')],
+    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  ]);
+
+  await editOrReply(ctx, trendingText, {
+    parse_mode: 'Markdown',
+    reply_markup: keyboard.reply_markup
+  });
+}
+
+bot.action(/^trending_(day|week|all)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await trendingCommand(ctx, ctx.match[1]);
+});
+
+async function hashtagsCommand(ctx) {
+  const [popular, profile] = await Promise.all([
+    repos.hashtags.listPopular(10),
+    getUserProfile(ctx.from.id)
+  ]);
+  const subscribed = profile.subscribedHashtags || [];
+  
+  if (popular.length === 0 && subscribed.length === 0) {
+    await ctx.reply('No hashtags found yet. Use #hashtags in your confessions!');
+    return;
+  }
+  
+  let hashtagsText = `🏷️ *Popular Hashtags*\n\n`;
+  
+  popular.forEach(({ tag, count }, index) => {
+    hashtagsText += `${index + 1}. ${escapeMarkdown(tag)} (${count} confessions)\n`;
+  });
+  
+  if (subscribed.length > 0) {
+    hashtagsText += `\n🔔 *Subscribed:* ${escapeMarkdown(subscribed.join(' '))}\n`;
+  }
+  
+  // Tag buttons, two per row; open a tag to see its confessions or subscribe.
+  // Tags stored before the length cap don't fit in a button
+  const tags = [...new Set([...popular.map(({ tag }) => tag), ...subscribed])]
+    .filter(tag => tag.length <= MAX_HASHTAG_LENGTH + 1);
+  const tagButtons = tags.map(tag => Markup.button.callback(tag, `htag_${tag.substring(1)}_0`));
+  const rows = [];
+  for (let i = 0; i < tagButtons.length; i += 2) rows.push(tagButtons.slice(i, i + 2));
+  
+  const keyboard = Markup.inlineKeyboard([
+    ...rows,
+    [Markup.button.callback('📝 Send Confession', 'send_confession')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  ]);
+
+  await editOrReply(ctx, hashtagsText, {
+    parse_mode: 'Markdown',
+    reply_markup: keyboard.reply_markup
+  });
+}
+
+// ==================== HASHTAG PAGES ====================
+const HASHTAG_PAGE_SIZE = 5;
+
+async function showHashtag(ctx, tag, page = 0) {
+  const [stats, profile] = await Promise.all([
+    repos.hashtags.get(tag),
+    getUserProfile(ctx.from.id)
+  ]);
+  const total = stats?.count || 0;
+  const totalPages = Math.max(1, Math.ceil(total / HASHTAG_PAGE_SIZE));
+  const items = await repos.confessions.listApprovedContaining('tags', tag, {
+    offset: page * HASHTAG_PAGE_SIZE,
+    limit: HASHTAG_PAGE_SIZE
+  });
+  const subscribed = (profile.subscribedHashtags || []).includes(tag);
+  const name = tag.substring(1);
+  
+  let text = `🏷️ *${escapeMarkdown(tag)}*\n`;
+  text += `${total} confession(s) · ${stats?.subscriberCount || 0} subscriber(s) · Page ${page + 1}/${totalPages}\n\n`;
+  
+  if (items.length === 0) {
+    text += 'No confessions with this hashtag yet.\n';
+  }
+  items.forEach(confession => {
+    text += confessionResultText(confession);
+  });
+  
+  const keyboard = [];
+  
+  if (items.length > 0) {
+    keyboard.push(items.map(confession => (
+      Markup.button.callback(`💬 #${confession.confessionNumber}`, `cmts_${confession.confessionId}_0`)
+    )));
+  }
+  
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('⬅️ Prev', `htag_${name}_${page - 1}`));
+  if (page + 1 < totalPages) navigation.push(Markup.button.callback('Next ➡️', `htag_${name}_${page + 1}`));
+  if (navigation.length > 0) keyboard.push(navigation);
+  
+  keyboard.push([subscribed
+    ? Markup.button.callback('🔕 Unsubscribe', `hunsub_${name}`)
+    : Markup.button.callback('🔔 Subscribe', `hsub_${name}`)
+  ]);
+  keyboard.push([Markup.button.callback('🏷️ All Hashtags', 'hashtags')]);
+  
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
+}
+
+bot.action('hashtags', async (ctx) => {
+  await ctx.answerCbQuery();
+  await hashtagsCommand(ctx);
+});
+
+bot.action(/^htag_(\w+)_(\d+)$/, async (ctx) => {
+  await ctx.answerCbQuery();
+  await showHashtag(ctx, normalizeTag(ctx.match[1]), parseInt(ctx.match[2]));
+});
+
+bot.action(/^h(sub|unsub)_(\w+)$/, async (ctx) => {
+  const tag = normalizeTag(ctx.match[2]);
+  
+  // Make sure the profile exists before the subscription is stored on it
+  await getUserProfile(ctx.from.id);
+  
+  if (ctx.match[1] === 'sub') {
+    await repos.hashtags.subscribe(tag, ctx.from.id);
+    await ctx.answerCbQuery(`🔔 You'll get new ${tag} confessions`);
+  } else {
+    await repos.hashtags.unsubscribe(tag, ctx.from.id);
+    await ctx.answerCbQuery(`🔕 Unsubscribed from ${tag}`);
+  }
+  
+  await showHashtag(ctx, tag);
+});
+
+// DM everyone subscribed to one of the confession's tags (once each, never the author)
+async function notifyHashtagSubscribers(confession) {
+  const tags = confessionTags(confession);
+  const recipients = new Map();
+  
+  for (const tag of tags) {
+    for (const subscriber of await repos.hashtags.listSubscribers(tag)) {
+      if (subscriber.userId === confession.userId || !subscriber.isActive) continue;
+      if (!recipients.has(subscriber.userId)) recipients.set(subscriber.userId, tag);
+    }
+  }
+  
+  const url = channelPostUrl(confession);
+  const buttons = [Markup.button.url('💬 Comments', commentsUrl(confession.confessionId))];
+  if (url) buttons.unshift(Markup.button.url('📢 View post', url));
+  
+  for (const [userId, tag] of recipients) {
+    await notify(userId, 'hashtagPosts',
+      `🏷️ *New ${escapeMarkdown(tag)} confession: #${confession.confessionNumber}*\n\n${escapeMarkdown(confessionSnippet(confession, 300))}`,
+      { parse_mode: 'Markdown', reply_markup: Markup.inlineKeyboard([buttons]).reply_markup }
+    );
+  }
+}
+
+async function achievementsCommand(ctx) {
+  const profile = await getUserProfile(ctx.from.id);
+  
+  const achievements = profile.achievements || [];
+  
+  if (achievements.length === 0) {
+    await ctx.reply('No achievements yet. Start using the bot to unlock achievements!');
+    return;
+  }
+  
+  let achievementsText = `🏆 *Your Achievements*\n\n`;
+  
+  const achievementNames = {
+    'first_confession': 'First Confession',
+    'ten_confessions': 'Confession Master',
+    'fifty_followers': 'Popular User',
+    'week_streak': 'Week Streak'
+  };
+  
+  achievements.forEach(achievement => {
+    achievementsText += `• ${achievementNames[achievement] || achievement}\n`;
+  });
+  
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
+    [Markup.button.callback('📝 Send Confession', 'send_confession')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  ]);
+
+  await ctx.replyWithMarkdown(achievementsText, keyboard);
+}
+
+async function settingsCommand(ctx) {
+  const profile = await getUserProfile(ctx.from.id);
+  const quiet = profile.quietHours;
+  
+  let text = `⚙️ *Settings*\n\nTap a notification type to switch it on or off.\n\n`;
+  text += `🌙 *Quiet hours:* ${quiet ? `${quiet.start}:00–${quiet.end}:00 (${escapeMarkdown(BOT_TIMEZONE)})` : 'off'}\n`;
+  text += `📬 *Delivery:* ${profile.digestMode === 'daily' ? `daily summary at ${DIGEST_HOUR}:00` : 'instant'}\n`;
+  
+  const keyboard = Object.entries(NOTIFICATION_TYPES).map(([type, { label }]) => [
+    Markup.button.callback(`${notificationEnabled(profile, type) ? '✅' : '❌'} ${label}`, `notif_toggle_${type}`)
+  ]);
+  
+  keyboard.push([
+    Markup.button.callback('🌙 Quiet Hours', 'notif_quiet'),
+    Markup.button.callback(profile.digestMode === 'daily' ? '⚡ Instant' : '📬 Daily Summary', 'notif_digest')
+  ]);
+  keyboard.push([Markup.button.callback('📝 Set Username', 'set_username')]);
+  keyboard.push([Markup.button.callback('📝 Set Bio', 'set_bio')]);
+  keyboard.push([Markup.button.callback('🔍 Browse Users', 'browse_users')]);
+  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
+}
+
+bot.action(/^notif_toggle_(\w+)$/, async (ctx) => {
+  const type = ctx.match[1];
+  if (!NOTIFICATION_TYPES[type]) {
+    await ctx.answerCbQuery();
+    return;
+  }
+  
+  const profile = await getUserProfile(ctx.from.id);
+  const enabled = !notificationEnabled(profile, type);
+  
+  await repos.users.update(ctx.from.id, { [`notifications.${type}`]: enabled });
+  await ctx.answerCbQuery(`${NOTIFICATION_TYPES[type].label}: ${enabled ? 'on' : 'off'}`);
+  await settingsCommand(ctx);
+});
+
+bot.action('notif_digest', async (ctx) => {
+  const profile = await getUserProfile(ctx.from.id);
+  const digestMode = profile.digestMode === 'daily' ? 'instant' : 'daily';
+  
+  await repos.users.update(ctx.from.id, { digestMode });
+  await ctx.answerCbQuery(digestMode === 'daily' ? `📬 One summary a day at ${DIGEST_HOUR}:00` : '⚡ Notifications arrive instantly');
+  await settingsCommand(ctx);
+});
+
+bot.action('notif_quiet', async (ctx) => {
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `🌙 *Quiet Hours*\n\nSend the hours to hold notifications, e.g. \`22-7\` for 22:00 to 07:00 (${escapeMarkdown(BOT_TIMEZONE)}), or \`off\`.\n\nSend /cancel to keep the current setting.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(QUIET_HOURS_SCENE);
+});
+
+async function handleQuietHours(ctx, text) {
+  const value = text.trim().toLowerCase();
+  let quietHours = null;
+  
+  if (value !== 'off') {
+    const match = value.match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+    const [start, end] = match ? [parseInt(match[1]), parseInt(match[2])] : [];
+    
+    if (!match || start > 23 || end > 23 || start === end) {
+      await ctx.reply('❌ Send two different hours from 0 to 23, e.g. 22-7, or "off".');
+      return;
+    }
+    quietHours = { start, end };
+  }
+  
+  await repos.users.update(ctx.from.id, { quietHours });
+  await ctx.scene.leave();
+  await ctx.reply(quietHours
+    ? `✅ Quiet hours set to ${quietHours.start}:00–${quietHours.end}:00.`
+    : '✅ Quiet hours turned off.');
+  await settingsCommand(ctx);
+}
+
+async function aboutUsCommand(ctx) {
+  const text = `ℹ️ *About Us*\n\nThis is an anonymous confession platform for JU students.\n\nFeatures:\n• Anonymous confessions\n• Admin approval system\n• User profiles\n• Social features\n• Comment system\n• Reputation system\n• Achievements\n• Daily check-ins\n\n100% private and secure.`;
+  
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback('📝 Send Confession', 'send_confession')],
+    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
+    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  ]);
+
+  await ctx.replyWithMarkdown(text, keyboard);
+}
+
+async function browseUsersCommand(ctx) {
+  // Get all users except current user
+  const users = await repos.users.listBrowsable(10);
+  
+  if (users.length === 0) {
+    await ctx.reply(
+      `🔍 *Browse Users*\n\nNo users found.`
+    );
+    return;
+  }
+  
+  let usersText = `🔍 *Browse Users*\n\n`;
+  const keyboard = [];
+  
+  for (const userData of users) {
+    if (userData.userId === ctx.from.id) continue; // Skip current user
+    
+    const name = userData.username;
+    const bio = userData.bio || 'No bio';
+    const followers = userData.followers.length;
+    const reputation = userData.reputation;
+    
+    usersText += `• @${name} (${reputation}⭐, ${followers} followers)\n`;
+    usersText += `  ${bio}\n\n`;
+    
+    keyboard.push([
+      Markup.button.callback(`👤 View @${name}`, `view_profile_${userData.userId}`)
+    ]);
+  }
+  
+  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+  
+  await ctx.replyWithMarkdown(usersText, Markup.inlineKeyboard(keyboard));
+}
+
+async function rulesCommand(ctx) {
+  const text = `📌 *Confession Rules*\n\n✅ Be respectful\n✅ No personal attacks\n✅ No spam or ads\n✅ Keep it anonymous\n✅ No hate speech\n✅ No illegal content\n✅ No harassment\n✅ Use appropriate hashtags`;
+  
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback('📝 Send Confession', 'send_confession')],
+    [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
+    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  ]);
+
+  await ctx.replyWithMarkdown(text, keyboard);
+}
+
+// Back to menu action
+bot.action('back_to_menu', async (ctx) => {
+  await showMainMenu(ctx);
+  await ctx.answerCbQuery();
+});
+
+// Daily check-in action
+bot.action('daily_checkin', async (ctx) => {
+  await ctx.reply('/checkin');
+  await ctx.answerCbQuery();
+});
+
+// View achievements action
+bot.action('view_achievements', async (ctx) => {
+  await achievementsCommand(ctx);
+  await ctx.answerCbQuery();
+});
+
+// ==================== MY PROFILE ACTIONS ====================
+bot.action('show_followers', async (ctx) => {
+  const profile = await getUserProfile(ctx.from.id);
+  const followerIds = profile.followers || [];
+  
+  if (followerIds.length === 0) {
+    await ctx.editMessageText(
+      `👥 *Your Followers*\n\nNo followers yet.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  let followersText = `👥 *Your Followers (${followerIds.length})*\n\n`;
+  
+  for (const followerId of followerIds) {
+    const followerProfile = await getUserProfile(followerId);
+    const name = followerProfile.username || 'Anonymous';
+    const reputation = followerProfile.reputation;
+    followersText += `• @${name} (${reputation}⭐)\n`;
+  }
+  
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  ]);
+  
+  await ctx.editMessageText(followersText, { 
+    parse_mode: 'Markdown',
+    reply_markup: keyboard.reply_markup 
+  });
+});
+
+bot.action('show_following', async (ctx) => {
+  const profile = await getUserProfile(ctx.from.id);
+  const followingIds = profile.following || [];
+  
+  if (followingIds.length === 0) {
+    await ctx.editMessageText(
+      `👥 *You're Following*\n\nNot following anyone yet.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  let followingText = `👥 *You're Following (${followingIds.length})*\n\n`;
+  
+  for (const followingId of followingIds) {
+    const followingProfile = await getUserProfile(followingId);
+    const name = followingProfile.username || 'Anonymous';
+    const reputation = followingProfile.reputation;
+    followingText += `• @${name} (${reputation}⭐)\n`;
+  }
+  
+  const keyboard = Markup.inlineKeyboard([
+    [Markup.button.callback('🔍 Browse Users', 'browse_users')],
+    [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+  ]);
+  
+  await ctx.editMessageText(followingText, { 
+    parse_mode: 'Markdown',
+    reply_markup: keyboard.reply_markup 
+  });
+});
+
+// ==================== BROWSE USERS ====================
+bot.action('browse_users', async (ctx) => {
+  // Get all users except current user
+  const users = await repos.users.listBrowsable(10);
+  
+  if (users.length === 0) {
+    await ctx.editMessageText(
+      `🔍 *Browse Users*\n\nNo users found.`,
+      { parse_mode: 'Markdown' }
+    );
+    return;
+  }
+  
+  let usersText = `🔍 *Browse Users*\n\n`;
+  const keyboard = [];
+  
+  for (const userData of users) {
+    if (userData.userId === ctx.from.id) continue; // Skip current user
+    
+    const name = userData.username;
+    const bio = userData.bio || 'No bio';
+    const followers = userData.followers.length;
+    const reputation = userData.reputation;
+    
+    usersText += `• @${name} (${reputation}⭐, ${followers} followers)\n`;
+    usersText += `  ${bio}\n\n`;
+    
+    keyboard.push([
+      Markup.button.callback(`👤 View @${name}`, `view_profile_${userData.userId}`)
+    ]);
+  }
+  
+  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+  
+  await ctx.editMessageText(usersText, { 
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard)
+  });
+});
+
+// ==================== VIEW USER PROFILE ====================
+bot.action(/view_profile_(.+)/, async (ctx) => {
+  const targetUserId = ctx.match[1];
+  const targetProfile = await getUserProfile(targetUserId);
+  const currentUserProfile = await getUserProfile(ctx.from.id);
+  
+  const profileText = `👤 *Profile*\n\n`;
+  const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
+  const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
+  const followers = `**Followers:** ${targetProfile.followers.length}\n`;
+  const following = `**Following:** ${targetProfile.following.length}\n`;
+  const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
+  const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
+  const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
+  const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
+  
+  const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
+  
+  // Check if user is already following
+  const isFollowing = currentUserProfile.following.includes(parseInt(targetUserId));
+  
+  const keyboard = [
+    [isFollowing 
+      ? Markup.button.callback('✅ Following', `unfollow_${targetUserId}`)
+      : Markup.button.callback('➕ Follow', `follow_${targetUserId}`)
+    ]
+  ];
+  
+  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+  
+  await ctx.editMessageText(fullText, { 
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard)
+  });
+});
+
+// ==================== FOLLOWER ACTIVITY ====================
+// Following someone never reveals which confessions are theirs unless they
+// opt in with shareConfessionsWithFollowers. Otherwise followers who enabled
+// alerts only hear that "someone you follow" posted, merged into one digest
+// sent after a random delay so the timing doesn't point at a post either.
+const FOLLOWER_DIGEST_DELAY_MIN_MS = 60 * 60 * 1000;
+const FOLLOWER_DIGEST_DELAY_MAX_MS = 6 * 60 * 60 * 1000;
+const FEED_SIZE = 10;
+
+function profileAlias(profile) {
+  return profile.username ? `@${profile.username}` : 'Someone';
+}
+
+async function notifyNewFollower(targetProfile, followerProfile) {
+  await notify(targetProfile.userId, 'newFollower',
+    `👥 *New follower!*\n\n${escapeMarkdown(profileAlias(followerProfile))} started following you.`,
+    {
+      parse_mode: 'Markdown',
+      reply_markup: Markup.inlineKeyboard([
+        [Markup.button.callback('👤 View Profile', `view_profile_${followerProfile.userId}`)]
+      ]).reply_markup
+    }
+  );
+}
+
+async function notifyFollowers(confession) {
+  const author = await repos.users.get(confession.userId);
+  if (!author || !author.followers?.length) return;
+  
+  const now = Date.now();
+  for (const followerId of author.followers) {
+    const follower = await repos.users.get(followerId);
+    if (!follower?.isActive || !notificationEnabled(follower, 'followedPosts')) continue;
+    
+    if (author.shareConfessionsWithFollowers) {
+      await repos.outbox.add(followerId, 'followed_post', {
+        confessionId: confession.confessionId,
+        confessionNumber: confession.confessionNumber,
+        authorAlias: profileAlias(author)
+      }, new Date(now).toISOString());
+    } else {
+      const delay = FOLLOWER_DIGEST_DELAY_MIN_MS +
+        Math.random() * (FOLLOWER_DIGEST_DELAY_MAX_MS - FOLLOWER_DIGEST_DELAY_MIN_MS);
+      await repos.outbox.addToDigest(followerId, 'followed_digest', new Date(now + delay).toISOString());
+    }
+  }
+}
+
+// What an outbox entry sends; entries with a `type` still go through the
+// user's preferences, held messages and digests were already checked
+function outboxMessage({ kind, data }) {
+  switch (kind) {
+    case 'followed_post':
+      return {
+        type: 'followedPosts',
+        text: `📰 *${escapeMarkdown(data.authorAlias)} posted Confession #${data.confessionNumber}*`,
+        extra: {
+          parse_mode: 'Markdown',
+          reply_markup: Markup.inlineKeyboard([[Markup.button.url('💬 Comments', commentsUrl(data.confessionId))]]).reply_markup
+        }
+      };
+    case 'followed_digest':
+      return {
+        type: 'followedPosts',
+        text: data.count === 1
+          ? '📰 Someone you follow posted a new confession. Check the channel!'
+          : `📰 People you follow posted ${data.count} new confessions. Check the channel!`,
+        extra: {
+          reply_markup: Markup.inlineKeyboard([[Markup.button.callback('📰 Open Feed', 'feed')]]).reply_markup
+        }
+      };
+    case 'message':
+      return { text: data.text, extra: data.extra };
+    case 'daily_digest': {
+      const lines = Object.entries(NOTIFICATION_TYPES)
+        .filter(([type]) => data[type] > 0)
+        .map(([type, { summary }]) => `• ${data[type]} ${summary}`);
+      return {
+        text: `📬 *Your daily summary*\n\n${lines.join('\n')}`,
+        extra: { parse_mode: 'Markdown' }
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+// Send outbox messages that are due; failed ones are dropped rather than retried forever
+async function deliverNotifications() {
+  const due = await repos.outbox.listDue(20);
+  
+  for (const entry of due) {
+    const message = outboxMessage(entry);
+    
+    if (message?.type) {
+      await notify(entry.userId, message.type, message.text, message.extra);
+    } else if (message) {
+      // Held back or summarised before a ban came in
+      const profile = await repos.users.get(entry.userId);
+      if (profile && !activeRestriction(profile, 'ban')) {
+        await sendNow(entry.userId, message.text, message.extra);
+      }
+    }
+    
+    await repos.outbox.remove(entry.entryId);
+  }
+}
+
+// Recent posts by followed users who share them with followers
+async function showFeed(ctx) {
+  const profile = await getUserProfile(ctx.from.id);
+  const following = await Promise.all(profile.following.map(userId => repos.users.get(userId)));
+  const sharing = following.filter(user => user?.shareConfessionsWithFollowers);
+  
+  const posts = [];
+  for (const author of sharing) {
+    const confessions = await repos.confessions.listByUser(author.userId, FEED_SIZE);
+    confessions
+      .filter(confession => confession.status === 'approved')
+      .forEach(confession => posts.push({ author, confession }));
+  }
+  posts.sort((a, b) => b.confession.approvedAt.localeCompare(a.confession.approvedAt));
+  const items = posts.slice(0, FEED_SIZE);
+  
+  let text = `📰 *Your Feed*\n\n`;
+  text += `Following ${profile.following.length} · ${sharing.length} share their posts with followers\n\n`;
+  
+  if (items.length === 0) {
+    text += 'Nothing here yet. Posts from people you follow show up here when they choose to share them.\n\n';
+  }
+  items.forEach(({ author, confession }) => {
+    text += `👤 ${escapeMarkdown(profileAlias(author))}\n${confessionResultText(confession)}`;
+  });
+  
+  const alerts = notificationEnabled(profile, 'followedPosts');
+  const shares = profile.shareConfessionsWithFollowers;
+  text += `🔔 New post alerts: ${alerts ? 'on' : 'off'}\n`;
+  text += `👁️ Your posts in followers' feeds: ${shares ? 'shown' : 'hidden'}`;
+  
+  const keyboard = [];
+  if (items.length > 0) {
+    keyboard.push(items.map(({ confession }) => (
+      Markup.button.callback(`💬 #${confession.confessionNumber}`, `cmts_${confession.confessionId}_0`)
+    )));
+  }
+  keyboard.push([Markup.button.callback(alerts ? '🔕 Turn off alerts' : '🔔 Turn on alerts', 'feed_alerts')]);
+  keyboard.push([Markup.button.callback(shares ? '🙈 Hide my posts' : '👁️ Share my posts', 'feed_share')]);
+  keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+  
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
+}
+
+bot.command('feed', async (ctx) => {
+  await showFeed(ctx);
+});
+
+bot.action('feed', async (ctx) => {
+  await ctx.answerCbQuery();
+  await showFeed(ctx);
+});
+
+bot.action('feed_alerts', async (ctx) => {
+  const profile = await getUserProfile(ctx.from.id);
+  const enabled = !notificationEnabled(profile, 'followedPosts');
+  
+  await repos.users.update(ctx.from.id, { 'notifications.followedPosts': enabled });
+  await ctx.answerCbQuery(enabled ? '🔔 Alerts on' : '🔕 Alerts off');
+  await showFeed(ctx);
+});
+
+bot.action('feed_share', async (ctx) => {
+  const profile = await getUserProfile(ctx.from.id);
+  const enabled = !profile.shareConfessionsWithFollowers;
+  
+  await repos.users.update(ctx.from.id, { shareConfessionsWithFollowers: enabled });
+  await ctx.answerCbQuery(enabled
+    ? '👁️ Followers can now see your posts'
+    : '🙈 Your posts are hidden from followers');
+  await showFeed(ctx);
+});
+
+// ==================== FOLLOW/UNFOLLOW ====================
+bot.action(/^follow_(\d+)$/, async (ctx) => {
+  const targetUserId = parseInt(ctx.match[1]);
+  
+  if (targetUserId === ctx.from.id) {
+    await ctx.answerCbQuery('❌ You cannot follow yourself');
+    return;
+  }
+  
+  try {
+    const [currentProfile, targetProfile] = await Promise.all([
+      getUserProfile(ctx.from.id),
+      getUserProfile(targetUserId)
+    ]);
+    const alreadyFollowing = currentProfile.following.includes(targetUserId);
+    
+    // Add to current user's following and target user's followers
+    await repos.users.follow(ctx.from.id, targetUserId);
+    
+    await ctx.answerCbQuery('✅ Following!');
+    
+    if (!alreadyFollowing) {
+      await notifyNewFollower(targetProfile, currentProfile);
+    }
+    
+    // Update the message
+    const profileText = `👤 *Profile*\n\n`;
+    const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
+    const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
+    const followers = `**Followers:** ${targetProfile.followers.length + 1}\n`;
+    const following = `**Following:** ${targetProfile.following.length}\n`;
+    const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
+    const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
+    const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
+    const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
+    
+    const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
+    
+    const keyboard = [
+      [Markup.button.callback('✅ Following', `unfollow_${targetUserId}`)],
+      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    ];
+    
+    await ctx.editMessageText(fullText, { 
+      parse_mode: 'Markdown',
+      reply_markup: Markup.inlineKeyboard(keyboard)
+    });
+    
+  } catch (error) {
+    console.error('Follow error:', error);
+    await ctx.answerCbQuery('❌ Error following user');
+  }
+});
+
+bot.action(/^unfollow_(\d+)$/, async (ctx) => {
+  const targetUserId = parseInt(ctx.match[1]);
+  
+  try {
+    // Remove from current user's following and target user's followers
+    await repos.users.unfollow(ctx.from.id, targetUserId);
+    
+    await ctx.answerCbQuery('❌ Unfollowed');
+    
+    // Update the message
+    const targetProfile = await getUserProfile(targetUserId);
+    const profileText = `👤 *Profile*\n\n`;
+    const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
+    const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
+    const followers = `**Followers:** ${Math.max(0, targetProfile.followers.length - 1)}\n`;
+    const following = `**Following:** ${targetProfile.following.length}\n`;
+    const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
+    const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
+    const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
+    const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
+    
+    const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
+    
+    const keyboard = [
+      [Markup.button.callback('➕ Follow', `follow_${targetUserId}`)],
+      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    ];
+    
+    await ctx.editMessageText(fullText, { 
+      parse_mode: 'Markdown',
+      reply_markup: Markup.inlineKeyboard(keyboard)
+    });
+    
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    await ctx.answerCbQuery('❌ Error unfollowing user');
+  }
+});
+
+// ==================== SET USERNAME ====================
+bot.action('set_username', async (ctx) => {
+  await ctx.editMessageText(
+    `📝 *Set Username*\n\nEnter your desired username (without @):\n\nMust be 3-20 characters, letters/numbers/underscores only.\n\nSend /cancel to stop.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(PROFILE_EDIT_SCENE, { field: 'username' });
+  await ctx.answerCbQuery();
+});
+
+// ==================== SET BIO ====================
+bot.action('set_bio', async (ctx) => {
+  await ctx.editMessageText(
+    `📝 *Set Bio*\n\nEnter your bio (max 100 characters):\n\nSend /cancel to stop.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(PROFILE_EDIT_SCENE, { field: 'bio' });
+  await ctx.answerCbQuery();
+});
+
+async function handleProfileEdit(ctx, text) {
+  const { field } = ctx.scene.state;
+  
+  if (field === 'username') {
+    const username = text.trim();
+    
+    // Validate username
+    if (!/^[a-zA-Z0-9_]{3,20}$/.test(username)) {
+      await ctx.reply('❌ Invalid username. Use 3-20 characters (letters, numbers, underscores only).');
+      return;
+    }
+    
+    // Check if username already exists
+    const existingUser = await repos.users.findByUsername(username);
+    
+    if (existingUser && existingUser.userId !== ctx.from.id) {
+      await ctx.reply('❌ Username already taken. Choose another one.');
+      return;
+    }
+    
+    // Update profile
+    await repos.users.update(ctx.from.id, {
+      username: username
+    });
+    
+    await ctx.reply(`✅ Username updated to @${username}`);
+    await ctx.scene.leave();
+    return;
+  }
+  
+  const bio = text.trim();
+  
+  if (bio.length > 100) {
+    await ctx.reply('❌ Bio too long. Maximum 100 characters.');
+    return;
+  }
+  
+  await repos.users.update(ctx.from.id, {
+    bio: bio
+  });
+  
+  await ctx.reply('✅ Bio updated successfully!');
+  await ctx.scene.leave();
+}
+
+// ==================== SEND CONFESSION ====================
+bot.action('send_confession', async (ctx) => {
+  await sendConfessionCommand(ctx);
+  await ctx.answerCbQuery();
+});
+
+// ==================== CONFESSION DRAFTS ====================
+// Typed confessions are saved as a draft and previewed; nothing reaches the
+// admins until the user taps Submit
+async function handleConfession(ctx, text, newMedia = null) {
+  const userId = ctx.from.id;
+  const { mode } = ctx.scene.state;
+  const draft = await repos.drafts.get(userId);
+
+  if (mode === 'hashtags' && draft && !newMedia) {
+    await addDraftHashtags(ctx, draft, text);
+    return;
+  }
+
+  // Editing keeps the attachment unless a new one is sent; a media message
+  // without a caption keeps the current text
+  const media = newMedia || (mode === 'edit' ? draft?.media || null : null);
+  if (newMedia && !text && mode === 'edit' && draft) {
+    text = draft.text;
+  }
+
+  // Validate confession (text is optional when there is an attachment)
+  if (!media && (!text || text.trim().length < 5)) {
+    await ctx.reply('❌ Confession too short. Minimum 5 characters.');
+    await ctx.scene.leave();
+    return;
+  }
+
+  const maxLength = media ? MAX_CAPTION_LENGTH : 1000;
+  if (text.length > maxLength) {
+    await ctx.reply(`❌ Confession too long. Maximum ${maxLength} characters${media ? ' with an attachment' : ''}.`);
+    await ctx.scene.leave();
+    return;
+  }
+
+  try {
+    // Sanitize input
+    const sanitizedText = sanitizeInput(text).trim();
+    
+    const updatedDraft = await repos.drafts.save(userId, {
+      text: sanitizedText,
+      hashtags: extractHashtags(sanitizedText),
+      media: media
+    });
+    
+    await ctx.scene.leave();
+    await showDraftPreview(ctx, updatedDraft, `👀 *Confession Preview*`);
+    
+  } catch (error) {
+    console.error('Draft save error:', error);
+    await ctx.reply('❌ Error saving your draft. Please try again.');
+    await ctx.scene.leave();
+  }
+}
+
+async function addDraftHashtags(ctx, draft, text) {
+  // Accept "#love #study" as well as plain "love, study"
+  const words = text.split(/[\s,]+/)
+    .map(word => word.replace(/^#/, ''))
+    .filter(word => /^[a-zA-Z0-9_]+$/.test(word));
+  const tags = words
+    .filter(word => word.length <= MAX_HASHTAG_LENGTH)
+    .map(word => `#${word}`)
+    .filter(tag => !draft.hashtags.includes(tag));
+
+  if (words.some(word => word.length > MAX_HASHTAG_LENGTH)) {
+    await ctx.reply(`❌ Hashtags can be at most ${MAX_HASHTAG_LENGTH} characters. Send shorter ones, or /cancel.`);
+    return;
+  }
+
+  if (tags.length === 0) {
+    await ctx.reply('❌ No new hashtags found. Send hashtags like #love #study, or /cancel.');
+    return;
+  }
+
+  const updatedText = `${draft.text} ${tags.join(' ')}`.trim();
+  if (updatedText.length > (draft.media ? MAX_CAPTION_LENGTH : 1000)) {
+    await ctx.reply('❌ Confession too long with those hashtags. Maximum 1000 characters.');
+    return;
+  }
+
+  const updatedDraft = await repos.drafts.save(ctx.from.id, {
+    text: updatedText,
+    hashtags: extractHashtags(updatedText)
+  });
+
+  await ctx.scene.leave();
+  await showDraftPreview(ctx, updatedDraft, `👀 *Confession Preview*`);
+}
+
+async function showDraftPreview(ctx, draft, title) {
+  const hashtags = draft.hashtags.length > 0 ? draft.hashtags.join(' ') : 'None';
+  const body = draft.text ? `${escapeMarkdown(draft.text)}\n\n` : '';
+  const attachment = draft.media ? `📎 Attachment: ${MEDIA_TYPES[draft.media.type].label}\n` : '';
+  
+  const text = `${title}\n\n${body}${attachment}🏷️ Hashtags: ${escapeMarkdown(hashtags)}\n\nReview your confession before submitting it for approval.`;
+  
+  const keyboard = Markup.inlineKeyboard([
+    [
+      Markup.button.callback('✏️ Edit', 'draft_edit'),
+      Markup.button.callback('🏷️ Add Hashtags', 'draft_hashtags')
+    ],
+    [
+      Markup.button.callback('✅ Submit', 'draft_submit'),
+      Markup.button.callback('🗑️ Discard', 'draft_discard')
+    ]
+  ]);
+  
+  await sendConfessionMessage(ctx.chat.id, draft, text, {
+    parse_mode: 'Markdown',
+    reply_markup: keyboard.reply_markup
+  });
+}
+
+bot.action('draft_edit', async (ctx) => {
+  await editOrReply(ctx,
+    `✏️ *Edit Confession*\n\nSend the new text, photo, video, voice note, document or sticker for your confession. It will replace your draft.\n\nSend /cancel to keep the current draft.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(CONFESSION_SCENE, { mode: 'edit' });
+  await ctx.answerCbQuery();
+});
+
+bot.action('draft_hashtags', async (ctx) => {
+  const draft = await repos.drafts.get(ctx.from.id);
+  if (!draft) {
+    await ctx.answerCbQuery('❌ Draft not found');
+    return;
+  }
+  
+  await editOrReply(ctx,
+    `🏷️ *Add Hashtags*\n\nSend the hashtags to add, e.g. #love #study #funny\n\nSend /cancel to keep the current draft.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(CONFESSION_SCENE, { mode: 'hashtags' });
+  await ctx.answerCbQuery();
+});
+
+bot.action('draft_discard', async (ctx) => {
+  await repos.drafts.delete(ctx.from.id);
+  await editOrReply(ctx, '🗑️ Draft discarded.');
+  await ctx.answerCbQuery();
+});
+
+bot.action('draft_submit', async (ctx) => {
+  const userId = ctx.from.id;
+  
+  if (!(await checkConfessionCooldown(ctx, userId))) {
+    await ctx.answerCbQuery();
+    return;
+  }
+  
+  // Claim the draft before creating anything, so a double tap on Submit
+  // can't turn one draft into two confessions
+  const draft = await repos.drafts.take(userId);
+  
+  if (!draft) {
+    await ctx.answerCbQuery('❌ Draft not found');
+    return;
+  }
+  
+  await ctx.answerCbQuery();
+  
+  // Remove the buttons so the draft can't be submitted twice
+  await ctx.editMessageReplyMarkup(undefined);
+  await submitConfession(ctx, draft);
+});
+
+async function submitConfession(ctx, draft) {
+  const userId = ctx.from.id;
+  let created = false;
+
+  try {
+    // Generate confession ID (confession number will be assigned during approval)
+    const confessionId = repos.confessions.newId();
+    
+    // Pre-screen with the content filter before an admin ever sees it
+    const screening = screenText(draft.text || '', await getFilterSettings());
+    const moderation = screening.action === 'allow'
+      ? null
+      : { action: screening.action, reasons: screening.reasons };
+    
+    if (screening.action === 'reject') {
+      await repos.confessions.create(confessionId, {
+        confessionId: confessionId,
+        userId: userId,
+        text: draft.text,
+        status: 'rejected',
+        rejectionReason: `Content filter: ${screening.reasons.join(', ')}`,
+        rejectedAt: new Date().toISOString(),
+        reviewedBy: { id: 'system', name: 'Content filter' },
+        createdAt: new Date().toISOString(),
+        hashtags: draft.hashtags,
+        media: draft.media || null,
+        moderation: moderation,
+        totalComments: 0
+      });
+      
+      // Put the draft back so it can be fixed and resubmitted
+      await repos.drafts.save(userId, draft);
+      await ctx.replyWithMarkdown(
+        `❌ *Confession Not Submitted*\n\nIt was blocked by the content filter (${escapeMarkdown(screening.reasons.join(', '))}).\n\nEdit your draft and try again.`,
+        Markup.inlineKeyboard([
+          [Markup.button.callback('✏️ Edit', 'draft_edit')],
+          [Markup.button.callback('🗑️ Discard', 'draft_discard')]
+        ])
+      );
+      return;
+    }
+    
+    const confession = {
+      confessionId: confessionId,
+      userId: userId,
+      text: screening.text,
+      status: 'pending',
+      createdAt: new Date().toISOString(),
+      hashtags: draft.hashtags,
+      ...searchFields(screening.text, draft.hashtags),
+      media: draft.media || null,
+      moderation: moderation,
+      totalComments: 0
+    };
+    
+    // Save to Firebase - FIXED: Removed confessionNumber from pending confessions
+    await repos.confessions.create(confessionId, confession);
+    created = true;
+
+    // Update user profile
+    await repos.users.increment(userId, 'totalConfessions', 1);
+
+    // Set persistent cooldown
+    await setCooldown(userId, 'confession');
+
+    // Notify admin
+    await notifyAdmins(confessionId, confession);
+
+    const keyboard = Markup.inlineKeyboard([
+      [Markup.button.callback('📝 Send Another', 'send_confession')],
+      [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
+      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    ]);
+
+    const masked = screening.text !== (draft.text || '')
+      ? `\n\n🙈 Some personal details were hidden to protect privacy.`
+      : '';
+    
+    await ctx.replyWithMarkdown(
+      `✅ *Confession Submitted!*\n\nYour confession is under review. You'll be notified when approved.${masked}`,
+      keyboard
+    );
+    
+    // Check for achievements
+    await checkAchievements(userId);
+    
+  } catch (error) {
+    console.error('Submission error:', error);
+    
+    // Nothing was submitted, so give the draft back
+    if (!created) {
+      await repos.drafts.save(userId, draft).catch(saveError => console.error('Draft restore error:', saveError));
+    }
+    await ctx.reply('❌ Error submitting confession. Please try again.');
+  }
+}
+
+// ==================== ADMIN NOTIFICATION ====================
+// Every admin gets a copy of the review message; approve/reject are state
+// transitions out of `pending` that only one admin can make, and a claim
+// (taken while typing a rejection reason) locks the others out until it expires
+const CLAIM_TTL_MS = SCENE_TTL_SECONDS * 1000;
+
+function reviewKeyboard(confessionId) {
+  return Markup.inlineKeyboard([
+    [
+      Markup.button.callback('✅ Approve', `approve_${confessionId}`),
+      Markup.button.callback('❌ Reject', `reject_${confessionId}`)
+    ]
+  ]);
+}
+
+function reviewMessageText(confession, status) {
+  const body = confession.text ? `${escapeMarkdown(confession.text)}\n\n` : '';
+  
+  // What the content filter found, so obvious problems stand out
+  const { moderation } = confession;
+  const filter = moderation
+    ? `${moderation.action === 'flag' ? '⚠️ *Flagged*' : '🙈 *Masked*'}: ${escapeMarkdown(moderation.reasons.join(', '))}\n\n`
+    : '';
+  
+  return `🤫 *New Confession*\n\n${filter}${body}${status}`;
+}
+
+// "by @admin at <time>" for review status lines
+function reviewStamp(reviewer, at) {
+  return `by ${escapeMarkdown(reviewer.name)} at ${new Date(at).toLocaleString()}`;
+}
+
+// Why a review action was refused, for the callback answer
+function reviewRefusal({ reason, confession }) {
+  if (reason === 'not_found') return '❌ Confession not found';
+  if (reason === 'claimed') return `🔒 Claimed by ${confession.claimedBy.name}`;
+  return `Already ${confession.status} by ${confession.reviewedBy?.name || 'another admin'}`;
+}
+
+function isReviewMessage(ctx, confession) {
+  const message = ctx.callbackQuery?.message;
+  return (confession.reviewMessages || []).some(({ chatId, messageId }) => (
+    message && chatId === message.chat.id.toString() && messageId === message.message_id
+  ));
+}
+
+// Rewrite every admin's copy of the review message with the current status
+async function syncReviewMessages(confession, status, extra = {}) {
+  const captioned = confession.media && MEDIA_TYPES[confession.media.type].captioned;
+  const text = reviewMessageText(confession, status);
+
+  for (const { chatId, messageId } of confession.reviewMessages || []) {
+    try {
+      if (captioned) {
+        await bot.telegram.editMessageCaption(chatId, messageId, undefined, text, { parse_mode: 'Markdown', ...extra });
+      } else {
+        await bot.telegram.editMessageText(chatId, messageId, undefined, text, { parse_mode: 'Markdown', ...extra });
+      }
+    } catch (error) {
+      console.error(`Review message sync error ${chatId}:`, error);
+    }
+  }
+}
+
+async function releaseReviewClaim(ctx, confessionId) {
+  try {
+    if (!await repos.confessions.releaseClaim(confessionId, actorOf(ctx))) return;
+    
+    const confession = await repos.confessions.get(confessionId);
+    await syncReviewMessages(confession, '*Actions:*', {
+      reply_markup: reviewKeyboard(confessionId).reply_markup
+    });
+  } catch (error) {
+    console.error('Release claim error:', error);
+  }
+}
+
+async function notifyAdmins(confessionId, confession) {
+  const adminIds = await staffWithPermission(PERMISSIONS.REVIEW_CONFESSIONS);
+  const message = reviewMessageText(confession, '*Actions:*');
+  const keyboard = reviewKeyboard(confessionId);
+  const reviewMessages = [];
+
+  for (const adminId of adminIds) {
+    try {
+      const sent = await sendConfessionMessage(adminId, confession, message, {
+        parse_mode: 'Markdown',
+        reply_markup: keyboard.reply_markup
+      });
+      reviewMessages.push({ chatId: adminId, messageId: sent.message_id });
+    } catch (error) {
+      console.error(`Admin notify error ${adminId}:`, error);
+    }
+  }
+
+  // Remember the copies so they can be updated once someone acts
+  await repos.confessions.addReviewMessages(confessionId, reviewMessages);
+}
+
+// ==================== ADMIN APPROVAL ====================
+bot.action(/approve_(.+)/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.REVIEW_CONFESSIONS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const confessionId = ctx.match[1];
+  
+  try {
+    // Status check and number assignment happen in one transaction, so a
+    // confession approved by two admins at once is only posted once
+    const result = await repos.confessions.approve(confessionId, actorOf(ctx), CLAIM_TTL_MS);
+    if (!result.ok) {
+      await ctx.answerCbQuery(reviewRefusal(result));
+      return;
+    }
+    
+    const { confession } = result;
+    
+    await logAudit(ctx, 'approve_confession', {
+      targetId: confessionId,
+      targetUserId: confession.userId,
+      before: { status: 'pending' },
+      after: { status: 'scheduled' }
+    });
+
+    // Show every admin who approved it
+    await syncReviewMessages(confession,
+      `✅ *Approved* ${reviewStamp(confession.reviewedBy, confession.reviewedAt)}\n🗓️ Waiting in the publish queue`
+    );
+    
+    // Goes out right away if the channel is quiet and the posting window is open
+    const published = await drainPublishQueue();
+    let status;
+    if (published?.confessionId === confessionId) {
+      status = `Posted to the channel as #${published.confessionNumber}.`;
+    } else {
+      const [settings, position] = await Promise.all([
+        getPublishingSettings(),
+        repos.confessions.countByStatus('scheduled')
+      ]);
+      status = `Queued at position ${position} (about ${formatLocalTime(estimatePublishTime(settings, position - 1))}).`;
+    }
+    
+    // Approved from the pending list rather than a review message
+    if (!isReviewMessage(ctx, confession)) {
+      await editOrReply(ctx, `✅ *Confession Approved!*\n\n${status}`, { parse_mode: 'Markdown' });
+    }
+    
+    await ctx.answerCbQuery(`Approved! ${status}`);
+
+  } catch (error) {
+    console.error('Approval error:', error);
+    await ctx.answerCbQuery('❌ Approval failed');
+  }
+});
+
+// ==================== ADMIN REJECTION ====================
+bot.action(/reject_(.+)/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.REVIEW_CONFESSIONS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const confessionId = ctx.match[1];
+  const reviewer = actorOf(ctx);
+  
+  // Claim it while the reason is typed so nobody approves it in the meantime
+  const result = await repos.confessions.claim(confessionId, reviewer, CLAIM_TTL_MS);
+  if (!result.ok) {
+    await ctx.answerCbQuery(reviewRefusal(result));
+    return;
+  }
+  
+  const { confession } = result;
+  
+  // Keep the buttons: the claim lapses if the reason never arrives
+  await syncReviewMessages(confession,
+    `🔒 *Claimed* ${reviewStamp(reviewer, confession.claimedBy.at)}`,
+    { reply_markup: reviewKeyboard(confessionId).reply_markup }
+  );
+  
+  const prompt = `❌ *Rejecting Confession*\n\nPlease provide rejection reason:\n\nSend /cancel to stop.`;
+  if (isReviewMessage(ctx, confession)) {
+    await ctx.reply(prompt, { parse_mode: 'Markdown' });
+  } else {
+    await editOrReply(ctx, prompt, { parse_mode: 'Markdown' });
+  }
+  
+  await ctx.scene.enter(REJECTION_SCENE, { confessionId });
+  await ctx.answerCbQuery();
+});
+
+async function handleRejection(ctx, reason) {
+  const { confessionId } = ctx.scene.state;
+  
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.REVIEW_CONFESSIONS)) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
+    return;
+  }
+  
+  try {
+    const result = await repos.confessions.reject(confessionId, actorOf(ctx), reason, CLAIM_TTL_MS);
+    
+    if (result.ok) {
+      const { confession } = result;
+      
+      await logAudit(ctx, 'reject_confession', {
+        targetId: confessionId,
+        targetUserId: confession.userId,
+        before: { status: 'pending' },
+        after: { status: 'rejected', rejectionReason: reason }
+      });
+
+      // Notify user
+      await notifyUser(confession.userId, 0, 'rejected', reason, confessionId);
+
+      await syncReviewMessages(confession,
+        `❌ *Rejected* ${reviewStamp(confession.reviewedBy, confession.reviewedAt)}\nReason: ${escapeMarkdown(reason)}`
+      );
+
+      await ctx.reply(`✅ Confession rejected.`);
+    } else {
+      await ctx.reply(`⚠️ ${reviewRefusal(result)}`);
+    }
+  } catch (error) {
+    console.error('Rejection error:', error);
+    await ctx.reply('❌ Rejection failed');
+  }
+  
+  await ctx.scene.leave();
+}
+
+// ==================== PUBLISH QUEUE ====================
+// Approved confessions wait in a queue and go out one at a time: at most one
+// post per interval, and only inside the posting window (hours in
+// the bot's timezone; a window may wrap past midnight, equal start and end
+// means always open). The queue is drained by the cron endpoint (api/cron.js),
+// and right after an approval when the channel is quiet.
+const DEFAULT_PUBLISHING = {
+  intervalMinutes: parseInt(process.env.PUBLISH_INTERVAL_MINUTES) || 15,
+  windowStart: 7,
+  windowEnd: 23
+};
+// A failed channel post waits this long before the next try, doubling each time
+const PUBLISH_RETRY_MS = 60 * 1000;
+const PUBLISH_RETRY_MAX_MS = 60 * 60 * 1000;
+const QUEUE_PAGE_SIZE = 5;
+const QUEUE_USAGE =
+  'Usage:\n' +
+  '/queue — show the queue\n' +
+  '/queue interval <minutes>\n' +
+  '/queue window <start>-<end> (hours, e.g. 7-23)';
+
+async function getPublishingSettings() {
+  return { ...DEFAULT_PUBLISHING, ...await repos.publishing.get() };
+}
+
+function inPostingWindow(settings, time = Date.now()) {
+  return inHourRange(settings.windowStart, settings.windowEnd, time);
+}
+
+// When the queue item at `index` should go out if nothing is reordered
+function estimatePublishTime(settings, index) {
+  const intervalMs = settings.intervalMinutes * 60 * 1000;
+  let time = settings.lastPublishedAt
+    ? Math.max(Date.now(), Date.parse(settings.lastPublishedAt) + intervalMs)
+    : Date.now();
+  if (settings.retryAt) time = Math.max(time, Date.parse(settings.retryAt));
+  
+  for (let i = 0; i <= index; i++) {
+    if (i > 0) time += intervalMs;
+    time = nextTimeWhen(candidate => inPostingWindow(settings, candidate), time);
+  }
+  
+  return time;
+}
+
+// Everything that happens once a confession is actually posted
+async function publishConfession(confession) {
+  const number = confession.confessionNumber;
+  
+  await repos.hashtags.recordUse(confessionTags(confession));
+
+  // Update reputation (10 points for approved confession)
+  await updateReputation(confession.userId, 10);
+
+  // Notify user
+  await notifyUser(confession.userId, number, 'approved');
+  
+  await syncReviewMessages(confession,
+    `✅ *Approved* ${reviewStamp(confession.reviewedBy, confession.reviewedAt)}\n📣 *Posted as #${number}* at ${new Date(confession.approvedAt).toLocaleString()}`
+  );
+
+  // Check for achievements
+  await checkAchievements(confession.userId);
+  
+  // Re-read for the channel message the post just recorded, so the DMs can link to it
+  const published = await repos.confessions.get(confession.confessionId);
+  await notifyHashtagSubscribers(published);
+  await notifyFollowers(published);
+}
+
+// Publish the head of the queue if it is due; returns the posted confession or null
+async function drainPublishQueue() {
+  const settings = await getPublishingSettings();
+  if (!inPostingWindow(settings)) return null;
+  
+  const confession = await repos.confessions.publishNext(settings.intervalMinutes * 60 * 1000);
+  if (!confession) return null;
+  
+  try {
+    await postToChannel(confession, confession.confessionNumber);
+  } catch (error) {
+    // Keep its number and try again later; the author hears nothing until it is out
+    console.error('Channel post error:', error);
+    const delay = Math.min(PUBLISH_RETRY_MS * 2 ** (confession.publishAttempts || 0), PUBLISH_RETRY_MAX_MS);
+    await repos.confessions.requeue(confession.confessionId, {
+      retryAt: new Date(Date.now() + delay).toISOString(),
+      lastPublishedAt: settings.lastPublishedAt || null
+    });
+    return null;
+  }
+  
+  await publishConfession(confession);
+  return confession;
+}
+
+// Deferred work run by the cron endpoint, outside any user's update
+async function runScheduledJobs() {
+  // The cron endpoint runs without an update, so telegraf hasn't fetched this yet
+  bot.botInfo ??= await bot.telegram.getMe();
+  
+  await flushChannelCounters();
+  
+  await drainPublishQueue();
+  await deliverNotifications();
+  await runBroadcasts();
+}
+
+async function showPublishQueue(ctx, page = 0) {
+  const [settings, total] = await Promise.all([
+    getPublishingSettings(),
+    repos.confessions.countByStatus('scheduled')
+  ]);
+  const totalPages = Math.max(1, Math.ceil(total / QUEUE_PAGE_SIZE));
+  page = Math.min(page, totalPages - 1);
+  const offset = page * QUEUE_PAGE_SIZE;
+  const items = await repos.confessions.listScheduled({ offset, limit: QUEUE_PAGE_SIZE });
+  
+  const hours = settings.windowStart === settings.windowEnd
+    ? 'any time'
+    : `${settings.windowStart}:00–${settings.windowEnd}:00`;
+  let text = `🗓️ *Publish Queue* (${total} scheduled · page ${page + 1}/${totalPages})\n`;
+  text += `Every ${settings.intervalMinutes} min, ${hours} (${escapeMarkdown(BOT_TIMEZONE)})\n`;
+  if (settings.lastPublishedAt) {
+    text += `Last post: ${formatLocalTime(settings.lastPublishedAt)}\n`;
+  }
+  text += '\n';
+  
+  if (items.length === 0) {
+    text += 'The queue is empty.';
+  }
+  
+  const keyboard = [];
+  items.forEach((confession, index) => {
+    const position = offset + index + 1;
+    const at = formatLocalTime(estimatePublishTime(settings, offset + index));
+    text += `*${position}.* ~${at} — ${escapeMarkdown(confessionSnippet(confession, 80))}\n\n`;
+    
+    keyboard.push([
+      Markup.button.callback(`⬆️ ${position}`, `queue_up_${confession.confessionId}_${page}`),
+      Markup.button.callback(`⬇️ ${position}`, `queue_down_${confession.confessionId}_${page}`),
+      Markup.button.callback(`📌 ${position}`, `queue_pin_${confession.confessionId}_${page}`),
+      Markup.button.callback(`⏸️ ${position}`, `queue_hold_${confession.confessionId}_${page}`)
+    ]);
+  });
+  
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('⬅️ Prev', `queue_page_${page - 1}`));
+  if (page + 1 < totalPages) navigation.push(Markup.button.callback('Next ➡️', `queue_page_${page + 1}`));
+  if (navigation.length > 0) keyboard.push(navigation);
+  
+  keyboard.push([Markup.button.callback('🔄 Refresh', `queue_page_${page}`)]);
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
+}
+
+bot.command('queue', async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.REVIEW_CONFESSIONS)) {
+    await ctx.reply('❌ Access denied. Admin only command.');
+    return;
+  }
+  
+  const [command, value] = ctx.message.text.split(/\s+/).slice(1);
+  
+  if (!command) {
+    await showPublishQueue(ctx);
+    return;
+  }
+  
+  const settings = await getPublishingSettings();
+  const before = { intervalMinutes: settings.intervalMinutes, windowStart: settings.windowStart, windowEnd: settings.windowEnd };
+  const after = { ...before };
+  
+  if (command === 'interval' && /^\d+$/.test(value || '') && parseInt(value) >= 1) {
+    after.intervalMinutes = parseInt(value);
+  } else if (command === 'window' && /^\d{1,2}-\d{1,2}$/.test(value || '')) {
+    const [start, end] = value.split('-').map(Number);
+    if (start > 23 || end > 24) {
+      await ctx.reply(`❌ Hours must be between 0 and 24.\n\n${QUEUE_USAGE}`);
+      return;
+    }
+    after.windowStart = start;
+    after.windowEnd = end;
+  } else {
+    await ctx.reply(`❌ Invalid queue command.\n\n${QUEUE_USAGE}`);
+    return;
+  }
+  
+  await repos.publishing.saveSettings(after);
+  await logAudit(ctx, 'update_publishing', { before, after });
+  
+  await ctx.reply(`✅ Publishing every ${after.intervalMinutes} min, ${after.windowStart}:00–${after.windowEnd}:00 (${BOT_TIMEZONE}).`);
+});
+
+bot.action(/^queue_page_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.REVIEW_CONFESSIONS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  await ctx.answerCbQuery();
+  await showPublishQueue(ctx, parseInt(ctx.match[1]));
+});
+
+bot.action(/^queue_(up|down|pin|hold)_(.+)_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.REVIEW_CONFESSIONS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const [, operation, confessionId, page] = ctx.match;
+  
+  if (operation === 'hold') {
+    const confession = await repos.confessions.unschedule(confessionId, actorOf(ctx));
+    if (!confession) {
+      await ctx.answerCbQuery('❌ No longer in the queue');
+      await showPublishQueue(ctx, parseInt(page));
+      return;
+    }
+    
+    await logAudit(ctx, 'unschedule_confession', {
+      targetId: confessionId,
+      targetUserId: confession.userId,
+      before: { status: 'scheduled' },
+      after: { status: 'pending' }
+    });
+    
+    // Back to review: every admin's copy gets its buttons again
+    await syncReviewMessages(confession,
+      `⏸️ *Unscheduled* ${reviewStamp(actorOf(ctx), new Date())}\n\n*Actions:*`,
+      { reply_markup: reviewKeyboard(confessionId).reply_markup }
+    );
+    
+    await ctx.answerCbQuery('⏸️ Moved back to review');
+    await showPublishQueue(ctx, parseInt(page));
+    return;
+  }
+  
+  const moved = operation === 'pin'
+    ? await repos.confessions.pinToFront(confessionId)
+    : await repos.confessions.moveInQueue(confessionId, operation === 'up' ? -1 : 1);
+  
+  if (moved) {
+    await logAudit(ctx, 'reorder_queue', {
+      targetId: confessionId,
+      details: { operation }
     });
+  }
+  
+  await ctx.answerCbQuery(moved ? '✅ Queue updated' : 'Nothing to move');
+  await showPublishQueue(ctx, parseInt(page));
+});
+
+// ==================== CHANNEL POSTING WITH COMMENT SYSTEM ====================
+async function postToChannel(confession, number) {
+  const channelId = process.env.CHANNEL_ID;
+  const { confessionId } = confession;
+  
+  const message = confession.text ? `#${number}\n\n${confession.text}` : `#${number}`;
+
+  // Send the confession (and its attachment) to channel with the comment button.
+  // A failed send is thrown so the publish queue can try again
+  const sent = await sendConfessionMessage(channelId, confession, message, {
+    reply_markup: channelKeyboard({ confessionId }).reply_markup
+  });
+
+  // The post is out now, so failures below must not send it again
+  try {
+    // Create a separate comment section in bot
+    await createCommentSection(confessionId, number, confession.text);
+    
+    // Remember the post so its comment counter can be kept up to date
+    await repos.confessions.setChannelMessage(confessionId, sent.chat.id, sent.message_id);
+    
+  } catch (error) {
+    console.error('Comment section error:', error);
+  }
+}
+
+// ==================== LIVE COMMENT COUNTER ====================
+// Channel posts show the current reaction and comment counts on their buttons. Telegram
+// limits how often a message can be edited, so a post is edited at most once
+// per interval; comments in between mark it pending and a later flush
+// (another comment, or any webhook after the interval) catches it up.
+const COUNTER_EDIT_INTERVAL_MS = (parseInt(process.env.COUNTER_EDIT_INTERVAL_SECONDS) || 30) * 1000;
+
+// Reaction buttons plus the one that redirects from the channel to the comments in the bot
+function channelKeyboard(confession) {
+  return Markup.inlineKeyboard([
+    confessionReactionButtons(confession),
+    [Markup.button.url(
+      `👁️‍🗨️ View/Add Comments (${confession.totalComments || 0})`,
+      commentsUrl(confession.confessionId)
+    )]
+  ]);
+}
+
+async function refreshChannelCounter(confessionId) {
+  try {
+    const confession = await repos.confessions.claimCounterEdit(confessionId, COUNTER_EDIT_INTERVAL_MS);
+    if (!confession) return;
+    
+    await bot.telegram.editMessageReplyMarkup(
+      confession.channelChatId,
+      confession.channelMessageId,
+      undefined,
+      channelKeyboard(confession).reply_markup
+    );
+  } catch (error) {
+    if (error.description?.includes('message is not modified')) return;
+    
+    // Rate limited or a transient failure: try again on the next flush
+    console.error('Comment counter update error:', error);
+    await repos.confessions.markCounterPending(confessionId);
+  }
+}
+
+let lastCounterFlush = 0;
+
+// Catch up posts whose counter edits were held back
+async function flushChannelCounters() {
+  if (Date.now() - lastCounterFlush < COUNTER_EDIT_INTERVAL_MS) return;
+  lastCounterFlush = Date.now();
+  
+  const pending = await repos.confessions.listPendingCounters(10);
+  for (const { confessionId } of pending) {
+    await refreshChannelCounter(confessionId);
+  }
+}
+
+// ==================== CONFESSION REACTIONS ====================
+// One reaction per user per confession, from the channel post or the bot's
+// comment view. Counts feed the trending score.
+const CONFESSION_REACTIONS = {
+  love: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢'
+};
+
+function confessionReactionButtons(confession) {
+  return Object.entries(CONFESSION_REACTIONS).map(([key, emoji]) => {
+    const count = confession.reactions?.[key] || 0;
+    return Markup.button.callback(count > 0 ? `${emoji} ${count}` : emoji, `creact_${confession.confessionId}_${key}`);
+  });
+}
+
+function confessionReactionSummary(confession) {
+  return Object.entries(CONFESSION_REACTIONS)
+    .filter(([key]) => confession.reactions?.[key] > 0)
+    .map(([key, emoji]) => `${emoji} ${confession.reactions[key]}`)
+    .join('  ');
+}
+
+bot.action(/^creact_(.+)_(\w+)$/, async (ctx) => {
+  const [, confessionId, reaction] = ctx.match;
+  
+  if (!CONFESSION_REACTIONS[reaction]) {
+    await ctx.answerCbQuery();
+    return;
+  }
+  
+  const confession = await repos.confessions.get(confessionId);
+  if (!confession || confession.status !== 'approved') {
+    await ctx.answerCbQuery('❌ This confession is not available');
+    return;
+  }
+  
+  const result = await repos.confessions.react(confessionId, ctx.from.id, reaction);
+  await ctx.answerCbQuery(result ? `${CONFESSION_REACTIONS[result]} Reacted` : 'Reaction removed');
+  
+  // Pressed in the bot's comment view: redraw it; the channel post catches up either way
+  if (ctx.chat?.type === 'private') {
+    await showComments(ctx, confessionId);
+  }
+  await refreshChannelCounter(confessionId);
+});
+
+// ==================== COMMENT SYSTEM ====================
+// Comments are paginated top-level threads; replies and reactions are shown
+// on each comment's own view. Callback data stays short (comment IDs are c1,
+// c2, ...) to fit Telegram's 64-byte limit.
+const COMMENTS_PAGE_SIZE = 5;
+const REPLIES_PAGE_SIZE = 5;
+const MAX_COMMENT_LENGTH = 500;
+const COMMENT_EDIT_WINDOW_MS = (parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 5) * 60 * 1000;
+const COMMENT_REPORT_THRESHOLD = parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+const COMMENT_REACTIONS = {
+  like: '👍',
+  love: '❤️',
+  laugh: '😂',
+  wow: '😮',
+  sad: '😢'
+};
+
+// Commenters appear as "Anon <Animal> #<n>", stable within one confession
+const ALIAS_ANIMALS = [
+  'Owl', 'Fox', 'Panda', 'Otter', 'Falcon', 'Koala', 'Lynx', 'Raven',
+  'Tiger', 'Dolphin', 'Hedgehog', 'Wolf', 'Badger', 'Heron', 'Gelada', 'Nyala'
+];
+
+function commenterAlias(comment) {
+  if (comment.isOP) return 'OP';
+  
+  // Same confession and commenter number always hash to the same animal
+  const seed = `${comment.confessionId}:${comment.authorNumber}`;
+  let hash = 0;
+  for (const char of seed) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  
+  return `Anon ${ALIAS_ANIMALS[hash % ALIAS_ANIMALS.length]} #${comment.authorNumber}`;
+}
+
+// "_Anon Owl #3_", plus the real user ID for staff allowed to see it
+function commentAuthor(comment, revealIdentity) {
+  const alias = comment.isOP ? '🎤 *OP*' : `_${commenterAlias(comment)}_`;
+  return revealIdentity ? `${alias} (ID: ${comment.userId})` : alias;
+}
+
+async function createCommentSection(confessionId, number, confessionText) {
+  // Create a document to store comments
+  await repos.comments.createSection(confessionId, number, confessionText);
+}
+
+// The comment section, with comments from the old single-document format moved over
+async function loadCommentSection(confessionId) {
+  let section = await repos.comments.getSection(confessionId);
+  
+  if (section && Array.isArray(section.comments)) {
+    await repos.comments.migrateLegacy(confessionId);
+    section = await repos.comments.getSection(confessionId);
+  }
+  
+  return section;
+}
+
+function reactionSummary(comment) {
+  return Object.entries(COMMENT_REACTIONS)
+    .filter(([key]) => comment.reactions?.[key] > 0)
+    .map(([key, emoji]) => `${emoji} ${comment.reactions[key]}`)
+    .join('  ');
+}
+
+function commentPreview(comment, length = 300) {
+  const text = comment.text.length > length ? `${comment.text.substring(0, length)}...` : comment.text;
+  return escapeMarkdown(text);
+}
+
+// What the viewer may see and do on comment views
+async function commentViewer(ctx) {
+  const [revealIdentity, canModerate] = await Promise.all([
+    hasPermission(ctx.from.id, PERMISSIONS.VIEW_IDENTITIES),
+    hasPermission(ctx.from.id, PERMISSIONS.MODERATE_COMMENTS)
+  ]);
+  
+  return { userId: ctx.from.id, revealIdentity, canModerate };
+}
+
+// Comment text as the viewer should see it: hidden comments stay readable for moderators
+function commentBody(comment, viewer, length) {
+  if (comment.status === 'deleted') return '🗑️ _Comment deleted_';
+  if (comment.status === 'hidden' && !viewer.canModerate) return '🙈 _Hidden pending review_';
+  
+  const hidden = comment.status === 'hidden' ? '🙈 \\[hidden] ' : '';
+  const edited = comment.editedAt ? ' _(edited)_' : '';
+  return `${hidden}${commentPreview(comment, length)}${edited}`;
+}
+
+function isCommentOpen(comment) {
+  return (comment.status || 'visible') === 'visible';
+}
+
+function canEditComment(comment, userId) {
+  return comment.userId === userId &&
+    isCommentOpen(comment) &&
+    Date.now() - Date.parse(comment.createdAt) < COMMENT_EDIT_WINDOW_MS;
+}
+
+// One comment as a list item: "#3 author: text" plus reactions and reply count
+function commentListItem(comment, viewer) {
+  const replyTo = comment.replyToId && comment.replyToId !== comment.parentId
+    ? ` ↩️ #${comment.replyToId.substring(1)}`
+    : '';
+  let text = `*#${comment.number}* ${commentAuthor(comment, viewer.revealIdentity)}${replyTo}: ${commentBody(comment, viewer, 300)}\n`;
+  
+  const details = [reactionSummary(comment)];
+  if (comment.replyCount > 0) details.push(`💬 ${comment.replyCount}`);
+  const line = details.filter(Boolean).join('  ');
+  if (line) text += `${line}\n`;
+  
+  return text;
+}
+
+// Show a page of top-level comments for a confession
+async function showComments(ctx, confessionId, page = 0) {
+  try {
+    const data = await loadCommentSection(confessionId);
+    if (!data) {
+      await ctx.reply('❌ Confession not found.');
+      return;
+    }
+
+    const [comments, topLevelCount, viewer, confession] = await Promise.all([
+      repos.comments.list(confessionId, { offset: page * COMMENTS_PAGE_SIZE, limit: COMMENTS_PAGE_SIZE }),
+      repos.comments.countTopLevel(confessionId),
+      commentViewer(ctx),
+      repos.confessions.get(confessionId)
+    ]);
+    const totalPages = Math.max(1, Math.ceil(topLevelCount / COMMENTS_PAGE_SIZE));
     
-    await ctx.answerCbQuery('❌ Unfollowed');
+    let commentText = `💬 *Comments for Confession #${data.confessionNumber}*\n\n`;
     
-    // Update the message
-    const targetProfile = await getUserProfile(targetUserId);
-    const profileText = `👤 *Profile*\n\n`;
-    const username = targetProfile.username ? `**Username:** @${targetProfile.username}\n` : '';
-    const bio = targetProfile.bio ? `**Bio:** ${targetProfile.bio}\n` : `**Bio:** No bio\n`;
-    const followers = `**Followers:** ${Math.max(0, targetProfile.followers.length - 1)}\n`;
-    const following = `**Following:** ${targetProfile.following.length}\n`;
-    const confessions = `**Confessions:** ${targetProfile.totalConfessions}\n`;
-    const reputation = `**Reputation:** ${targetProfile.reputation}⭐\n`;
-    const achievements = `**Achievements:** ${targetProfile.achievementCount}\n`;
-    const joinDate = `**Member Since:** ${new Date(targetProfile.joinDate).toLocaleDateString()}\n`;
+    if (comments.length === 0) {
+      commentText += 'No comments yet. Be the first to comment!\n\n';
+    } else {
+      commentText += `Total Comments: ${data.totalComments} · Page ${page + 1}/${totalPages}\n\n`;
+      commentText += comments.map(comment => commentListItem(comment, viewer)).join('\n');
+    }
+
+    const keyboard = [];
     
-    const fullText = profileText + username + bio + followers + following + confessions + reputation + achievements + joinDate;
+    if (confession?.status === 'approved') {
+      keyboard.push(confessionReactionButtons(confession));
+    }
     
-    const keyboard = [
-      [Markup.button.callback('➕ Follow', `follow_${targetUserId}`)],
-      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-    ];
+    // Open a comment to see its replies, react or reply
+    if (comments.length > 0) {
+      keyboard.push(comments.map(comment => (
+        Markup.button.callback(`#${comment.number}`, `cmt_view_${confessionId}_${comment.commentId}_0`)
+      )));
+    }
     
-    await ctx.editMessageText(fullText, { 
+    const navigation = [];
+    if (page > 0) navigation.push(Markup.button.callback('⬅️ Prev', `cmts_${confessionId}_${page - 1}`));
+    if (page + 1 < totalPages) navigation.push(Markup.button.callback('Next ➡️', `cmts_${confessionId}_${page + 1}`));
+    if (navigation.length > 0) keyboard.push(navigation);
+    
+    keyboard.push([Markup.button.callback('📝 Add Comment', `add_comment_${confessionId}`)]);
+    keyboard.push([Markup.button.callback('🔄 Refresh', `cmts_${confessionId}_${page}`)]);
+    keyboard.push([Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')]);
+    keyboard.push([Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]);
+
+    await editOrReply(ctx, commentText, {
       parse_mode: 'Markdown',
-      reply_markup: Markup.inlineKeyboard(keyboard)
+      reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
     });
-    
   } catch (error) {
-    console.error('Unfollow error:', error);
-    await ctx.answerCbQuery('❌ Error unfollowing user');
+    console.error('Show comments error:', error);
+    await ctx.reply('❌ Error loading comments.');
   }
-});
+}
 
-// ==================== SET USERNAME ====================
-bot.action('set_username', async (ctx) => {
+// Show one comment with its reactions and a page of its replies
+async function showComment(ctx, confessionId, commentId, page = 0) {
+  const comment = await repos.comments.get(confessionId, commentId);
+  if (!comment) {
+    await ctx.reply('❌ Comment not found.');
+    return;
+  }
+  
+  // Replies live under the top-level comment they belong to
+  const threadId = comment.parentId || comment.commentId;
+  const [replies, threadSize] = comment.parentId
+    ? [[], 0]
+    : await Promise.all([
+      repos.comments.list(confessionId, {
+        parentId: threadId,
+        offset: page * REPLIES_PAGE_SIZE,
+        limit: REPLIES_PAGE_SIZE
+      }),
+      repos.comments.countReplies(confessionId, threadId)
+    ]);
+  const totalPages = Math.max(1, Math.ceil(threadSize / REPLIES_PAGE_SIZE));
+  const viewer = await commentViewer(ctx);
+  const open = isCommentOpen(comment);
+  const isAuthor = comment.userId === viewer.userId;
+  
+  let text = `💬 *Comment #${comment.number}* by ${commentAuthor(comment, viewer.revealIdentity)}\n\n${commentBody(comment, viewer, MAX_COMMENT_LENGTH)}\n\n`;
+  text += `🕒 ${new Date(comment.createdAt).toLocaleString()}\n`;
+  
+  if (viewer.canModerate && comment.reportCount > 0) {
+    text += `🚩 ${comment.reportCount} open report(s)\n`;
+  }
+  
+  if (comment.parentId) {
+    text += `↩️ Reply in the thread of #${comment.parentId.substring(1)}\n`;
+  } else if (replies.length > 0) {
+    text += `\n*Replies* (${comment.replyCount}) · Page ${page + 1}/${totalPages}\n\n`;
+    text += replies.map(reply => commentListItem(reply, viewer)).join('\n');
+  }
+  
+  const keyboard = [];
+  
+  if (open) {
+    keyboard.push(Object.entries(COMMENT_REACTIONS).map(([key, emoji]) => {
+      const count = comment.reactions?.[key] || 0;
+      return Markup.button.callback(count > 0 ? `${emoji} ${count}` : emoji, `cmt_react_${confessionId}_${commentId}_${key}`);
+    }));
+  }
+  
+  if (replies.length > 0) {
+    keyboard.push(replies.map(reply => (
+      Markup.button.callback(`#${reply.number}`, `cmt_view_${confessionId}_${reply.commentId}_0`)
+    )));
+  }
+  
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('⬅️ Prev', `cmt_view_${confessionId}_${commentId}_${page - 1}`));
+  if (page + 1 < totalPages && !comment.parentId) {
+    navigation.push(Markup.button.callback('Next ➡️', `cmt_view_${confessionId}_${commentId}_${page + 1}`));
+  }
+  if (navigation.length > 0) keyboard.push(navigation);
+  
+  if (open) {
+    keyboard.push([Markup.button.callback('↩️ Reply', `cmt_reply_${confessionId}_${commentId}`)]);
+  }
+  
+  // Authors manage their own comment; everyone else can report it
+  if (isAuthor && comment.status !== 'deleted') {
+    const own = [];
+    if (canEditComment(comment, viewer.userId)) {
+      own.push(Markup.button.callback('✏️ Edit', `cmt_edit_${confessionId}_${commentId}`));
+    }
+    if (!viewer.canModerate) {
+      own.push(Markup.button.callback('🗑️ Delete', `cmt_del_${confessionId}_${commentId}`));
+    }
+    if (own.length > 0) keyboard.push(own);
+  } else if (open) {
+    keyboard.push([Markup.button.callback('🚩 Report', `cmt_report_${confessionId}_${commentId}`)]);
+  }
+  
+  if (viewer.canModerate && comment.status !== 'deleted') {
+    keyboard.push([
+      comment.status === 'hidden'
+        ? Markup.button.callback('👁️ Unhide', `cmt_mod_unhide_${confessionId}_${commentId}`)
+        : Markup.button.callback('🙈 Hide', `cmt_mod_hide_${confessionId}_${commentId}`),
+      Markup.button.callback('🗑️ Delete', `cmt_mod_delete_${confessionId}_${commentId}`)
+    ]);
+    
+    if (comment.reportCount > 0) {
+      keyboard.push([Markup.button.callback('✅ Dismiss Reports', `cmt_mod_dismiss_${confessionId}_${commentId}`)]);
+    }
+  }
+  
+  if (comment.parentId) {
+    keyboard.push([Markup.button.callback(`🔙 Thread #${comment.parentId.substring(1)}`, `cmt_view_${confessionId}_${comment.parentId}_0`)]);
+  }
+  keyboard.push([Markup.button.callback('🔙 All Comments', `cmts_${confessionId}_0`)]);
+  
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
+}
+
+// Handle comment actions
+bot.action(/^add_comment_(.+)$/, async (ctx) => {
+  const confessionId = ctx.match[1];
+  
   await ctx.editMessageText(
-    `📝 *Set Username*\n\nEnter your desired username (without @):\n\nMust be 3-20 characters, letters/numbers/underscores only.`,
+    `📝 *Add Comment*\n\nType your comment for this confession:\n\nSend /cancel to stop.`,
     { parse_mode: 'Markdown' }
   );
-  ctx.session.waitingForUsername = true;
+  
+  await ctx.scene.enter(COMMENT_SCENE, { confessionId });
   await ctx.answerCbQuery();
 });
 
-// ==================== SET BIO ====================
-bot.action('set_bio', async (ctx) => {
-  await ctx.editMessageText(
-    `📝 *Set Bio*\n\nEnter your bio (max 100 characters):`,
-    { parse_mode: 'Markdown' }
-  );
-  ctx.session.waitingForBio = true;
+bot.action(/^cmts_(.+)_(\d+)$/, async (ctx) => {
+  await showComments(ctx, ctx.match[1], parseInt(ctx.match[2]));
   await ctx.answerCbQuery();
 });
 
-// ==================== SEND CONFESSION ====================
-bot.action('send_confession', async (ctx) => {
-  await sendConfessionCommand(ctx);
+// Buttons on comment lists sent before pagination existed
+bot.action(/^refresh_comments_(.+)$/, async (ctx) => {
+  const confessionId = ctx.match[1];
+  await showComments(ctx, confessionId);
   await ctx.answerCbQuery();
 });
 
-async function handleConfession(ctx, text) {
-  const userId = ctx.from.id;
+bot.action(/^cmt_view_(.+)_(c\d+)_(\d+)$/, async (ctx) => {
+  const [, confessionId, commentId, page] = ctx.match;
+  await showComment(ctx, confessionId, commentId, parseInt(page));
+  await ctx.answerCbQuery();
+});
 
-  // Validate confession
-  if (!text || text.trim().length < 5) {
-    await ctx.reply('❌ Confession too short. Minimum 5 characters.');
-    ctx.session.waitingForConfession = false;
+bot.action(/^cmt_react_(.+)_(c\d+)_(\w+)$/, async (ctx) => {
+  const [, confessionId, commentId, reaction] = ctx.match;
+  
+  if (!COMMENT_REACTIONS[reaction]) {
+    await ctx.answerCbQuery();
+    return;
+  }
+  
+  const comment = await repos.comments.get(confessionId, commentId);
+  if (!comment || !isCommentOpen(comment)) {
+    await ctx.answerCbQuery('❌ This comment is not available');
+    return;
+  }
+  
+  const result = await repos.comments.react(confessionId, commentId, ctx.from.id, reaction);
+  await ctx.answerCbQuery(result ? `${COMMENT_REACTIONS[result]} Reacted` : 'Reaction removed');
+  await showComment(ctx, confessionId, commentId);
+});
+
+bot.action(/^cmt_reply_(.+)_(c\d+)$/, async (ctx) => {
+  const [, confessionId, commentId] = ctx.match;
+  
+  const comment = await repos.comments.get(confessionId, commentId);
+  if (!comment || !isCommentOpen(comment)) {
+    await ctx.answerCbQuery('❌ This comment is not available');
     return;
   }
+  
+  await ctx.reply(
+    `↩️ *Reply to #${comment.number}*\n\n"${commentPreview(comment, 100)}"\n\nType your reply:\n\nSend /cancel to stop.`,
+    { parse_mode: 'Markdown' }
+  );
+  
+  // Replies to a reply join the same thread and point at the comment they answer
+  await ctx.scene.enter(COMMENT_SCENE, {
+    confessionId,
+    parentId: comment.parentId || comment.commentId,
+    replyToId: comment.commentId
+  });
+  await ctx.answerCbQuery();
+});
 
-  if (text.length > 1000) {
-    await ctx.reply('❌ Confession too long. Maximum 1000 characters.');
-    ctx.session.waitingForConfession = false;
+async function addComment(ctx, commentText) {
+  const userId = ctx.from.id;
+  const { confessionId, parentId = null, replyToId = null } = ctx.scene.state;
+  
+  if (!commentText || commentText.trim().length < 3) {
+    await ctx.reply('❌ Comment too short. Minimum 3 characters.');
+    return;
+  }
+  
+  if (commentText.length > MAX_COMMENT_LENGTH) {
+    await ctx.reply(`❌ Comment too long. Maximum ${MAX_COMMENT_LENGTH} characters.`);
     return;
   }
 
   try {
-    // Sanitize input
-    const sanitizedText = sanitizeInput(text);
-    
-    // Generate confession ID (confession number will be assigned during approval)
-    const confessionId = `confess_${userId}_${Date.now()}`;
-    
-    // Extract hashtags
-    const hashtags = extractHashtags(sanitizedText);
-    
-    // Save to Firebase - FIXED: Removed confessionNumber from pending confessions
-    await db.collection('confessions').doc(confessionId).set({
-      confessionId: confessionId,
-      userId: userId,
-      text: sanitizedText.trim(),
-      status: 'pending',
-      createdAt: new Date().toISOString(),
-      hashtags: hashtags,
-      totalComments: 0
-    });
+    // FIXED: Add comment rate limiting
+    const canComment = await checkCommentRateLimit(userId);
+    if (!canComment) {
+      await ctx.reply('❌ Too many comments. Please wait before adding another comment.');
+      return;
+    }
 
-    // Update user profile
-    await db.collection('users').doc(userId.toString()).update({
-      totalConfessions: admin.firestore.FieldValue.increment(1)
-    });
+    const [commentSection, confession] = await Promise.all([
+      loadCommentSection(confessionId),
+      repos.confessions.get(confessionId)
+    ]);
+    if (!commentSection || !confession) {
+      await ctx.reply('❌ Confession not found.');
+      return;
+    }
 
-    // Set persistent cooldown
-    await setCooldown(userId, 'confession');
+    // Sanitize comment text
+    const sanitizedComment = sanitizeInput(commentText);
 
-    // Notify admin
-    await notifyAdmins(confessionId, sanitizedText);
+    // Use transaction to ensure the comment and its counters stay in step
+    // Only a pseudonym is shown to other users; the author is tagged OP
+    const comment = await repos.comments.add(confessionId, {
+      text: sanitizedComment.trim(),
+      userId: userId,
+      isOP: confession.userId === userId,
+      parentId: parentId,
+      replyToId: replyToId
+    });
+    if (!comment) {
+      // Old comments are still being moved over; stay in the scene to resend
+      await ctx.reply('⏳ This comment section is being updated. Please send your comment again in a moment.');
+      return;
+    }
+
+    // FIXED: Record comment for rate limiting
+    await recordComment(userId);
     
-    ctx.session.waitingForConfession = false;
+    await refreshChannelCounter(confessionId);
+    
+    await notifyCommentRecipients(confession, comment);
 
-    const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('📝 Send Another', 'send_confession')],
-      [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
-    ]);
+    // Update reputation for commenting (5 points)
+    await updateReputation(userId, 5);
 
-    await ctx.replyWithMarkdown(
-      `✅ *Confession Submitted!*\n\nYour confession is under review. You'll be notified when approved.`,
-      keyboard
-    );
+    await ctx.reply(parentId ? '✅ Reply added successfully!' : '✅ Comment added successfully!');
+    
+    // Leave the comment flow before showing updated comments
+    await ctx.scene.leave();
+    if (parentId) {
+      await showComment(ctx, confessionId, parentId);
+    } else {
+      await showComments(ctx, confessionId);
+    }
     
     // Check for achievements
     await checkAchievements(userId);
     
   } catch (error) {
-    console.error('Submission error:', error);
-    await ctx.reply('❌ Error submitting confession. Please try again.');
-    ctx.session.waitingForConfession = false;
+    console.error('Add comment error:', error);
+    await ctx.reply('❌ Error adding comment.');
   }
 }
 
-// ==================== ADMIN NOTIFICATION ====================
-async function notifyAdmins(confessionId, text) {
-  const adminIds = process.env.ADMIN_IDS?.split(',').map(id => id.trim()) || [];
+// The confession's author hears about new comments, a comment's author about
+// replies to it; never about their own
+async function notifyCommentRecipients(confession, comment) {
+  const recipients = new Map();
+  
+  if (confession.userId !== comment.userId) {
+    recipients.set(confession.userId, `💬 *New comment on your Confession #${confession.confessionNumber}*`);
+  }
+  
+  const repliedToId = comment.replyToId || comment.parentId;
+  if (repliedToId) {
+    const repliedTo = await repos.comments.get(confession.confessionId, repliedToId);
+    if (repliedTo && repliedTo.userId !== comment.userId && !recipients.has(repliedTo.userId)) {
+      recipients.set(repliedTo.userId, `↩️ *New reply to your comment on Confession #${confession.confessionNumber}*`);
+    }
+  }
+  
+  const threadId = comment.parentId || comment.commentId;
+  for (const [userId, title] of recipients) {
+    await notify(userId, 'newComment',
+      `${title}\n\n${commentAuthor(comment, false)}: ${commentPreview(comment, 200)}`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: Markup.inlineKeyboard([
+          [Markup.button.callback('💬 View', `cmt_view_${confession.confessionId}_${threadId}_0`)]
+        ]).reply_markup
+      }
+    );
+  }
+}
+
+// ==================== COMMENT MODERATION ====================
+bot.action(/^cmt_report_(.+)_(c\d+)$/, async (ctx) => {
+  const [, confessionId, commentId] = ctx.match;
+  
+  const comment = await repos.comments.get(confessionId, commentId);
+  if (!comment || !isCommentOpen(comment)) {
+    await ctx.answerCbQuery('❌ This comment is not available');
+    return;
+  }
+  
+  if (comment.userId === ctx.from.id) {
+    await ctx.answerCbQuery("You can't report your own comment");
+    return;
+  }
+  
+  const result = await repos.comments.report(confessionId, commentId, ctx.from.id, COMMENT_REPORT_THRESHOLD);
+  
+  if (result.duplicate) {
+    await ctx.answerCbQuery('You already reported this comment');
+    return;
+  }
+  
+  await ctx.answerCbQuery('🚩 Reported. Thanks for keeping the community safe.');
+  
+  if (result.hidden) {
+    await notifyCommentModerators(confessionId, comment, result.reportCount);
+  }
   
-  const message = `🤫 *New Confession*\n\n${text}\n\n*Actions:*`;
+  await showComment(ctx, confessionId, commentId);
+});
 
+// Tell moderators a comment was hidden automatically and needs a decision
+async function notifyCommentModerators(confessionId, comment, reportCount) {
+  const moderatorIds = await staffWithPermission(PERMISSIONS.MODERATE_COMMENTS);
   const keyboard = Markup.inlineKeyboard([
-    [
-      Markup.button.callback('✅ Approve', `approve_${confessionId}`),
-      Markup.button.callback('❌ Reject', `reject_${confessionId}`)
-    ]
+    [Markup.button.callback('🔍 Review Comment', `cmt_view_${confessionId}_${comment.commentId}_0`)]
   ]);
+  
+  for (const moderatorId of moderatorIds) {
+    await notify(moderatorId, 'staff',
+      `🚩 *Comment Auto-Hidden*\n\nComment #${comment.number} was hidden after ${reportCount} reports:\n\n"${commentPreview(comment, 200)}"`,
+      { parse_mode: 'Markdown', reply_markup: keyboard.reply_markup }
+    );
+  }
+}
 
-  for (const adminId of adminIds) {
-    try {
-      await bot.telegram.sendMessage(adminId, message, {
-        parse_mode: 'Markdown',
-        reply_markup: keyboard.reply_markup
-      });
-    } catch (error) {
-      console.error(`Admin notify error ${adminId}:`, error);
-    }
+bot.action(/^cmt_del_(.+)_(c\d+)$/, async (ctx) => {
+  const [, confessionId, commentId] = ctx.match;
+  
+  const comment = await repos.comments.get(confessionId, commentId);
+  if (!comment || comment.userId !== ctx.from.id) {
+    await ctx.answerCbQuery('❌ You can only delete your own comments');
+    return;
+  }
+  
+  if (await repos.comments.remove(confessionId, commentId, 'author')) {
+    await refreshChannelCounter(confessionId);
+  }
+  
+  await ctx.answerCbQuery('🗑️ Comment deleted');
+  await showComment(ctx, confessionId, commentId);
+});
+
+bot.action(/^cmt_edit_(.+)_(c\d+)$/, async (ctx) => {
+  const [, confessionId, commentId] = ctx.match;
+  
+  const comment = await repos.comments.get(confessionId, commentId);
+  if (!comment || !canEditComment(comment, ctx.from.id)) {
+    await ctx.answerCbQuery(`❌ Comments can only be edited by their author within ${COMMENT_EDIT_WINDOW_MS / 60000} minutes`);
+    return;
+  }
+  
+  await ctx.reply(
+    `✏️ *Edit Comment #${comment.number}*\n\n"${commentPreview(comment, 100)}"\n\nSend the new text:\n\nSend /cancel to stop.`,
+    { parse_mode: 'Markdown' }
+  );
+  await ctx.scene.enter(COMMENT_EDIT_SCENE, { confessionId, commentId });
+  await ctx.answerCbQuery();
+});
+
+async function handleCommentEdit(ctx, text) {
+  const { confessionId, commentId } = ctx.scene.state;
+  
+  if (text.trim().length < 3) {
+    await ctx.reply('❌ Comment too short. Minimum 3 characters.');
+    return;
+  }
+  
+  if (text.length > MAX_COMMENT_LENGTH) {
+    await ctx.reply(`❌ Comment too long. Maximum ${MAX_COMMENT_LENGTH} characters.`);
+    return;
+  }
+  
+  // The window may have closed while the new text was being typed
+  const comment = await repos.comments.get(confessionId, commentId);
+  if (!comment || !canEditComment(comment, ctx.from.id)) {
+    await ctx.reply('❌ The edit window for this comment has closed.');
+    await ctx.scene.leave();
+    return;
+  }
+  
+  await repos.comments.edit(confessionId, commentId, sanitizeInput(text).trim());
+  await ctx.reply('✅ Comment updated!');
+  await ctx.scene.leave();
+  await showComment(ctx, confessionId, commentId);
+}
+
+bot.action(/^cmt_mod_(hide|unhide|delete|dismiss)_(.+)_(c\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MODERATE_COMMENTS)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
+  
+  const [, action, confessionId, commentId] = ctx.match;
+  const comment = await repos.comments.moderate(confessionId, commentId, action, actorOf(ctx));
+  if (!comment) {
+    await ctx.answerCbQuery('❌ Comment not found');
+    return;
   }
-}
+  
+  const before = { status: comment.status || 'visible', reportCount: comment.reportCount || 0 };
+  // Dismissing reports on a hidden comment also restores it
+  const after = action === 'delete'
+    ? { status: 'deleted' }
+    : { status: action === 'hide' ? 'hidden' : 'visible', reportCount: 0 };
+  
+  if (action === 'delete') {
+    await refreshChannelCounter(confessionId);
+  }
+  
+  await logAudit(ctx, action === 'dismiss' ? 'dismiss_reports' : `${action}_comment`, {
+    targetId: `${confessionId}/${commentId}`,
+    targetUserId: comment.userId,
+    before: before,
+    after: after,
+    details: { text: comment.text.substring(0, 200) }
+  });
+  
+  await ctx.answerCbQuery('✅ Done');
+  await showComment(ctx, confessionId, commentId);
+});
 
-// ==================== ADMIN APPROVAL ====================
-bot.action(/approve_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+// Open reports, newest first
+bot.action(/^cmt_reports_(\d+)$/, async (ctx) => {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MODERATE_COMMENTS)) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
-  const confessionId = ctx.match[1];
+  const page = parseInt(ctx.match[1]);
+  const reports = await repos.comments.listOpenReports({ offset: page * COMMENTS_PAGE_SIZE, limit: COMMENTS_PAGE_SIZE + 1 });
+  const hasNext = reports.length > COMMENTS_PAGE_SIZE;
   
-  try {
-    const doc = await db.collection('confessions').doc(confessionId).get();
-    if (!doc.exists) {
-      await ctx.answerCbQuery('❌ Confession not found');
-      return;
-    }
-
-    const confession = doc.data();
+  let text = `🚩 *Reported Comments* (page ${page + 1})\n\n`;
+  const keyboard = [];
+  
+  if (reports.length === 0) {
+    text += 'No open reports.';
+  }
+  
+  for (const [index, report] of reports.slice(0, COMMENTS_PAGE_SIZE).entries()) {
+    const [section, comment] = await Promise.all([
+      repos.comments.getSection(report.confessionId),
+      repos.comments.get(report.confessionId, report.commentId)
+    ]);
+    if (!comment) continue;
     
-    // FIXED: Get next confession number from Firestore (only during approval)
-    const nextNumber = await getNextConfessionNumber();
+    const label = page * COMMENTS_PAGE_SIZE + index + 1;
+    const hidden = comment.status === 'hidden' ? ' · 🙈 hidden' : '';
+    text += `${label}. Confession #${section?.confessionNumber || '?'} · Comment #${comment.number} · ${report.reportCount} report(s)${hidden}\n`;
+    text += `  "${commentPreview(comment, 80)}"\n\n`;
     
-    // Update confession with assigned number
-    await db.collection('confessions').doc(confessionId).update({
-      status: 'approved',
-      confessionNumber: nextNumber, // FIXED: Assign number during approval only
-      approvedAt: new Date().toISOString()
-    });
-
-    // Post to channel WITH PROPER COMMENT BUTTONS
-    await postToChannel(confession.text, nextNumber, confessionId);
-
-    // Update reputation (10 points for approved confession)
-    await updateReputation(confession.userId, 10);
-
-    // Notify user
-    await notifyUser(confession.userId, nextNumber, 'approved');
+    keyboard.push([Markup.button.callback(`🔍 Review ${label}`, `cmt_view_${report.confessionId}_${report.commentId}_0`)]);
+  }
+  
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('⬅️ Prev', `cmt_reports_${page - 1}`));
+  if (hasNext) navigation.push(Markup.button.callback('Next ➡️', `cmt_reports_${page + 1}`));
+  if (navigation.length > 0) keyboard.push(navigation);
+  
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
+  await ctx.answerCbQuery();
+});
 
-    // Update admin message
-    await ctx.editMessageText(
-      `✅ *Confession #${nextNumber} Approved!*\n\nPosted to channel successfully.`,
+// ==================== USER NOTIFICATION ====================
+async function notifyUser(userId, number, status, reason = '', confessionId = null) {
+  if (status === 'approved') {
+    await notify(userId, 'confessionApproved',
+      `🎉 *Your Confession #${number} was approved!*\n\nIt has been posted to the channel.\n\n⭐ +10 reputation points`,
       { parse_mode: 'Markdown' }
     );
-    
-    await ctx.answerCbQuery('Approved!');
+  } else {
+    // Review results always go out, whatever the preferences
+    await notify(userId, 'review',
+      `❌ *Confession Not Approved*\n\nReason: ${escapeMarkdown(reason)}\n\nYou can submit a new one, or appeal if you think this was a mistake.`,
+      {
+        parse_mode: 'Markdown',
+        reply_markup: Markup.inlineKeyboard([[appealButton('rejection', confessionId)]]).reply_markup
+      }
+    );
+  }
+}
 
-    // Check for achievements
-    await checkAchievements(confession.userId);
+// ==================== APPEALS ====================
+// A rejected confession or a ban can be appealed once. Appeals wait in a
+// queue for staff who may decide them; an accepted rejection appeal sends the
+// confession back to review, an accepted ban appeal lifts the ban.
+const APPEAL_TYPES = {
+  rejection: { label: '📝 Rejected confession', permission: PERMISSIONS.REVIEW_CONFESSIONS },
+  ban: { label: '⛔ Ban', permission: PERMISSIONS.BLOCK_USERS }
+};
+const MAX_APPEAL_LENGTH = 1000;
 
-  } catch (error) {
-    console.error('Approval error:', error);
-    await ctx.answerCbQuery('❌ Approval failed');
+function appealButton(type, targetId = null) {
+  return Markup.button.callback('📨 Appeal', targetId ? `appeal_${type}_${targetId}` : `appeal_${type}`);
+}
+
+// Appeal types the staff member may decide
+async function appealTypesFor(userId) {
+  const types = [];
+  for (const [type, { permission }] of Object.entries(APPEAL_TYPES)) {
+    if (await hasPermission(userId, permission)) types.push(type);
   }
-});
+  return types;
+}
 
-// ==================== ADMIN REJECTION ====================
-bot.action(/reject_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
-    await ctx.answerCbQuery('❌ Access denied');
+// What the user is appealing, or a reason they can't
+async function appealSubject(userId, type, targetId) {
+  if (type === 'rejection') {
+    const confession = await repos.confessions.get(targetId);
+    if (!confession || confession.userId !== userId || confession.status !== 'rejected') {
+      return { error: 'This confession can no longer be appealed.' };
+    }
+    
+    return {
+      appealId: `rejection_${targetId}`,
+      targetId: targetId,
+      context: { text: confessionSnippet(confession, 300), reason: confession.rejectionReason || null }
+    };
+  }
+  
+  const profile = await repos.users.get(userId);
+  const ban = profile && activeRestriction(profile, 'ban');
+  if (!ban) return { error: 'Your account is not banned.' };
+  
+  // One appeal per ban; bans from before restrictions existed have no issue time
+  const issued = ban.issuedAt ? new Date(ban.issuedAt).getTime() : 'legacy';
+  return {
+    appealId: `ban_${userId}_${issued}`,
+    targetId: userId.toString(),
+    context: { reason: ban.reason, until: ban.until }
+  };
+}
+
+// Updates a banned user may still send: opening and writing an appeal
+function isAppealUpdate(ctx) {
+  if (ctx.callbackQuery?.data?.startsWith('appeal_')) return true;
+  
+  const text = ctx.message?.text;
+  return ctx.session.__scenes?.current === APPEAL_SCENE && (!text || text === '/cancel' || !isNavigationText(text));
+}
+
+bot.action(/^appeal_(rejection|ban)(?:_(.+))?$/, async (ctx) => {
+  const [, type, targetId] = ctx.match;
+  const subject = await appealSubject(ctx.from.id, type, targetId);
+  
+  if (subject.error) {
+    await ctx.answerCbQuery(`❌ ${subject.error}`, { show_alert: true });
     return;
   }
   
-  const confessionId = ctx.match[1];
+  const existing = await repos.appeals.get(subject.appealId);
+  if (existing) {
+    await ctx.answerCbQuery(`You already appealed this (${existing.status}).`, { show_alert: true });
+    return;
+  }
   
-  await ctx.editMessageText(
-    `❌ *Rejecting Confession*\n\nPlease provide rejection reason:`,
+  await ctx.answerCbQuery();
+  await ctx.reply(
+    `📨 *Appeal*\n\nTell the moderators why this ${type === 'ban' ? 'ban' : 'rejection'} should be reconsidered (max ${MAX_APPEAL_LENGTH} characters). You can appeal only once.\n\nSend /cancel to stop.`,
     { parse_mode: 'Markdown' }
   );
-  ctx.session.rejectingConfession = confessionId;
-  await ctx.answerCbQuery();
+  await ctx.scene.enter(APPEAL_SCENE, { type, targetId: targetId || null });
 });
 
-async function handleRejection(ctx, reason) {
-  const confessionId = ctx.session.rejectingConfession;
+async function handleAppealMessage(ctx, text) {
+  const { type, targetId } = ctx.scene.state;
+  const message = text.trim();
   
-  try {
-    const doc = await db.collection('confessions').doc(confessionId).get();
-    if (doc.exists) {
-      const confession = doc.data();
-      
-      await db.collection('confessions').doc(confessionId).update({
-        status: 'rejected',
-        rejectionReason: reason,
-        rejectedAt: new Date().toISOString()
-      });
-
-      // Notify user
-      await notifyUser(confession.userId, 0, 'rejected', reason);
-
-      await ctx.reply(`✅ Confession rejected.`);
-    }
-  } catch (error) {
-    console.error('Rejection error:', error);
-    await ctx.reply('❌ Rejection failed');
+  if (message.length < 10) {
+    await ctx.reply('❌ Please explain your appeal in a little more detail.');
+    return;
   }
   
-  ctx.session.rejectingConfession = null;
-}
-
-// ==================== CHANNEL POSTING WITH COMMENT SYSTEM ====================
-async function postToChannel(text, number, confessionId) {
-  const channelId = process.env.CHANNEL_ID;
+  if (message.length > MAX_APPEAL_LENGTH) {
+    await ctx.reply(`❌ Appeal too long. Maximum ${MAX_APPEAL_LENGTH} characters.`);
+    return;
+  }
   
-  const message = `#${number}\n\n${text}`;
-
-  try {
-    // Send the confession to channel
-    const channelMessage = await bot.telegram.sendMessage(channelId, message);
-    
-    // Create a comment button that redirects to bot
-    const commentButton = Markup.inlineKeyboard([
-      [Markup.button.url('👁️‍🗨️ View/Add Comments', `https://t.me/${bot.botInfo.username}?start=comments_${confessionId}`)]
-    ]);
-
-    // Edit the message to add comment button
-    await bot.telegram.editMessageText(
-      channelId,
-      channelMessage.message_id,
-      undefined,
-      `${message}\n\n[ 👁️‍🗨️ View/Add Comments (0) ]`, // This is just text, not a button
-      commentButton
-    );
-
-    // Create a separate comment section in bot
-    await createCommentSection(confessionId, number, text);
-    
-  } catch (error) {
-    console.error('Channel post error:', error);
+  await ctx.scene.leave();
+  
+  const subject = await appealSubject(ctx.from.id, type, targetId);
+  if (subject.error) {
+    await ctx.reply(`❌ ${subject.error}`);
+    return;
   }
-}
-
-// ==================== COMMENT SYSTEM ====================
-async function createCommentSection(confessionId, number, confessionText) {
-  // Create a document to store comments
-  await db.collection('comments').doc(confessionId).set({
-    confessionId: confessionId,
-    confessionNumber: number,
-    confessionText: confessionText,
-    comments: [],
-    totalComments: 0
+  
+  const appeal = await repos.appeals.create(subject.appealId, {
+    userId: ctx.from.id,
+    type: type,
+    targetId: subject.targetId,
+    message: sanitizeInput(message),
+    context: subject.context
   });
+  
+  if (!appeal) {
+    await ctx.reply('❌ You already appealed this.');
+    return;
+  }
+  
+  await ctx.reply('📨 Your appeal has been sent. You will get the moderators\' answer here.');
+  
+  const staffIds = await staffWithPermission(APPEAL_TYPES[type].permission);
+  for (const staffId of staffIds) {
+    await notify(staffId, 'staff', `📨 New appeal: ${APPEAL_TYPES[type].label}`, {
+      reply_markup: Markup.inlineKeyboard([[Markup.button.callback('📨 Open Appeals', 'appeals_page_0')]]).reply_markup
+    });
+  }
 }
 
-// Show comments for a confession
-async function showComments(ctx, confessionId) {
-  try {
-    const commentDoc = await db.collection('comments').doc(confessionId).get();
-    if (!commentDoc.exists) {
-      await ctx.reply('❌ Confession not found.');
-      return;
-    }
-
-    const data = commentDoc.data();
-    const comments = data.comments || [];
-    
-    let commentText = `💬 Comments for Confession #${data.confessionNumber}\n\n`;
+async function showAppeals(ctx, page = 0) {
+  const types = await appealTypesFor(ctx.from.id);
+  const total = await repos.appeals.countOpen(types);
+  page = Math.min(page, Math.max(0, total - 1));
+  const [appeal] = total > 0 ? await repos.appeals.listOpen(types, { offset: page, limit: 1 }) : [];
+  
+  let text = `📨 *Appeals* (${total} open)\n\n`;
+  const keyboard = [];
+  
+  if (!appeal) {
+    text += 'No open appeals.';
+  } else {
+    const { context } = appeal;
+    text += `*${APPEAL_TYPES[appeal.type].label}* · ${page + 1}/${total}\n`;
+    text += `User ID: ${appeal.userId} · ${new Date(appeal.createdAt).toLocaleString()}\n\n`;
     
-    if (comments.length === 0) {
-      commentText += 'No comments yet. Be the first to comment!\n\n';
+    if (appeal.type === 'rejection') {
+      text += `*Confession:* "${escapeMarkdown(context.text)}"\n`;
+      text += `*Rejected for:* ${escapeMarkdown(context.reason || 'no reason given')}\n\n`;
     } else {
-      commentText += `Total Comments: ${comments.length}\n\n`;
-      comments.forEach((comment, index) => {
-        commentText += `${index + 1}. ${comment.text}\n`;
-        commentText += `   - ${comment.timestamp}\n\n`;
-      });
+      text += `*Banned ${context.until ? `until ${formatLocalTime(context.until)}` : 'permanently'}:* ${escapeMarkdown(context.reason || 'no reason given')}\n\n`;
     }
-
-    const keyboard = Markup.inlineKeyboard([
-      [Markup.button.callback('📝 Add Comment', `add_comment_${confessionId}`)],
-      [Markup.button.callback('🔄 Refresh', `refresh_comments_${confessionId}`)],
-      [Markup.button.callback('🎯 Daily Check-in', 'daily_checkin')],
-      [Markup.button.callback('🔙 Back to Menu', 'back_to_menu')]
+    
+    text += `*Appeal:* ${escapeMarkdown(appeal.message)}`;
+    
+    keyboard.push([
+      Markup.button.callback(appeal.type === 'ban' ? '✅ Lift Ban' : '✅ Re-review', `apl_ok_${appeal.appealId}_${page}`),
+      Markup.button.callback('❌ Deny', `apl_no_${appeal.appealId}_${page}`)
     ]);
-
-    await ctx.replyWithMarkdown(commentText, keyboard);
-  } catch (error) {
-    console.error('Show comments error:', error);
-    await ctx.reply('❌ Error loading comments.');
+    keyboard.push([Markup.button.callback('👤 View User', `view_user_${appeal.userId}`)]);
   }
+  
+  const navigation = [];
+  if (page > 0) navigation.push(Markup.button.callback('⬅️ Prev', `appeals_page_${page - 1}`));
+  if (page + 1 < total) navigation.push(Markup.button.callback('Next ➡️', `appeals_page_${page + 1}`));
+  if (navigation.length > 0) keyboard.push(navigation);
+  
+  keyboard.push([Markup.button.callback('🔙 Admin Menu', 'admin_menu')]);
+  
+  await editOrReply(ctx, text, {
+    parse_mode: 'Markdown',
+    reply_markup: Markup.inlineKeyboard(keyboard).reply_markup
+  });
 }
 
-// Handle comment actions
-bot.action(/^add_comment_(.+)$/, async (ctx) => {
-  const confessionId = ctx.match[1];
-  
-  await ctx.editMessageText(
-    `📝 *Add Comment*\n\nType your comment for this confession:`,
-    { parse_mode: 'Markdown' }
-  );
+bot.action(/^appeals_page_(\d+)$/, async (ctx) => {
+  if ((await appealTypesFor(ctx.from.id)).length === 0) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return;
+  }
   
-  ctx.session.waitingForComment = confessionId;
+  await showAppeals(ctx, parseInt(ctx.match[1]));
   await ctx.answerCbQuery();
 });
 
-bot.action(/^refresh_comments_(.+)$/, async (ctx) => {
-  const confessionId = ctx.match[1];
-  await showComments(ctx, confessionId);
-  await ctx.answerCbQuery();
-});
+// The appeal, if the staff member may decide it and it's still open
+async function openAppealFor(ctx, appealId) {
+  const appeal = await repos.appeals.get(appealId);
+  
+  if (!appeal || !await hasPermission(ctx.from.id, APPEAL_TYPES[appeal.type].permission)) {
+    await ctx.answerCbQuery('❌ Access denied');
+    return null;
+  }
+  
+  if (appeal.status !== 'open') {
+    await ctx.answerCbQuery(`Already ${appeal.status}`);
+    return null;
+  }
+  
+  return appeal;
+}
 
-async function addComment(ctx, commentText) {
-  const userId = ctx.from.id;
-  const confessionId = ctx.session.waitingForComment;
+bot.action(/^apl_ok_(.+)_(\d+)$/, async (ctx) => {
+  const [, appealId, page] = ctx.match;
+  const appeal = await openAppealFor(ctx, appealId);
+  if (!appeal) return;
   
-  if (!commentText || commentText.trim().length < 3) {
-    await ctx.reply('❌ Comment too short. Minimum 3 characters.');
+  // Close the appeal first so a second moderator can't reopen the confession twice
+  if (!await repos.appeals.resolve(appealId, { status: 'accepted', resolvedBy: actorOf(ctx) })) {
+    await ctx.answerCbQuery('Already decided');
     return;
   }
-
-  try {
-    // FIXED: Add comment rate limiting
-    const canComment = await checkCommentRateLimit(userId);
-    if (!canComment) {
-      await ctx.reply('❌ Too many comments. Please wait before adding another comment.');
-      return;
-    }
-
-    const commentDoc = await db.collection('comments').doc(confessionId).get();
-    if (!commentDoc.exists) {
-      await ctx.reply('❌ Confession not found.');
-      return;
-    }
-
-    // Sanitize comment text
-    const sanitizedComment = sanitizeInput(commentText);
-
-    const commentData = {
-      id: `comment_${Date.now()}_${userId}`,
-      text: sanitizedComment.trim(),
-      userId: userId,
-      userName: ctx.from.first_name,
-      timestamp: new Date().toLocaleString(),
-      createdAt: new Date().toISOString()
-    };
-
-    // Use transaction to ensure both updates happen together
-    await db.runTransaction(async (transaction) => {
-      const commentRef = db.collection('comments').doc(confessionId);
-      const confessionRef = db.collection('confessions').doc(confessionId);
-      
-      transaction.update(commentRef, {
-        comments: admin.firestore.FieldValue.arrayUnion(commentData),
-        totalComments: admin.firestore.FieldValue.increment(1)
-      });
-      
-      transaction.update(confessionRef, {
-        totalComments: admin.firestore.FieldValue.increment(1)
-      });
+  
+  if (appeal.type === 'ban') {
+    await liftSanctions(ctx, appeal.userId, {
+      keys: ['ban'],
+      notice: '✅ Your appeal was accepted and your ban has been lifted.'
     });
-
-    // FIXED: Record comment for rate limiting
-    await recordComment(userId);
-
-    // Update reputation for commenting (5 points)
-    await updateReputation(userId, 5);
-
-    await ctx.reply('✅ Comment added successfully!');
-    
-    // Show updated comments
-    await showComments(ctx, confessionId);
-    
-    // Clear session
-    ctx.session.waitingForComment = null;
-    
-    // Check for achievements
-    await checkAchievements(userId);
+  } else {
+    const confession = await repos.confessions.reopen(appeal.targetId, actorOf(ctx));
     
-  } catch (error) {
-    console.error('Add comment error:', error);
-    await ctx.reply('❌ Error adding comment.');
-  }
-}
-
-// ==================== USER NOTIFICATION ====================
-async function notifyUser(userId, number, status, reason = '') {
-  try {
-    let message = '';
-    if (status === 'approved') {
-      message = `🎉 *Your Confession #${number} was approved!*\n\nIt has been posted to the channel.\n\n⭐ +10 reputation points`;
+    if (confession) {
+      await syncReviewMessages(confession,
+        `🔁 *Reopened after an appeal* ${reviewStamp(actorOf(ctx), new Date())}\nAppeal: ${escapeMarkdown(appeal.message.substring(0, 300))}\n\n*Actions:*`,
+        { reply_markup: reviewKeyboard(appeal.targetId).reply_markup }
+      );
+      await notify(appeal.userId, 'review', '✅ Your appeal was accepted. Your confession is back with the moderators for another review.');
     } else {
-      message = `❌ *Confession Not Approved*\n\nReason: ${reason}\n\nYou can submit a new one.`;
+      await ctx.reply('⚠️ The appeal was accepted, but the confession is no longer rejected, so it was not reopened.');
     }
+  }
+  
+  await logAudit(ctx, 'resolve_appeal', {
+    targetId: appealId,
+    targetUserId: appeal.userId,
+    after: { status: 'accepted' }
+  });
+  
+  await ctx.answerCbQuery('✅ Appeal accepted');
+  await showAppeals(ctx, parseInt(page));
+});
 
-    await bot.telegram.sendMessage(userId, message, { parse_mode: 'Markdown' });
-  } catch (error) {
-    console.error('User notify error:', error);
+bot.action(/^apl_no_(.+)_(\d+)$/, async (ctx) => {
+  const [, appealId, page] = ctx.match;
+  const appeal = await openAppealFor(ctx, appealId);
+  if (!appeal) return;
+  
+  await ctx.answerCbQuery();
+  await ctx.reply('❌ Send the answer the user will see with the denied appeal.\n\nSend /cancel to stop.');
+  await ctx.scene.enter(APPEAL_DECISION_SCENE, { appealId, page: parseInt(page) });
+});
+
+async function handleAppealDenial(ctx, text) {
+  const { appealId, page } = ctx.scene.state;
+  const appeal = await repos.appeals.get(appealId);
+  
+  if (!appeal || !await hasPermission(ctx.from.id, APPEAL_TYPES[appeal.type].permission)) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
+    return;
+  }
+  
+  const response = text.trim().substring(0, 500);
+  await ctx.scene.leave();
+  
+  if (!await repos.appeals.resolve(appealId, { status: 'denied', resolvedBy: actorOf(ctx), response })) {
+    await ctx.reply('⚠️ This appeal has already been decided.');
+    return;
   }
+  
+  await logAudit(ctx, 'resolve_appeal', {
+    targetId: appealId,
+    targetUserId: appeal.userId,
+    after: { status: 'denied', response }
+  });
+  
+  await notify(appeal.userId, 'review',
+    `❌ *Appeal Denied*\n\nYour appeal against the ${appeal.type === 'ban' ? 'ban' : 'rejection'} was reviewed and denied.\n\nModerators' answer: ${escapeMarkdown(response)}`,
+    { parse_mode: 'Markdown' }
+  );
+  
+  await ctx.reply('✅ Appeal denied and the user has been told.');
+  await showAppeals(ctx, page);
 }
 
 // ==================== ADMIN MESSAGING ====================
 bot.action(/message_(.+)/, async (ctx) => {
-  if (!isAdmin(ctx.from.id)) {
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MESSAGE_USERS)) {
     await ctx.answerCbQuery('❌ Access denied');
     return;
   }
   
   const userId = ctx.match[1];
-  await ctx.editMessageText(`📩 Messaging user ID: ${userId}\n\nType your message:`);
-  ctx.session.messagingUser = userId;
+  await ctx.editMessageText(`📩 Messaging user ID: ${userId}\n\nType your message:\n\nSend /cancel to stop.`);
+  await ctx.scene.enter(ADMIN_MESSAGE_SCENE, { userId });
   await ctx.answerCbQuery();
 });
 
 async function handleAdminMessage(ctx, text) {
-  const userId = ctx.session.messagingUser;
+  const { userId } = ctx.scene.state;
+  
+  if (!await hasPermission(ctx.from.id, PERMISSIONS.MESSAGE_USERS)) {
+    await ctx.reply('❌ Access denied');
+    await ctx.scene.leave();
+    return;
+  }
 
-  try {
-    await bot.telegram.sendMessage(userId, `📩 *Admin Message*\n\n${text}`, { parse_mode: 'Markdown' });
+  if (await notify(userId, 'admin', `📩 *Admin Message*\n\n${text}`, { parse_mode: 'Markdown' })) {
+    await logAudit(ctx, 'message_user', {
+      targetId: userId,
+      targetUserId: userId,
+      details: { text: text.substring(0, 200) }
+    });
+    
     await ctx.reply(`✅ Message sent to user ID: ${userId}`);
-  } catch (error) {
+  } else {
     await ctx.reply(`❌ Failed to send message to user ID: ${userId}. User may have blocked bot.`);
   }
   
-  ctx.session.messagingUser = null;
+  await ctx.scene.leave();
 }
 
 // ==================== ERROR HANDLING ====================
@@ -2000,6 +5571,15 @@ module.exports = async (req, res) => {
     }
     
     await bot.handleUpdate(req.body);
+    
+    // Queues and broadcasts are left to the cron endpoint so replies aren't
+    // held up; held-back counter edits are cheap enough to catch up here
+    try {
+      await flushChannelCounters();
+    } catch (error) {
+      console.error('Counter flush error:', error);
+    }
+    
     res.status(200).send('OK');
   } catch (error) {
     console.error('Webhook error:', error);
@@ -2007,6 +5587,11 @@ module.exports = async (req, res) => {
   }
 };
 
+// Exposed for the replay harness (lib/harness.js)
+module.exports.bot = bot;
+module.exports.storage = storage;
+module.exports.runScheduledJobs = runScheduledJobs;
+
 // ==================== LOCAL DEVELOPMENT ====================
 if (process.env.NODE_ENV === 'development') {
   initializeCounter().then(() => {
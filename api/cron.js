@@ -0,0 +1,21 @@
+// Cron endpoint (see "crons" in vercel.json): drains the publish queue, sends
+// held-back notifications, carries broadcasts forward and catches up
+// channel counter edits. Webhook requests only catch up the counters.
+// Vercel sends CRON_SECRET as a bearer token; without it the endpoint is closed.
+const handler = require('./bot');
+
+module.exports = async (req, res) => {
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+    res.status(401).send('Unauthorized');
+    return;
+  }
+
+  try {
+    await handler.runScheduledJobs();
+    res.status(200).send('OK');
+  } catch (error) {
+    console.error('Cron error:', error);
+    res.status(500).send('Error');
+  }
+};
@@ -0,0 +1,309 @@
+// Replay harness for the Vercel webhook handler. Scripted Telegram updates are
+// fed through api/bot.js against the in-memory storage backend, and every Bot
+// API call is answered by a fake transport that records it instead of hitting
+// the network.
+const path = require('path');
+const { Telegram } = require('telegraf');
+
+const BOT_PATH = path.join(__dirname, '..', 'api', 'bot.js');
+
+const DEFAULT_ENV = {
+  NODE_ENV: 'test',
+  STORAGE_BACKEND: 'memory',
+  BOT_TOKEN: '123456:TEST_TOKEN',
+  ADMIN_IDS: '1000',
+  CHANNEL_ID: '-1001234567890'
+};
+
+const BOT_INFO = {
+  id: 123456,
+  is_bot: true,
+  first_name: 'JU Confession Bot',
+  username: 'ju_confession_bot',
+  can_join_groups: false,
+  can_read_all_group_messages: false,
+  supports_inline_queries: true
+};
+
+// Methods that produce a new message in the target chat
+const SEND_METHODS = new Set([
+  'sendMessage', 'sendPhoto', 'sendVideo', 'sendVoice', 'sendAudio',
+  'sendDocument', 'sendSticker', 'sendAnimation', 'copyMessage'
+]);
+
+const EDIT_METHODS = new Set([
+  'editMessageText', 'editMessageCaption', 'editMessageReplyMarkup', 'editMessageMedia'
+]);
+
+const MAX_CALLBACK_DATA_BYTES = 64;
+
+function createHarness({ env = {} } = {}) {
+  const previousEnv = {};
+  for (const [key, value] of Object.entries({ ...DEFAULT_ENV, ...env })) {
+    previousEnv[key] = process.env[key];
+    process.env[key] = value;
+  }
+
+  // Load a fresh copy of the bot so every harness starts with empty storage
+  delete require.cache[BOT_PATH];
+  const handler = require(BOT_PATH);
+  const { bot, storage } = handler;
+  bot.botInfo = BOT_INFO;
+
+  const calls = [];
+  const chats = new Map(); // chatId -> messages currently in that chat
+  const stubs = new Map();
+  let nextMessageId = 1;
+  let nextUpdateId = 1;
+
+  function chatMessages(chatId) {
+    const key = chatId.toString();
+    if (!chats.has(key)) chats.set(key, []);
+    return chats.get(key);
+  }
+
+  function findMessage(chatId, messageId) {
+    return chatMessages(chatId).find(message => message.message_id === messageId);
+  }
+
+  function recordSentMessage(method, payload) {
+    const message = {
+      message_id: nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: payload.chat_id, type: payload.chat_id.toString().startsWith('-') ? 'channel' : 'private' },
+      from: { id: BOT_INFO.id, is_bot: true, first_name: BOT_INFO.first_name, username: BOT_INFO.username },
+      method: method
+    };
+
+    if (payload.text !== undefined) message.text = payload.text;
+    if (payload.caption !== undefined) message.caption = payload.caption;
+    if (payload.reply_markup !== undefined) message.reply_markup = payload.reply_markup;
+
+    chatMessages(payload.chat_id).push(message);
+    return message;
+  }
+
+  function applyEdit(method, payload) {
+    if (payload.inline_message_id) return true;
+
+    const message = findMessage(payload.chat_id, payload.message_id);
+    if (!message) {
+      throw apiError(400, 'Bad Request: message to edit not found');
+    }
+
+    if (method === 'editMessageText') message.text = payload.text;
+    if (method === 'editMessageCaption') message.caption = payload.caption;
+    if (payload.reply_markup !== undefined || method === 'editMessageReplyMarkup') {
+      message.reply_markup = payload.reply_markup;
+    }
+    return message;
+  }
+
+  function fakeResponse(method, payload) {
+    checkReplyMarkup(payload.reply_markup);
+    (payload.results || []).forEach(result => checkReplyMarkup(result.reply_markup));
+
+    if (SEND_METHODS.has(method)) return recordSentMessage(method, payload);
+    if (EDIT_METHODS.has(method)) return applyEdit(method, payload);
+
+    switch (method) {
+      case 'getMe': return BOT_INFO;
+      case 'deleteMessage': {
+        const messages = chatMessages(payload.chat_id);
+        const index = messages.findIndex(message => message.message_id === payload.message_id);
+        if (index !== -1) messages.splice(index, 1);
+        return true;
+      }
+      case 'getChat': return { id: payload.chat_id, type: 'private' };
+      default: return true;
+    }
+  }
+
+  // Fake transport: every Telegram instance (bot.telegram and the one telegraf
+  // creates per update) goes through the prototype, so patch it there
+  const originalCallApi = Telegram.prototype.callApi;
+  Telegram.prototype.callApi = async function (method, payload = {}) {
+    const call = { method, payload: JSON.parse(JSON.stringify(payload)) };
+    calls.push(call);
+
+    const stub = stubs.get(method);
+    if (stub) {
+      const result = await stub(payload, call);
+      if (result !== undefined) {
+        call.result = result;
+        return result;
+      }
+    }
+
+    call.result = fakeResponse(method, payload);
+    return call.result;
+  };
+
+  // ==================== UPDATE BUILDERS ====================
+  function privateChat(user) {
+    return { id: user.id, type: 'private', first_name: user.first_name, username: user.username };
+  }
+
+  function normalizeUser(user) {
+    return { is_bot: false, first_name: `User ${user.id}`, ...user };
+  }
+
+  function messageUpdate(user, fields) {
+    const from = normalizeUser(user);
+    return {
+      update_id: nextUpdateId++,
+      message: {
+        message_id: nextMessageId++,
+        date: Math.floor(Date.now() / 1000),
+        chat: privateChat(from),
+        from: from,
+        ...fields
+      }
+    };
+  }
+
+  function textUpdate(user, text) {
+    const fields = { text: text };
+
+    // Mark leading /commands the way Telegram does so bot.command() matches
+    const command = text.match(/^\/[a-zA-Z0-9_]+(@\w+)?/);
+    if (command) {
+      fields.entities = [{ type: 'bot_command', offset: 0, length: command[0].length }];
+    }
+
+    return messageUpdate(user, fields);
+  }
+
+  function callbackUpdate(user, data, { chatId, messageId } = {}) {
+    const from = normalizeUser(user);
+    const targetChat = chatId !== undefined ? chatId : from.id;
+    const messages = chatMessages(targetChat);
+    const message = messageId !== undefined
+      ? findMessage(targetChat, messageId)
+      : [...messages].reverse().find(candidate => candidate.from?.id === BOT_INFO.id);
+
+    return {
+      update_id: nextUpdateId++,
+      callback_query: {
+        id: `cbq_${nextUpdateId}`,
+        from: from,
+        chat_instance: `instance_${targetChat}`,
+        data: data,
+        message: message || {
+          message_id: nextMessageId++,
+          date: Math.floor(Date.now() / 1000),
+          chat: { id: targetChat, type: 'private' }
+        }
+      }
+    };
+  }
+
+  // ==================== REPLAY ====================
+  async function send(update) {
+    const res = {
+      statusCode: null,
+      body: null,
+      status(code) { this.statusCode = code; return this; },
+      send(body) { this.body = body; return this; }
+    };
+
+    await handler({ method: 'POST', body: update }, res);
+    return res;
+  }
+
+  return {
+    bot,
+    handler,
+    storage,
+    calls,
+
+    send,
+
+    message(user, text) {
+      return send(textUpdate(user, text));
+    },
+
+    media(user, fields) {
+      return send(messageUpdate(user, fields));
+    },
+
+    callback(user, data, options) {
+      return send(callbackUpdate(user, data, options));
+    },
+
+    // Replay a list of steps: raw updates ({ update_id, ... }), or shorthand
+    // { from, text } / { from, callback, chatId, messageId } / { from, message }
+    async replay(steps) {
+      const responses = [];
+      for (const step of steps) {
+        if (step.update_id !== undefined) responses.push(await send(step));
+        else if (step.callback !== undefined) responses.push(await send(callbackUpdate(step.from, step.callback, step)));
+        else if (step.text !== undefined) responses.push(await send(textUpdate(step.from, step.text)));
+        else responses.push(await send(messageUpdate(step.from, step.message)));
+      }
+      return responses;
+    },
+
+    // Answer a Bot API method with a custom result or error
+    stub(method, fn) {
+      stubs.set(method, fn);
+    },
+
+    unstub(method) {
+      stubs.delete(method);
+    },
+
+    // Current messages in a chat, oldest first (edits are applied in place)
+    messages(chatId) {
+      return chatMessages(chatId);
+    },
+
+    lastMessage(chatId) {
+      const messages = chatMessages(chatId);
+      return messages[messages.length - 1];
+    },
+
+    // Recorded Bot API calls, optionally filtered by method and/or chat
+    callsTo(method, chatId) {
+      return calls.filter(call => (
+        (!method || call.method === method) &&
+        (chatId === undefined || String(call.payload.chat_id) === String(chatId))
+      ));
+    },
+
+    reset() {
+      calls.length = 0;
+      chats.clear();
+      storage.db.clear();
+    },
+
+    close() {
+      Telegram.prototype.callApi = originalCallApi;
+      for (const [key, value] of Object.entries(previousEnv)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      delete require.cache[BOT_PATH];
+    }
+  };
+}
+
+// Telegram rejects the whole call when a button's callback data is over
+// 64 bytes, so a long value breaks every message that carries it
+function checkReplyMarkup(markup) {
+  for (const row of markup?.inline_keyboard || []) {
+    for (const button of row) {
+      const data = button.callback_data;
+      if (data !== undefined && (data.length === 0 || Buffer.byteLength(data) > MAX_CALLBACK_DATA_BYTES)) {
+        throw apiError(400, 'Bad Request: BUTTON_DATA_INVALID');
+      }
+    }
+  }
+}
+
+function apiError(code, description) {
+  const { TelegramError } = require('telegraf');
+  return new TelegramError({ error_code: code, description: description });
+}
+
+module.exports = { createHarness, apiError, BOT_INFO };
@@ -0,0 +1,188 @@
+// Rule-based content filter for incoming confessions. Everything runs locally:
+// banned words, admin regex rules and detectors for personal details each map
+// to an action, and the strictest action that matched wins.
+const ACTIONS = ['reject', 'flag', 'mask'];
+const SEVERITY = { allow: 0, mask: 1, flag: 2, reject: 3 };
+
+// Order matters: emails are matched before links and handles so their parts
+// aren't reported twice
+const DETECTORS = {
+  email: {
+    label: 'email address',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  link: {
+    label: 'link',
+    pattern: /\b(?:https?:\/\/|www\.|t\.me\/)\S+|\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|me|et|info|xyz|ly|app)\b(?:\/\S*)?/gi
+  },
+  phone: {
+    label: 'phone number',
+    pattern: /\+?\d[\d\s().-]{7,}\d/g,
+    // Long digit runs only count when they have enough digits to be a number
+    accept: match => match.replace(/\D/g, '').length >= 9
+  },
+  handle: {
+    label: 'Telegram handle',
+    pattern: /(?<![\w@])@[A-Za-z][A-Za-z0-9_]{4,31}\b/g
+  }
+};
+
+const DEFAULT_SETTINGS = {
+  bannedWords: [],
+  bannedWordAction: 'reject',
+  rules: [],
+  nextRuleId: 1,
+  detectors: {
+    email: 'mask',
+    link: 'flag',
+    phone: 'mask',
+    handle: 'flag'
+  }
+};
+
+function withDefaults(settings = {}) {
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    detectors: { ...DEFAULT_SETTINGS.detectors, ...settings.detectors }
+  };
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const MAX_RULE_LENGTH = 200;
+
+// Length of the quantifier starting at `index` and whether it can repeat
+// (`*`, `+`, `{2,}`), or null if there is none
+function quantifierAt(pattern, index) {
+  const char = pattern[index];
+  if (char === '*' || char === '+') return { length: 1, repeats: true };
+  if (char === '?') return { length: 1, repeats: false };
+
+  const braces = pattern.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+  if (!braces) return null;
+  const max = braces[2] ? Number(braces[3] || Infinity) : Number(braces[1]);
+  return { length: braces[0].length, repeats: max > 1 };
+}
+
+// A repeated group that itself repeats something, like `(a+)+` or
+// `(\w*\s)*`, can backtrack exponentially on text that almost matches
+function hasNestedQuantifier(pattern) {
+  const groups = [{ repeats: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+      // Skip the group syntax so `(?:` isn't read as a quantifier
+      const prefix = pattern.slice(i + 1).match(/^\?(?:<[=!]|<[^>]*>|[:=!])/);
+      if (prefix) i += prefix[0].length;
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const quantifier = quantifierAt(pattern, i + 1);
+      if (quantifier?.repeats && group.repeats) return true;
+      if (group.repeats || quantifier?.repeats) groups[groups.length - 1].repeats = true;
+      if (quantifier) i += quantifier.length;
+    } else {
+      const quantifier = quantifierAt(pattern, i);
+      if (quantifier?.repeats) groups[groups.length - 1].repeats = true;
+      if (quantifier) i += quantifier.length - 1;
+    }
+  }
+
+  return false;
+}
+
+// Throws if an admin-supplied pattern isn't a valid regular expression, or
+// is one the filter can't run safely: too long, prone to catastrophic
+// backtracking, or matching empty text (and so every confession)
+function compileRule(rule) {
+  if (rule.pattern.length > MAX_RULE_LENGTH) {
+    throw new Error(`patterns can be at most ${MAX_RULE_LENGTH} characters`);
+  }
+  if (hasNestedQuantifier(rule.pattern)) {
+    throw new Error('repeated groups can\'t contain repeats, e.g. (a+)+');
+  }
+
+  const flags = rule.flags.includes('g') ? rule.flags : `${rule.flags}g`;
+  const pattern = new RegExp(rule.pattern, flags);
+  if (new RegExp(rule.pattern, rule.flags).test('')) {
+    throw new Error('the pattern matches empty text');
+  }
+  return pattern;
+}
+
+// Empty matches (from lookarounds and the like) have nothing to report or mask
+function findMatches(text, pattern, accept = () => true) {
+  return [...text.matchAll(pattern)].map(match => match[0]).filter(match => match !== '').filter(accept);
+}
+
+// Screen a confession; returns the action to take, the (possibly masked) text
+// and a human-readable reason for every rule that matched
+function screenText(text, settings = {}) {
+  const config = withDefaults(settings);
+  const hits = [];
+
+  for (const word of config.bannedWords) {
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, 'giu');
+    const matches = findMatches(text, pattern);
+    if (matches.length > 0) {
+      hits.push({ action: config.bannedWordAction, reason: 'banned word', matches, placeholder: '[removed]' });
+    }
+  }
+
+  for (const rule of config.rules) {
+    let pattern;
+    try {
+      pattern = compileRule(rule);
+    } catch (error) {
+      continue;
+    }
+
+    const matches = findMatches(text, pattern);
+    if (matches.length > 0) {
+      hits.push({ action: rule.action, reason: rule.reason || `rule ${rule.id}`, matches, placeholder: '[removed]' });
+    }
+  }
+
+  // Blank out what earlier detectors found so e.g. an email isn't also a handle
+  let scanned = text;
+  for (const [name, detector] of Object.entries(DETECTORS)) {
+    const action = config.detectors[name];
+    const matches = findMatches(scanned, detector.pattern, detector.accept);
+    if (matches.length === 0) continue;
+
+    matches.forEach(match => { scanned = scanned.split(match).join(' '.repeat(match.length)); });
+
+    if (ACTIONS.includes(action)) {
+      hits.push({ action, reason: detector.label, matches, placeholder: `[${detector.label} hidden]` });
+    }
+  }
+
+  let maskedText = text;
+  for (const hit of hits.filter(hit => hit.action === 'mask')) {
+    hit.matches.forEach(match => { maskedText = maskedText.split(match).join(hit.placeholder); });
+  }
+
+  const action = hits.reduce(
+    (strictest, hit) => (SEVERITY[hit.action] > SEVERITY[strictest] ? hit.action : strictest),
+    'allow'
+  );
+
+  return {
+    action: action,
+    text: maskedText,
+    reasons: [...new Set(hits.map(hit => `${hit.reason} (${hit.action})`))]
+  };
+}
+
+module.exports = { ACTIONS, DETECTORS, DEFAULT_SETTINGS, withDefaults, compileRule, screenText };
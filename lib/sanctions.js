@@ -0,0 +1,67 @@
+// Account restrictions. A user can be muted from comments, confessions or
+// both, or banned from the bot altogether. Each restriction lives on the user
+// under `restrictions` with a reason and an expiry (`until`, null when it is
+// permanent). Warnings add strikes, and reaching a strike count below applies
+// its restriction automatically.
+const MUTE_SCOPES = ['comments', 'confessions'];
+
+const STRIKE_ESCALATION = [
+  { strikes: 2, type: 'mute', scope: 'all', hours: 24 },
+  { strikes: 3, type: 'ban', hours: 72 },
+  { strikes: 4, type: 'ban', hours: 7 * 24 },
+  { strikes: 5, type: 'ban', hours: null }
+];
+
+// The restriction a user's latest strike brings; every strike after the last
+// step repeats it
+function escalationFor(strikeCount) {
+  const last = STRIKE_ESCALATION[STRIKE_ESCALATION.length - 1];
+  if (strikeCount >= last.strikes) return last;
+
+  return STRIKE_ESCALATION.find(step => step.strikes === strikeCount) || null;
+}
+
+function isCurrent(restriction, now = Date.now()) {
+  return Boolean(restriction) && (restriction.until === null || new Date(restriction.until).getTime() > now);
+}
+
+// The ban or mute (`key` is 'ban', 'comments' or 'confessions') in force, or
+// null. Accounts blocked before restrictions existed count as banned for good
+function activeRestriction(profile, key, now = Date.now()) {
+  const restriction = profile.restrictions?.[key];
+  if (isCurrent(restriction, now)) return restriction;
+
+  if (key === 'ban' && profile.isActive === false && profile.inactiveReason !== 'bot_blocked') {
+    return { until: null, reason: null };
+  }
+
+  return null;
+}
+
+function hasActiveRestriction(profile, now = Date.now()) {
+  return ['ban', ...MUTE_SCOPES].some(key => activeRestriction(profile, key, now));
+}
+
+// User fields to write for a ban, or a mute of one scope or 'all'
+function restrictionChanges({ type, scope, hours, reason, issuedBy }, now = Date.now()) {
+  const restriction = {
+    reason: reason,
+    issuedBy: issuedBy,
+    issuedAt: new Date(now).toISOString(),
+    until: hours ? new Date(now + hours * 60 * 60 * 1000).toISOString() : null
+  };
+
+  if (type === 'ban') return { 'restrictions.ban': restriction };
+
+  const scopes = scope === 'all' ? MUTE_SCOPES : [scope];
+  return Object.fromEntries(scopes.map(key => [`restrictions.${key}`, restriction]));
+}
+
+module.exports = {
+  MUTE_SCOPES,
+  STRIKE_ESCALATION,
+  escalationFor,
+  activeRestriction,
+  hasActiveRestriction,
+  restrictionChanges
+};
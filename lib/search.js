@@ -0,0 +1,66 @@
+// Search index for confessions. Firestore has no full-text search, so every
+// confession stores its lowercased hashtags (`tags`) and distinct words
+// (`keywords`); a query narrows candidates with one array-contains lookup and
+// the remaining terms are matched in memory.
+const MIN_KEYWORD_LENGTH = 2;
+const MAX_KEYWORDS = 100;
+
+// Too common to narrow anything down
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'was',
+  'one', 'our', 'out', 'has', 'him', 'his', 'how', 'its', 'who', 'did', 'yet',
+  'she', 'her', 'they', 'them', 'this', 'that', 'with', 'have', 'from', 'what',
+  'when', 'were', 'will', 'just', 'been', 'into', 'than', 'then', 'there',
+  'is', 'it', 'in', 'on', 'at', 'to', 'of', 'or', 'an', 'be', 'so', 'my',
+  'me', 'we', 'he', 'do', 'if', 'as', 'by', 'no', 'up', 'am', 'im', 'i'
+]);
+
+function normalizeTag(tag) {
+  return `#${tag.replace(/^#/, '').toLowerCase()}`;
+}
+
+function searchTags(hashtags = []) {
+  return [...new Set(hashtags.map(normalizeTag))];
+}
+
+// Distinct lowercased words, hashtags included without their '#'
+function searchKeywords(text = '') {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+  return [...new Set(words)]
+    .filter(word => word.length >= MIN_KEYWORD_LENGTH && !STOP_WORDS.has(word))
+    .slice(0, MAX_KEYWORDS);
+}
+
+// The index fields stored on a confession
+function searchFields(text, hashtags) {
+  return {
+    tags: searchTags(hashtags),
+    keywords: searchKeywords(text)
+  };
+}
+
+// "#1234" or "1234" looks up a number; otherwise #hashtags and keywords must
+// all match. Returns null for a query with nothing searchable in it
+function parseQuery(query = '') {
+  const trimmed = query.trim();
+
+  const number = trimmed.match(/^#?(\d+)$/);
+  if (number) return { number: parseInt(number[1]) };
+
+  const tags = searchTags(trimmed.match(/#[\p{L}\p{N}_]+/gu) || []);
+  const keywords = searchKeywords(trimmed.replace(/#[\p{L}\p{N}_]+/gu, ' '));
+  if (tags.length === 0 && keywords.length === 0) return null;
+
+  return { tags, keywords };
+}
+
+function matchesQuery(confession, { tags, keywords }) {
+  const confessionTags = confession.tags || [];
+  const confessionKeywords = confession.keywords || [];
+
+  return tags.every(tag => confessionTags.includes(tag)) &&
+    keywords.every(keyword => confessionKeywords.includes(keyword));
+}
+
+module.exports = { normalizeTag, searchFields, parseQuery, matchesQuery };
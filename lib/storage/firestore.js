@@ -0,0 +1,25 @@
+// Firestore backend (production). firebase-admin is only loaded when this
+// backend is selected so the bot can run offline against the memory backend.
+function createFirestoreStorage() {
+  const admin = require('firebase-admin');
+
+  const serviceAccount = {
+    type: "service_account",
+    project_id: process.env.FIREBASE_PROJECT_ID,
+    private_key: process.env.FIREBASE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
+    client_email: process.env.FIREBASE_CLIENT_EMAIL,
+  };
+
+  if (!admin.apps.length) {
+    admin.initializeApp({
+      credential: admin.credential.cert(serviceAccount),
+    });
+  }
+
+  return {
+    db: admin.firestore(),
+    FieldValue: admin.firestore.FieldValue
+  };
+}
+
+module.exports = { createFirestoreStorage };
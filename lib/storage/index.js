@@ -0,0 +1,23 @@
+const { createFirestoreStorage } = require('./firestore');
+const { createMemoryStorage } = require('./memory');
+const { createRepositories } = require('./repositories');
+
+// Select the storage backend with STORAGE_BACKEND=firestore|memory (default: firestore)
+function createStorage(backend = process.env.STORAGE_BACKEND || 'firestore') {
+  let storage;
+
+  switch (backend) {
+    case 'firestore': storage = createFirestoreStorage(); break;
+    case 'memory': storage = createMemoryStorage(); break;
+    default: throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  return {
+    backend,
+    db: storage.db,
+    FieldValue: storage.FieldValue,
+    repos: createRepositories(storage.db, storage.FieldValue)
+  };
+}
+
+module.exports = { createStorage };
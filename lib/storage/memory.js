@@ -0,0 +1,608 @@
+// In-memory stand-in for the parts of the Firestore API the bot uses.
+// Documents live in a single Map keyed by their full path, so subcollections
+// and collection group queries work the same way they do in Firestore.
+// Queries that Firestore can only serve from a composite index fail here too
+// unless the index is declared in firestore.indexes.json.
+const path = require('path');
+
+const INDEXES_FILE = path.join(__dirname, '..', '..', 'firestore.indexes.json');
+
+// ==================== FIELD VALUES ====================
+class FieldValueSentinel {
+  constructor(kind, operand) {
+    this.kind = kind;
+    this.operand = operand;
+  }
+}
+
+const MemoryFieldValue = {
+  increment: (n) => new FieldValueSentinel('increment', n),
+  arrayUnion: (...elements) => new FieldValueSentinel('arrayUnion', elements),
+  arrayRemove: (...elements) => new FieldValueSentinel('arrayRemove', elements),
+  serverTimestamp: () => new FieldValueSentinel('serverTimestamp'),
+  delete: () => new FieldValueSentinel('delete')
+};
+
+// ==================== HELPERS ====================
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && value.constructor === Object;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function typeRank(value) {
+  if (value === null || value === undefined) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Date) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+}
+
+// Firestore orders values by type first, then by value within a type
+function compareValues(a, b) {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (typeof a === 'number' || typeof a === 'string' || typeof a === 'boolean') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+  return JSON.stringify(a) < JSON.stringify(b) ? -1 : JSON.stringify(a) > JSON.stringify(b) ? 1 : 0;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath.split('.').reduce((value, key) => (
+    value !== undefined && value !== null ? value[key] : undefined
+  ), data);
+}
+
+function resolveSentinel(current, value) {
+  if (!(value instanceof FieldValueSentinel)) return clone(value);
+
+  switch (value.kind) {
+    case 'increment':
+      return (typeof current === 'number' ? current : 0) + value.operand;
+    case 'arrayUnion': {
+      const result = Array.isArray(current) ? clone(current) : [];
+      value.operand.forEach(element => {
+        if (!result.some(existing => isEqual(existing, element))) result.push(clone(element));
+      });
+      return result;
+    }
+    case 'arrayRemove':
+      return Array.isArray(current)
+        ? clone(current.filter(existing => !value.operand.some(element => isEqual(existing, element))))
+        : [];
+    case 'serverTimestamp':
+      return new Date();
+    default:
+      throw new Error(`Unsupported field value: ${value.kind}`);
+  }
+}
+
+function setField(data, fieldPath, value) {
+  const keys = fieldPath.split('.');
+  const last = keys.pop();
+  let target = data;
+
+  for (const key of keys) {
+    if (!isPlainObject(target[key])) target[key] = {};
+    target = target[key];
+  }
+
+  if (value instanceof FieldValueSentinel && value.kind === 'delete') {
+    delete target[last];
+  } else {
+    target[last] = resolveSentinel(target[last], value);
+  }
+}
+
+function mergeInto(target, source) {
+  for (const [key, value] of Object.entries(source)) {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else if (isPlainObject(value)) {
+      target[key] = {};
+      mergeInto(target[key], value);
+    } else if (value instanceof FieldValueSentinel && value.kind === 'delete') {
+      delete target[key];
+    } else {
+      target[key] = resolveSentinel(target[key], value);
+    }
+  }
+  return target;
+}
+
+function notFoundError(path) {
+  const error = new Error(`5 NOT_FOUND: No document to update: ${path}`);
+  error.code = 5;
+  return error;
+}
+
+function tooManyWritesError(count) {
+  const error = new Error(`3 INVALID_ARGUMENT: maximum ${MAX_WRITES} writes allowed per request, got ${count}`);
+  error.code = 3;
+  return error;
+}
+
+function missingIndexError(shape) {
+  const fields = shape.fields.map(({ fieldPath, order, arrayConfig }) => (
+    arrayConfig ? `${fieldPath} (${arrayConfig})` : `${fieldPath} ${order}`
+  ));
+  const error = new Error(
+    `9 FAILED_PRECONDITION: The query requires an index on ${shape.collectionGroup} ` +
+    `(${shape.queryScope}): ${fields.join(', ')}. Add it to firestore.indexes.json.`
+  );
+  error.code = 9;
+  return error;
+}
+
+function autoId() {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  let id = '';
+  for (let i = 0; i < 20; i++) {
+    id += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return id;
+}
+
+// ==================== INDEXES ====================
+const EQUALITY_OPS = new Set(['==', 'in']);
+const ARRAY_OPS = new Set(['array-contains', 'array-contains-any']);
+
+// The composite index a query needs, or null if Firestore's automatic
+// single-field indexes serve it: queries on one field, and equality filters
+// without an order (those are merged from single-field indexes)
+function requiredIndex(query) {
+  const equality = [];
+  const arrays = [];
+  const ranges = [];
+
+  for (const { field, op } of query._filters) {
+    if (EQUALITY_OPS.has(op)) equality.push(field);
+    else if (ARRAY_OPS.has(op)) arrays.push(field);
+    else ranges.push(field);
+  }
+
+  const ordered = query._orders.map(({ field, direction }) => ({
+    fieldPath: field,
+    order: direction === 'desc' ? 'DESCENDING' : 'ASCENDING'
+  }));
+  ranges
+    .filter(field => !ordered.some(order => order.fieldPath === field))
+    .forEach(field => ordered.push({ fieldPath: field, order: 'ASCENDING', anyOrder: true }));
+
+  const unordered = [...new Set(equality)]
+    .filter(field => !ordered.some(order => order.fieldPath === field))
+    .map(field => ({ fieldPath: field, order: 'ASCENDING', anyOrder: true }));
+  arrays.forEach(field => unordered.push({ fieldPath: field, arrayConfig: 'CONTAINS' }));
+
+  const fields = [...unordered, ...ordered];
+  const distinct = new Set(fields.map(({ fieldPath }) => fieldPath));
+  if (distinct.size <= 1 || (arrays.length === 0 && ordered.length === 0)) return null;
+
+  const { collectionPath, collectionId } = query._source;
+  return {
+    collectionGroup: collectionId || collectionPath.split('/').pop(),
+    queryScope: collectionId ? 'COLLECTION_GROUP' : 'COLLECTION',
+    unordered,
+    ordered,
+    fields
+  };
+}
+
+function sameField(indexField, queryField) {
+  if (indexField.fieldPath !== queryField.fieldPath) return false;
+  if (queryField.arrayConfig) return indexField.arrayConfig === queryField.arrayConfig;
+  return indexField.order !== undefined;
+}
+
+// Firestore can scan an index backwards, so the ordered fields have to match
+// either all as declared or all reversed
+function indexServes(index, shape) {
+  if (index.collectionGroup !== shape.collectionGroup) return false;
+  if ((index.queryScope || 'COLLECTION') !== shape.queryScope) return false;
+  if (index.fields.length !== shape.fields.length) return false;
+
+  const head = index.fields.slice(0, shape.unordered.length);
+  const tail = index.fields.slice(shape.unordered.length);
+
+  const headMatches = shape.unordered.every(field => head.some(indexField => sameField(indexField, field)));
+  const tailMatches = shape.ordered.every((field, i) => sameField(tail[i], field));
+  if (!headMatches || !tailMatches) return false;
+
+  const directions = shape.ordered
+    .map((field, i) => ({ field, indexField: tail[i] }))
+    .filter(({ field }) => !field.anyOrder);
+  return directions.every(({ field, indexField }) => field.order === indexField.order) ||
+    directions.every(({ field, indexField }) => field.order !== indexField.order);
+}
+
+// ==================== SNAPSHOTS ====================
+class MemoryDocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return clone(this._data);
+  }
+
+  get(fieldPath) {
+    return clone(getField(this._data, fieldPath));
+  }
+}
+
+class MemoryQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+// ==================== REFERENCES ====================
+class MemoryDocumentReference {
+  constructor(db, path) {
+    this._db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  get parent() {
+    return new MemoryCollectionReference(this._db, this.path.split('/').slice(0, -1).join('/'));
+  }
+
+  collection(collectionPath) {
+    return new MemoryCollectionReference(this._db, `${this.path}/${collectionPath}`);
+  }
+
+  async get() {
+    return this._db._snapshot(this);
+  }
+
+  async set(data, options = {}) {
+    this._db._set(this.path, data, options);
+  }
+
+  async create(data) {
+    if (this._db._docs.has(this.path)) {
+      const error = new Error(`6 ALREADY_EXISTS: Document already exists: ${this.path}`);
+      error.code = 6;
+      throw error;
+    }
+    this._db._set(this.path, data, {});
+  }
+
+  async update(data) {
+    this._db._update(this.path, data);
+  }
+
+  async delete() {
+    this._db._docs.delete(this.path);
+  }
+}
+
+class MemoryQuery {
+  constructor(db, source, options = {}) {
+    this._db = db;
+    this._source = source; // { collectionPath } or { collectionId } for collection groups
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit;
+    this._offset = options.offset || 0;
+    this._startAfter = options.startAfter;
+  }
+
+  _with(changes) {
+    return new MemoryQuery(this._db, this._source, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      offset: this._offset,
+      startAfter: this._startAfter,
+      ...changes
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  offset(n) {
+    return this._with({ offset: n });
+  }
+
+  startAfter(...values) {
+    if (values[0] instanceof MemoryDocumentSnapshot) {
+      const snapshot = values[0];
+      return this._with({
+        startAfter: {
+          values: this._orders.map(order => getField(snapshot._data, order.field)),
+          id: snapshot.id
+        }
+      });
+    }
+    return this._with({ startAfter: { values } });
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const snapshot = await this.get();
+        return { data: () => ({ count: snapshot.size }) };
+      }
+    };
+  }
+
+  async get() {
+    return new MemoryQuerySnapshot(this._db._runQuery(this));
+  }
+}
+
+class MemoryCollectionReference extends MemoryQuery {
+  constructor(db, path) {
+    super(db, { collectionPath: path });
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = autoId()) {
+    return new MemoryDocumentReference(this._db, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+// ==================== TRANSACTIONS & BATCHES ====================
+// Firestore's limit for one batch or transaction
+const MAX_WRITES = 500;
+
+class MemoryWriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._writes = [];
+  }
+
+  set(ref, data, options = {}) {
+    this._writes.push(() => this._db._set(ref.path, data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => this._db._update(ref.path, data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => this._db._docs.delete(ref.path));
+    return this;
+  }
+
+  async commit() {
+    this._commit();
+  }
+
+  _commit() {
+    if (this._writes.length > MAX_WRITES) throw tooManyWritesError(this._writes.length);
+
+    // Roll back if any write fails so a failed batch writes nothing
+    const snapshot = new Map(this._db._docs);
+    try {
+      this._writes.forEach(write => write());
+    } catch (error) {
+      this._db._docs = snapshot;
+      throw error;
+    }
+  }
+}
+
+class MemoryTransaction extends MemoryWriteBatch {
+  async get(refOrQuery) {
+    if (this._writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery.get();
+  }
+}
+
+// ==================== DATABASE ====================
+class MemoryFirestore {
+  // `indexes` are the composite index definitions (firestore.indexes.json);
+  // leave them out to run any query
+  constructor({ indexes = null } = {}) {
+    this._docs = new Map();
+    this._transactionQueue = Promise.resolve();
+    this._indexes = indexes;
+  }
+
+  collection(path) {
+    return new MemoryCollectionReference(this, path);
+  }
+
+  collectionGroup(collectionId) {
+    return new MemoryQuery(this, { collectionId });
+  }
+
+  doc(path) {
+    return new MemoryDocumentReference(this, path);
+  }
+
+  batch() {
+    return new MemoryWriteBatch(this);
+  }
+
+  async getAll(...refs) {
+    return refs.map(ref => this._snapshot(ref));
+  }
+
+  // Transactions run one at a time, which gives the same isolation guarantees
+  // Firestore provides without having to implement optimistic retries
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new MemoryTransaction(this);
+      const result = await updateFunction(transaction);
+      transaction._commit();
+      return result;
+    });
+
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  // Drop every document (used between test scenarios)
+  clear() {
+    this._docs.clear();
+  }
+
+  _snapshot(ref) {
+    return new MemoryDocumentSnapshot(ref, clone(this._docs.get(ref.path)));
+  }
+
+  _set(path, data, options) {
+    const existing = this._docs.get(path);
+
+    if (options.merge && existing) {
+      this._docs.set(path, mergeInto(clone(existing), data));
+    } else {
+      this._docs.set(path, mergeInto({}, data));
+    }
+  }
+
+  _update(path, data) {
+    const existing = this._docs.get(path);
+    if (!existing) throw notFoundError(path);
+
+    const updated = clone(existing);
+    for (const [fieldPath, value] of Object.entries(data)) {
+      setField(updated, fieldPath, value);
+    }
+    this._docs.set(path, updated);
+  }
+
+  _matchesSource(path, source) {
+    const segments = path.split('/');
+    const collectionPath = segments.slice(0, -1).join('/');
+
+    if (source.collectionPath !== undefined) return collectionPath === source.collectionPath;
+    return segments[segments.length - 2] === source.collectionId;
+  }
+
+  _checkIndex(query) {
+    if (!this._indexes) return;
+
+    const shape = requiredIndex(query);
+    if (shape && !this._indexes.some(index => indexServes(index, shape))) {
+      throw missingIndexError(shape);
+    }
+  }
+
+  _runQuery(query) {
+    this._checkIndex(query);
+
+    let results = [];
+
+    for (const [path, data] of this._docs.entries()) {
+      if (this._matchesSource(path, query._source)) {
+        results.push({ ref: new MemoryDocumentReference(this, path), data });
+      }
+    }
+
+    results = results.filter(({ data }) => query._filters.every(filter => matchesFilter(data, filter)));
+
+    // Firestore omits documents that don't have an ordered field
+    results = results.filter(({ data }) => query._orders.every(order => getField(data, order.field) !== undefined));
+
+    results.sort((a, b) => compareResults(a, b, query._orders));
+
+    if (query._startAfter) {
+      results = results.filter(result => isAfterCursor(result, query._startAfter, query._orders));
+    }
+
+    results = results.slice(query._offset);
+    if (query._limit !== undefined) results = results.slice(0, query._limit);
+
+    return results.map(({ ref, data }) => new MemoryDocumentSnapshot(ref, clone(data)));
+  }
+}
+
+function matchesFilter(data, { field, op, value }) {
+  const fieldValue = getField(data, field);
+
+  switch (op) {
+    case '==': return isEqual(fieldValue, value);
+    case '!=': return fieldValue !== undefined && !isEqual(fieldValue, value);
+    case '<': return fieldValue !== undefined && typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) < 0;
+    case '<=': return fieldValue !== undefined && typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) <= 0;
+    case '>': return fieldValue !== undefined && typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) > 0;
+    case '>=': return fieldValue !== undefined && typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) >= 0;
+    case 'in': return value.some(candidate => isEqual(fieldValue, candidate));
+    case 'not-in': return fieldValue !== undefined && !value.some(candidate => isEqual(fieldValue, candidate));
+    case 'array-contains': return Array.isArray(fieldValue) && fieldValue.some(element => isEqual(element, value));
+    case 'array-contains-any': return Array.isArray(fieldValue) && fieldValue.some(element => value.some(candidate => isEqual(element, candidate)));
+    default: throw new Error(`Unsupported query operator: ${op}`);
+  }
+}
+
+function compareResults(a, b, orders) {
+  for (const order of orders) {
+    const diff = compareValues(getField(a.data, order.field), getField(b.data, order.field));
+    if (diff !== 0) return order.direction === 'desc' ? -diff : diff;
+  }
+  return a.ref.path < b.ref.path ? -1 : a.ref.path > b.ref.path ? 1 : 0;
+}
+
+function isAfterCursor(result, cursor, orders) {
+  for (let i = 0; i < cursor.values.length; i++) {
+    const order = orders[i];
+    if (!order) break;
+    const diff = compareValues(getField(result.data, order.field), cursor.values[i]);
+    if (diff !== 0) return order.direction === 'desc' ? diff < 0 : diff > 0;
+  }
+  return cursor.id !== undefined && result.ref.id > cursor.id;
+}
+
+function createMemoryStorage() {
+  const { indexes } = require(INDEXES_FILE);
+
+  return {
+    db: new MemoryFirestore({ indexes }),
+    FieldValue: MemoryFieldValue
+  };
+}
+
+module.exports = {
+  MemoryFirestore,
+  MemoryFieldValue,
+  createMemoryStorage
+};
@@ -0,0 +1,1679 @@
+// Repositories wrap every collection the bot touches. They only use the
+// subset of the Firestore API that the memory backend also implements, so
+// handlers behave the same against either backend.
+
+// Firestore rejects batches with more writes than this
+const MAX_BATCH_WRITES = 500;
+
+// Commit `[ref, data]` sets in as many batches as they need. Not atomic as a
+// whole, so callers write documents that are safe to set again on a retry
+async function setInBatches(db, writes) {
+  for (let start = 0; start < writes.length; start += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    writes.slice(start, start + MAX_BATCH_WRITES).forEach(([ref, data]) => batch.set(ref, data));
+    await batch.commit();
+  }
+}
+
+// How long a legacy comment migration may hold its section before another
+// run takes over
+const MIGRATION_LEASE_MS = 60 * 1000;
+
+// ==================== USERS ====================
+function createUserRepository(db, FieldValue) {
+  const users = db.collection('users');
+  const ref = (userId) => users.doc(userId.toString());
+
+  return {
+    async get(userId) {
+      const doc = await ref(userId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async create(userId, profile) {
+      await ref(userId).set(profile);
+    },
+
+    async update(userId, data) {
+      await ref(userId).update(data);
+    },
+
+    async increment(userId, field, amount = 1) {
+      await ref(userId).update({
+        [field]: FieldValue.increment(amount)
+      });
+    },
+
+    async addAchievement(userId, achievementId) {
+      await ref(userId).update({
+        achievements: FieldValue.arrayUnion(achievementId),
+        achievementCount: FieldValue.increment(1)
+      });
+    },
+
+    async findByUsername(username) {
+      const snapshot = await users
+        .where('username', '==', username)
+        .limit(1)
+        .get();
+
+      return snapshot.empty ? null : snapshot.docs[0].data();
+    },
+
+    async list(limit) {
+      const snapshot = await (limit ? users.limit(limit) : users).get();
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Active users with a username, most reputable first
+    async listBrowsable(limit = 10) {
+      const snapshot = await users
+        .where('username', '!=', null)
+        .where('isActive', '==', true)
+        .orderBy('reputation', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // One page of all users, highest `field` first
+    async listPage({ orderBy = 'joinDate', offset = 0, limit = 10 } = {}) {
+      const snapshot = await users
+        .orderBy(orderBy, 'desc')
+        .offset(offset)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Usernames starting with `prefix` (case-sensitive, like Firestore ranges)
+    async searchByUsername(prefix, limit = 10) {
+      const snapshot = await users
+        .where('username', '>=', prefix)
+        .where('username', '<=', `${prefix}\uf8ff`)
+        .orderBy('username', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Warnings issued by moderators; strikeCount on the user keeps the total
+    async addStrike(userId, { reason, issuedBy }) {
+      const strikeRef = ref(userId).collection('strikes').doc();
+      const strike = {
+        strikeId: strikeRef.id,
+        reason: reason,
+        issuedBy: issuedBy,
+        createdAt: new Date().toISOString()
+      };
+
+      const batch = db.batch();
+      batch.set(strikeRef, strike);
+      batch.update(ref(userId), { strikeCount: FieldValue.increment(1) });
+      await batch.commit();
+
+      return strike;
+    },
+
+    async listStrikes(userId, limit = 5) {
+      const snapshot = await ref(userId).collection('strikes')
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Active users in userId order, for walking the whole user base in batches
+    async listActiveAfter(cursor, limit = 25) {
+      let query = users
+        .where('isActive', '==', true)
+        .orderBy('userId', 'asc');
+      if (cursor !== null && cursor !== undefined) query = query.startAfter(cursor);
+
+      const snapshot = await query.limit(limit).get();
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async count() {
+      const snapshot = await users.count().get();
+      return snapshot.data().count;
+    },
+
+    async follow(followerId, targetId) {
+      const batch = db.batch();
+      batch.update(ref(followerId), { following: FieldValue.arrayUnion(targetId) });
+      batch.update(ref(targetId), { followers: FieldValue.arrayUnion(followerId) });
+      await batch.commit();
+    },
+
+    async unfollow(followerId, targetId) {
+      const batch = db.batch();
+      batch.update(ref(followerId), { following: FieldValue.arrayRemove(targetId) });
+      batch.update(ref(targetId), { followers: FieldValue.arrayRemove(followerId) });
+      await batch.commit();
+    }
+  };
+}
+
+// ==================== REACTIONS ====================
+// One reaction per user on a target (confession or comment): the same reaction
+// again removes it, a different one replaces it. Counts live on the target's
+// `reactions` map, the user's choice under target/reactions/{userId}.
+// Returns the change so callers can adjust other counters.
+async function toggleReaction(transaction, FieldValue, targetRef, userId, reaction, extraChanges = () => ({})) {
+  const reactionRef = targetRef.collection('reactions').doc(userId.toString());
+  const [targetDoc, reactionDoc] = await Promise.all([
+    transaction.get(targetRef),
+    transaction.get(reactionRef)
+  ]);
+  if (!targetDoc.exists) return null;
+
+  const previous = reactionDoc.exists ? reactionDoc.data().reaction : null;
+  const next = previous === reaction ? null : reaction;
+  const delta = (next ? 1 : 0) - (previous ? 1 : 0);
+  const changes = { ...extraChanges(delta) };
+
+  if (previous) changes[`reactions.${previous}`] = FieldValue.increment(-1);
+  if (next) changes[`reactions.${next}`] = FieldValue.increment(1);
+
+  transaction.update(targetRef, changes);
+  if (next) {
+    transaction.set(reactionRef, { userId: userId, reaction: next, reactedAt: new Date().toISOString() });
+  } else {
+    transaction.delete(reactionRef);
+  }
+
+  return { reaction: next, delta };
+}
+
+// ==================== CONFESSIONS ====================
+// engagementScore is a weighted running total of reactions, comments and
+// views, kept up to date by the writes below so trending can sort on it
+const ENGAGEMENT_WEIGHTS = { comment: 10, reaction: 5, view: 1 };
+
+// Why a reviewer may not act on a confession right now (null if they may)
+function reviewBlocker(confession, reviewerId, claimTtlMs) {
+  if (confession.status !== 'pending') return 'reviewed';
+
+  const claim = confession.claimedBy;
+  if (claim && claim.id !== reviewerId && Date.now() - Date.parse(claim.at) < claimTtlMs) {
+    return 'claimed';
+  }
+
+  return null;
+}
+
+function createConfessionRepository(db, FieldValue) {
+  const confessions = db.collection('confessions');
+  const counterRef = db.collection('system').doc('counters');
+  const publishingRef = db.collection('system').doc('publishing');
+  const scheduled = () => confessions.where('status', '==', 'scheduled');
+
+  // Runs a review step in a transaction; `apply` returns the fields to write
+  async function review(confessionId, reviewer, claimTtlMs, apply) {
+    return db.runTransaction(async (transaction) => {
+      const ref = confessions.doc(confessionId);
+      const doc = await transaction.get(ref);
+      if (!doc.exists) return { ok: false, reason: 'not_found' };
+
+      const confession = doc.data();
+      const blocker = reviewBlocker(confession, reviewer.id, claimTtlMs);
+      if (blocker) return { ok: false, reason: blocker, confession };
+
+      const { fields, result } = await apply(transaction, confession);
+
+      transaction.update(ref, fields);
+
+      const { reviewHistory, ...changes } = fields;
+      return { ok: true, confession: { ...confession, ...changes }, ...result };
+    });
+  }
+
+  function historyEntry(action, reviewer, extra = {}) {
+    return FieldValue.arrayUnion({
+      action: action,
+      by: reviewer,
+      at: new Date().toISOString(),
+      ...extra
+    });
+  }
+
+  return {
+    // Confession ids appear in public links and buttons, so they are random
+    // rather than derived from the author
+    newId() {
+      return confessions.doc().id;
+    },
+
+    async get(confessionId) {
+      const doc = await confessions.doc(confessionId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async create(confessionId, data) {
+      await confessions.doc(confessionId).set(data);
+    },
+
+    async update(confessionId, data) {
+      await confessions.doc(confessionId).update(data);
+    },
+
+    async listByUser(userId, limit = 10) {
+      const snapshot = await confessions
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async listByStatus(status, { orderBy = 'createdAt', direction = 'asc', limit = 10 } = {}) {
+      const snapshot = await confessions
+        .where('status', '==', status)
+        .orderBy(orderBy, direction)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async countByStatus(status) {
+      const snapshot = await confessions.where('status', '==', status).count().get();
+      return snapshot.data().count;
+    },
+
+    // Lock a pending confession for one reviewer (e.g. while they type a rejection reason)
+    async claim(confessionId, reviewer, claimTtlMs) {
+      return review(confessionId, reviewer, claimTtlMs, async () => ({
+        fields: {
+          claimedBy: { ...reviewer, at: new Date().toISOString() },
+          reviewHistory: historyEntry('claimed', reviewer)
+        }
+      }));
+    },
+
+    // Drop a reviewer's claim if the confession is still pending; true if released
+    async releaseClaim(confessionId, reviewer) {
+      return db.runTransaction(async (transaction) => {
+        const ref = confessions.doc(confessionId);
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return false;
+
+        const confession = doc.data();
+        if (confession.status !== 'pending' || confession.claimedBy?.id !== reviewer.id) return false;
+
+        transaction.update(ref, {
+          claimedBy: null,
+          reviewHistory: historyEntry('released', reviewer)
+        });
+        return true;
+      });
+    },
+
+    // pending -> scheduled: approved confessions join the end of the publish
+    // queue and only get their number when posted, so channel numbers stay in order
+    async approve(confessionId, reviewer, claimTtlMs) {
+      return review(confessionId, reviewer, claimTtlMs, async () => {
+        const now = new Date().toISOString();
+
+        return {
+          fields: {
+            status: 'scheduled',
+            queuePosition: Date.now(),
+            reviewedBy: reviewer,
+            reviewedAt: now,
+            claimedBy: null,
+            reviewHistory: historyEntry('approved', reviewer)
+          }
+        };
+      });
+    },
+
+    // scheduled -> approved for the head of the queue, if the last post was at
+    // least minIntervalMs ago and no failed post is waiting to be retried.
+    // Assigns the next confession number in the same transaction (a retried
+    // post keeps the one it got); returns the published confession or null
+    async publishNext(minIntervalMs) {
+      return db.runTransaction(async (transaction) => {
+        const [publishingDoc, counterDoc, head] = await Promise.all([
+          transaction.get(publishingRef),
+          transaction.get(counterRef),
+          transaction.get(scheduled().orderBy('queuePosition', 'asc').limit(1))
+        ]);
+        if (head.empty) return null;
+
+        const { lastPublishedAt, retryAt } = publishingDoc.exists ? publishingDoc.data() : {};
+        if (lastPublishedAt && Date.now() - Date.parse(lastPublishedAt) < minIntervalMs) return null;
+        if (retryAt && Date.parse(retryAt) > Date.now()) return null;
+
+        const { queuePosition, ...confession } = head.docs[0].data();
+        const now = new Date().toISOString();
+        let number = confession.confessionNumber;
+
+        if (!number) {
+          number = counterDoc.exists ? (counterDoc.data().confessionNumber || 0) + 1 : 1;
+          transaction.set(counterRef, {
+            confessionNumber: number,
+            lastAssigned: now
+          }, { merge: true });
+        }
+        transaction.set(publishingRef, { lastPublishedAt: now, retryAt: null }, { merge: true });
+
+        const changes = {
+          status: 'approved',
+          confessionNumber: number,
+          approvedAt: now,
+          engagementScore: 0
+        };
+        transaction.update(head.docs[0].ref, {
+          ...changes,
+          queuePosition: FieldValue.delete(),
+          reviewHistory: historyEntry('published', null, { confessionNumber: number })
+        });
+
+        return { ...confession, ...changes };
+      });
+    },
+
+    // approved -> scheduled when the channel post failed: back to the front of
+    // the queue with its number, and nothing is posted before `retryAt`.
+    // `lastPublishedAt` restores the time of the last post that went out
+    async requeue(confessionId, { retryAt, lastPublishedAt }) {
+      return db.runTransaction(async (transaction) => {
+        const ref = confessions.doc(confessionId);
+        const [doc, head] = await Promise.all([
+          transaction.get(ref),
+          transaction.get(scheduled().orderBy('queuePosition', 'asc').limit(1))
+        ]);
+        if (!doc.exists || doc.data().status !== 'approved') return false;
+
+        transaction.update(ref, {
+          status: 'scheduled',
+          queuePosition: head.empty ? Date.now() : head.docs[0].data().queuePosition - 1,
+          approvedAt: FieldValue.delete(),
+          publishAttempts: FieldValue.increment(1),
+          reviewHistory: historyEntry('publish_failed', null)
+        });
+        transaction.set(publishingRef, { retryAt, lastPublishedAt }, { merge: true });
+        return true;
+      });
+    },
+
+    async listScheduled({ offset = 0, limit = 10 } = {}) {
+      const snapshot = await scheduled()
+        .orderBy('queuePosition', 'asc')
+        .offset(offset)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Swap a scheduled confession with its neighbour (direction -1 = earlier,
+    // 1 = later); false if it isn't scheduled or is already at that end
+    async moveInQueue(confessionId, direction) {
+      return db.runTransaction(async (transaction) => {
+        const ref = confessions.doc(confessionId);
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.data().status !== 'scheduled') return false;
+
+        const position = doc.data().queuePosition;
+        const neighbours = await transaction.get(scheduled()
+          .where('queuePosition', direction < 0 ? '<' : '>', position)
+          .orderBy('queuePosition', direction < 0 ? 'desc' : 'asc')
+          .limit(1));
+        if (neighbours.empty) return false;
+
+        const neighbour = neighbours.docs[0];
+        transaction.update(ref, { queuePosition: neighbour.data().queuePosition });
+        transaction.update(neighbour.ref, { queuePosition: position });
+        return true;
+      });
+    },
+
+    // Move a scheduled confession to the front of the queue
+    async pinToFront(confessionId) {
+      return db.runTransaction(async (transaction) => {
+        const ref = confessions.doc(confessionId);
+        const [doc, head] = await Promise.all([
+          transaction.get(ref),
+          transaction.get(scheduled().orderBy('queuePosition', 'asc').limit(1))
+        ]);
+        if (!doc.exists || doc.data().status !== 'scheduled') return false;
+
+        const first = head.docs[0].data();
+        if (first.confessionId !== confessionId) {
+          transaction.update(ref, { queuePosition: first.queuePosition - 1 });
+        }
+        return true;
+      });
+    },
+
+    // scheduled -> pending: take a confession out of the queue and back to review
+    async unschedule(confessionId, reviewer) {
+      return db.runTransaction(async (transaction) => {
+        const ref = confessions.doc(confessionId);
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.data().status !== 'scheduled') return null;
+
+        const changes = {
+          status: 'pending',
+          reviewedBy: null,
+          reviewedAt: null
+        };
+        transaction.update(ref, {
+          ...changes,
+          queuePosition: FieldValue.delete(),
+          reviewHistory: historyEntry('unscheduled', reviewer)
+        });
+
+        const { queuePosition, ...confession } = doc.data();
+        return { ...confession, ...changes };
+      });
+    },
+
+    // rejected -> pending: an accepted appeal sends the confession back to review
+    async reopen(confessionId, reviewer) {
+      return db.runTransaction(async (transaction) => {
+        const ref = confessions.doc(confessionId);
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.data().status !== 'rejected') return null;
+
+        const changes = {
+          status: 'pending',
+          reviewedBy: null,
+          reviewedAt: null,
+          claimedBy: null
+        };
+        transaction.update(ref, {
+          ...changes,
+          reviewHistory: historyEntry('reopened', reviewer)
+        });
+
+        return { ...doc.data(), ...changes };
+      });
+    },
+
+    // pending -> rejected
+    async reject(confessionId, reviewer, reason, claimTtlMs) {
+      return review(confessionId, reviewer, claimTtlMs, async () => {
+        const now = new Date().toISOString();
+
+        return {
+          fields: {
+            status: 'rejected',
+            rejectionReason: reason,
+            rejectedAt: now,
+            reviewedBy: reviewer,
+            reviewedAt: now,
+            claimedBy: null,
+            reviewHistory: historyEntry('rejected', reviewer, { reason })
+          }
+        };
+      });
+    },
+
+    // Where the review notifications for a confession were sent
+    async addReviewMessages(confessionId, messages) {
+      if (messages.length === 0) return;
+
+      await confessions.doc(confessionId).update({
+        reviewMessages: FieldValue.arrayUnion(...messages)
+      });
+    },
+
+    async react(confessionId, userId, reaction) {
+      return db.runTransaction(async (transaction) => {
+        const result = await toggleReaction(transaction, FieldValue, confessions.doc(confessionId), userId, reaction, delta => ({
+          totalReactions: FieldValue.increment(delta),
+          engagementScore: FieldValue.increment(delta * ENGAGEMENT_WEIGHTS.reaction)
+        }));
+        return result ? result.reaction : null;
+      });
+    },
+
+    async recordView(confessionId) {
+      await confessions.doc(confessionId).update({
+        views: FieldValue.increment(1),
+        engagementScore: FieldValue.increment(ENGAGEMENT_WEIGHTS.view)
+      });
+    },
+
+    async getByNumber(number) {
+      const snapshot = await confessions
+        .where('status', '==', 'approved')
+        .where('confessionNumber', '==', number)
+        .limit(1)
+        .get();
+
+      return snapshot.empty ? null : snapshot.docs[0].data();
+    },
+
+    // Approved confessions whose search field (tags or keywords) contains a term, newest first
+    async listApprovedContaining(field, term, { offset = 0, limit = 100 } = {}) {
+      const snapshot = await confessions
+        .where('status', '==', 'approved')
+        .where(field, 'array-contains', term)
+        .orderBy('confessionNumber', 'desc')
+        .offset(offset)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Approved confessions in a time window, newest first
+    async listApprovedSince(since, limit = 100) {
+      const snapshot = await confessions
+        .where('status', '==', 'approved')
+        .where('approvedAt', '>=', since)
+        .orderBy('approvedAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Where the confession was posted, so its comment counter can be edited later
+    async setChannelMessage(confessionId, chatId, messageId) {
+      await confessions.doc(confessionId).update({
+        channelChatId: chatId.toString(),
+        channelMessageId: messageId,
+        channelCounterEditedAt: 0,
+        channelCounterPending: false
+      });
+    },
+
+    // Claim the right to edit the channel post's comment counter. At most one
+    // edit per interval: inside the interval the change is only marked pending.
+    // Returns the confession if the caller should edit now, otherwise null.
+    async claimCounterEdit(confessionId, minIntervalMs) {
+      return db.runTransaction(async (transaction) => {
+        const ref = confessions.doc(confessionId);
+        const doc = await transaction.get(ref);
+        if (!doc.exists || !doc.data().channelMessageId) return null;
+
+        const confession = doc.data();
+        const now = Date.now();
+
+        if (now - (confession.channelCounterEditedAt || 0) < minIntervalMs) {
+          if (!confession.channelCounterPending) {
+            transaction.update(ref, { channelCounterPending: true });
+          }
+          return null;
+        }
+
+        transaction.update(ref, {
+          channelCounterEditedAt: now,
+          channelCounterPending: false
+        });
+        return confession;
+      });
+    },
+
+    async markCounterPending(confessionId) {
+      await confessions.doc(confessionId).update({ channelCounterPending: true });
+    },
+
+    async listPendingCounters(limit = 10) {
+      const snapshot = await confessions
+        .where('channelCounterPending', '==', true)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Highest confession number handed out so far (0 if none)
+    async getHighestNumber() {
+      const [latest] = await this.listByStatus('approved', {
+        orderBy: 'confessionNumber',
+        direction: 'desc',
+        limit: 1
+      });
+
+      return latest?.confessionNumber || 0;
+    }
+  };
+}
+
+// ==================== COMMENTS ====================
+// comments/{confessionId} holds the section header; each comment is its own
+// document in comments/{confessionId}/entries with a short sequential ID (c1,
+// c2, ...) and each user's reaction lives under .../entries/{commentId}/reactions.
+// comments/{confessionId}/commenters numbers each commenter for their pseudonym.
+// Reports are kept per reporter under .../entries/{commentId}/reports, and
+// comment_reports is the moderators' queue with one document per reported comment.
+function createCommentRepository(db, FieldValue) {
+  const comments = db.collection('comments');
+  const reportQueue = db.collection('comment_reports');
+  const entries = confessionId => comments.doc(confessionId).collection('entries');
+  const commenters = confessionId => comments.doc(confessionId).collection('commenters');
+
+  // Soft delete: the entry stays so its replies keep their thread, but the
+  // text is dropped and the comment stops counting, on its parent too for a
+  // reply
+  const softDelete = (transaction, comment, fields) => {
+    const { confessionId, commentId, parentId } = comment;
+    if (parentId) {
+      transaction.update(entries(confessionId).doc(parentId), { replyCount: FieldValue.increment(-1) });
+    }
+
+    transaction.update(entries(confessionId).doc(commentId), {
+      ...fields,
+      status: 'deleted',
+      text: '',
+      deletedAt: new Date().toISOString()
+    });
+    transaction.update(comments.doc(confessionId), {
+      totalComments: FieldValue.increment(-1)
+    });
+    transaction.update(db.collection('confessions').doc(confessionId), {
+      totalComments: FieldValue.increment(-1),
+      engagementScore: FieldValue.increment(-ENGAGEMENT_WEIGHTS.comment)
+    });
+  };
+
+  return {
+    async getSection(confessionId) {
+      const doc = await comments.doc(confessionId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async createSection(confessionId, number, confessionText) {
+      await comments.doc(confessionId).set({
+        confessionId: confessionId,
+        confessionNumber: number,
+        confessionText: confessionText,
+        totalComments: 0,
+        lastCommentNumber: 0,
+        lastCommenterNumber: 0
+      });
+    },
+
+    async get(confessionId, commentId) {
+      const doc = await entries(confessionId).doc(commentId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    // Top-level comments (parentId null) or the replies to one comment, oldest first
+    async list(confessionId, { parentId = null, offset = 0, limit = 5 } = {}) {
+      const snapshot = await entries(confessionId)
+        .where('parentId', '==', parentId)
+        .orderBy('number', 'asc')
+        .offset(offset)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async countTopLevel(confessionId) {
+      const snapshot = await entries(confessionId).where('parentId', '==', null).count().get();
+      return snapshot.data().count;
+    },
+
+    // Every entry in a thread, deleted ones included, for paging through it;
+    // the parent's replyCount only counts the ones still there
+    async countReplies(confessionId, parentId) {
+      const snapshot = await entries(confessionId).where('parentId', '==', parentId).count().get();
+      return snapshot.data().count;
+    },
+
+    // Store a comment and bump every counter that depends on it atomically.
+    // The confession author (isOP) is never given a commenter number.
+    // Returns null if the section is missing or still holds legacy comments:
+    // their numbers aren't taken until migrateLegacy has moved them.
+    async add(confessionId, { text, userId, isOP = false, parentId = null, replyToId = null }) {
+      return db.runTransaction(async (transaction) => {
+        const sectionRef = comments.doc(confessionId);
+        const commenterRef = commenters(confessionId).doc(userId.toString());
+        const [section, commenter] = await Promise.all([
+          transaction.get(sectionRef),
+          transaction.get(commenterRef)
+        ]);
+        if (!section.exists || Array.isArray(section.data().comments)) return null;
+
+        const sectionData = section.data();
+        const number = (sectionData.lastCommentNumber || 0) + 1;
+        const sectionChanges = {
+          lastCommentNumber: number,
+          totalComments: FieldValue.increment(1)
+        };
+
+        let authorNumber = 0;
+        if (!isOP) {
+          if (commenter.exists) {
+            authorNumber = commenter.data().number;
+          } else {
+            authorNumber = (sectionData.lastCommenterNumber || 0) + 1;
+            sectionChanges.lastCommenterNumber = authorNumber;
+            transaction.set(commenterRef, { userId: userId, number: authorNumber });
+          }
+        }
+
+        const comment = {
+          commentId: `c${number}`,
+          number: number,
+          confessionId: confessionId,
+          parentId: parentId,
+          replyToId: replyToId,
+          text: text,
+          userId: userId,
+          isOP: isOP,
+          authorNumber: authorNumber,
+          status: 'visible',
+          reportCount: 0,
+          reactions: {},
+          replyCount: 0,
+          createdAt: new Date().toISOString()
+        };
+
+        transaction.set(entries(confessionId).doc(comment.commentId), comment);
+        transaction.update(sectionRef, sectionChanges);
+        transaction.update(db.collection('confessions').doc(confessionId), {
+          totalComments: FieldValue.increment(1),
+          engagementScore: FieldValue.increment(ENGAGEMENT_WEIGHTS.comment)
+        });
+
+        if (parentId) {
+          transaction.update(entries(confessionId).doc(parentId), {
+            replyCount: FieldValue.increment(1)
+          });
+        }
+
+        return comment;
+      });
+    },
+
+    // A user's latest comments across every confession
+    async listByUser(userId, limit = 5) {
+      const snapshot = await db.collectionGroup('entries')
+        .where('userId', '==', userId)
+        .orderBy('createdAt', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Returns the user's reaction afterwards (or null)
+    async react(confessionId, commentId, userId, reaction) {
+      return db.runTransaction(async (transaction) => {
+        const result = await toggleReaction(transaction, FieldValue, entries(confessionId).doc(commentId), userId, reaction);
+        return result ? result.reaction : null;
+      });
+    },
+
+    async edit(confessionId, commentId, text) {
+      await entries(confessionId).doc(commentId).update({
+        text: text,
+        editedAt: new Date().toISOString()
+      });
+    },
+
+    // The author deleting their comment (see softDelete). Returns false if
+    // already deleted
+    async remove(confessionId, commentId, deletedBy) {
+      return db.runTransaction(async (transaction) => {
+        const ref = entries(confessionId).doc(commentId);
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.data().status === 'deleted') return false;
+
+        softDelete(transaction, doc.data(), { deletedBy });
+        return true;
+      });
+    },
+
+    // Record one report per user; at `hideThreshold` reports a visible comment
+    // is hidden until a moderator reviews it
+    async report(confessionId, commentId, userId, hideThreshold) {
+      return db.runTransaction(async (transaction) => {
+        const commentRef = entries(confessionId).doc(commentId);
+        const reportRef = commentRef.collection('reports').doc(userId.toString());
+        const queueRef = reportQueue.doc(`${confessionId}_${commentId}`);
+        const [commentDoc, reportDoc] = await Promise.all([
+          transaction.get(commentRef),
+          transaction.get(reportRef)
+        ]);
+
+        if (!commentDoc.exists) return null;
+        if (reportDoc.exists) return { duplicate: true };
+
+        const comment = commentDoc.data();
+        const reportCount = (comment.reportCount || 0) + 1;
+        const hide = reportCount >= hideThreshold && (comment.status || 'visible') === 'visible';
+        const now = new Date().toISOString();
+
+        transaction.set(reportRef, { userId: userId, reportedAt: now });
+        transaction.update(commentRef, {
+          reportCount: reportCount,
+          ...(hide ? { status: 'hidden', hiddenBy: 'reports' } : {})
+        });
+        transaction.set(queueRef, {
+          confessionId: confessionId,
+          commentId: commentId,
+          reportCount: reportCount,
+          status: 'open',
+          lastReportedAt: now
+        }, { merge: true });
+
+        return { duplicate: false, reportCount, hidden: hide };
+      });
+    },
+
+    async getReport(confessionId, commentId) {
+      const doc = await reportQueue.doc(`${confessionId}_${commentId}`).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    // Open reports, most recently reported first
+    async listOpenReports({ offset = 0, limit = 5 } = {}) {
+      const snapshot = await reportQueue
+        .where('status', '==', 'open')
+        .orderBy('lastReportedAt', 'desc')
+        .offset(offset)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // A moderator's decision: hide, unhide, delete, or dismiss the reports
+    // (which restores a hidden comment). The comment and its queue entry
+    // change together; later reports start counting towards the threshold
+    // again. Returns the comment as it was, or null if it is gone
+    async moderate(confessionId, commentId, action, moderator) {
+      return db.runTransaction(async (transaction) => {
+        const ref = entries(confessionId).doc(commentId);
+        const queueRef = reportQueue.doc(`${confessionId}_${commentId}`);
+        const [doc, report] = await Promise.all([transaction.get(ref), transaction.get(queueRef)]);
+        if (!doc.exists || doc.data().status === 'deleted') return null;
+
+        if (action === 'delete') {
+          softDelete(transaction, doc.data(), { deletedBy: moderator, reportCount: 0 });
+        } else {
+          const hidden = action === 'hide';
+          transaction.update(ref, {
+            status: hidden ? 'hidden' : 'visible',
+            hiddenBy: hidden ? moderator : null,
+            reportCount: 0
+          });
+        }
+
+        if (report.exists && report.data().status === 'open') {
+          transaction.update(queueRef, {
+            status: 'resolved',
+            resolution: action,
+            resolvedBy: moderator,
+            resolvedAt: new Date().toISOString()
+          });
+        }
+
+        return doc.data();
+      });
+    },
+
+    // Move comments stored in the old single-document array into entries.
+    // Their stored first names are dropped in favour of commenter numbers.
+    // Long threads take several batches; the array is only removed once all
+    // of them are in, so a failed run is simply repeated next time.
+    // A run first claims the section (migratingSince) so that only one runs
+    // at a time; a claim older than MIGRATION_LEASE_MS is from a run that died.
+    async migrateLegacy(confessionId) {
+      const sectionRef = comments.doc(confessionId);
+      const claim = await db.runTransaction(async (transaction) => {
+        const [section, confession] = await Promise.all([
+          transaction.get(sectionRef),
+          transaction.get(db.collection('confessions').doc(confessionId))
+        ]);
+        const data = section.exists ? section.data() : null;
+        if (!data || !Array.isArray(data.comments)) return null;
+
+        const since = data.migratingSince ? new Date(data.migratingSince).getTime() : 0;
+        if (Date.now() - since < MIGRATION_LEASE_MS) return null;
+
+        transaction.update(sectionRef, { migratingSince: new Date().toISOString() });
+        return {
+          legacy: data.comments,
+          authorId: confession.exists ? confession.data().userId : null
+        };
+      });
+      if (!claim) return;
+
+      const { legacy, authorId } = claim;
+      const commenterNumbers = new Map();
+      const writes = [];
+
+      legacy.forEach((comment, index) => {
+        const number = index + 1;
+        const isOP = comment.userId === authorId;
+
+        if (!isOP && !commenterNumbers.has(comment.userId)) {
+          commenterNumbers.set(comment.userId, commenterNumbers.size + 1);
+          writes.push([commenters(confessionId).doc(comment.userId.toString()), {
+            userId: comment.userId,
+            number: commenterNumbers.size
+          }]);
+        }
+
+        writes.push([entries(confessionId).doc(`c${number}`), {
+          commentId: `c${number}`,
+          number: number,
+          confessionId: confessionId,
+          parentId: null,
+          replyToId: null,
+          text: comment.text,
+          userId: comment.userId,
+          isOP: isOP,
+          authorNumber: isOP ? 0 : commenterNumbers.get(comment.userId),
+          status: 'visible',
+          reportCount: 0,
+          reactions: {},
+          replyCount: 0,
+          createdAt: comment.createdAt || new Date().toISOString()
+        }]);
+      });
+
+      await setInBatches(db, writes);
+
+      await sectionRef.update({
+        comments: FieldValue.delete(),
+        migratingSince: FieldValue.delete(),
+        lastCommentNumber: legacy.length,
+        lastCommenterNumber: commenterNumbers.size,
+        totalComments: legacy.length
+      });
+    }
+  };
+}
+
+// ==================== COUNTERS ====================
+function createCounterRepository(db) {
+  const counterRef = db.collection('system').doc('counters');
+
+  return {
+    async get() {
+      const doc = await counterRef.get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async set(data) {
+      await counterRef.set(data);
+    },
+
+    // Get next confession number using a transaction (atomic operation)
+    async nextConfessionNumber() {
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(counterRef);
+
+        if (!doc.exists) {
+          transaction.set(counterRef, {
+            confessionNumber: 1,
+            lastAssigned: new Date().toISOString()
+          });
+          return 1;
+        }
+
+        const next = doc.data().confessionNumber + 1;
+
+        transaction.update(counterRef, {
+          confessionNumber: next,
+          lastAssigned: new Date().toISOString()
+        });
+
+        return next;
+      });
+    }
+  };
+}
+
+// ==================== COOLDOWNS ====================
+function createCooldownRepository(db) {
+  const cooldowns = db.collection('user_cooldowns');
+
+  return {
+    // Timestamp (ms) of the user's last action of this type, or null
+    async getLastAction(userId, action) {
+      const doc = await cooldowns.doc(userId.toString()).get();
+      return doc.exists ? doc.data()[action] || null : null;
+    },
+
+    async set(userId, action) {
+      await cooldowns.doc(userId.toString()).set({
+        [action]: Date.now(),
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    }
+  };
+}
+
+// ==================== RATE LIMITS ====================
+function createRateLimitRepository(db, FieldValue) {
+  const rateLimits = db.collection('user_rate_limits');
+
+  return {
+    async getCommentTimestamps(userId) {
+      const doc = await rateLimits.doc(userId.toString()).get();
+      return doc.exists ? doc.data().commentTimestamps || [] : [];
+    },
+
+    async recordComment(userId, timestamp = Date.now()) {
+      const ref = rateLimits.doc(userId.toString());
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+
+        if (!doc.exists) {
+          transaction.set(ref, {
+            commentTimestamps: [timestamp],
+            updatedAt: new Date().toISOString()
+          });
+        } else {
+          transaction.update(ref, {
+            commentTimestamps: FieldValue.arrayUnion(timestamp),
+            updatedAt: new Date().toISOString()
+          });
+        }
+      });
+    },
+
+    // Drop timestamps that fell out of the rate limit window
+    async pruneComments(userId, windowMs) {
+      const ref = rateLimits.doc(userId.toString());
+      const doc = await ref.get();
+      if (!doc.exists) return;
+
+      const now = Date.now();
+      const recent = (doc.data().commentTimestamps || []).filter(ts => (now - ts) <= windowMs);
+
+      await ref.update({
+        commentTimestamps: recent
+      });
+    }
+  };
+}
+
+// ==================== DRAFTS ====================
+// One unfinished confession per user, kept until it is submitted or discarded
+function createDraftRepository(db) {
+  const drafts = db.collection('drafts');
+
+  return {
+    async get(userId) {
+      const doc = await drafts.doc(userId.toString()).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async save(userId, data) {
+      const ref = drafts.doc(userId.toString());
+      const existing = await ref.get();
+      const now = new Date().toISOString();
+
+      // Keep the original creation time across edits
+      const draft = {
+        ...(existing.exists ? existing.data() : { userId: userId, createdAt: now }),
+        ...data,
+        updatedAt: now
+      };
+
+      await ref.set(draft);
+      return draft;
+    },
+
+    async delete(userId) {
+      await drafts.doc(userId.toString()).delete();
+    },
+
+    // Read and delete in one transaction, so of two concurrent submits only
+    // one gets the draft (the other gets null)
+    async take(userId) {
+      const ref = drafts.doc(userId.toString());
+
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return null;
+
+        transaction.delete(ref);
+        return doc.data();
+      });
+    }
+  };
+}
+
+// ==================== SESSIONS ====================
+// Telegraf session store: get/set/delete keyed by "<fromId>:<chatId>".
+// expiresAt is a Date so a Firestore TTL policy on that field can purge
+// abandoned sessions; reads also treat expired documents as missing.
+function createSessionRepository(db) {
+  const sessions = db.collection('sessions');
+
+  return {
+    async get(key) {
+      const ref = sessions.doc(key);
+      const doc = await ref.get();
+      if (!doc.exists) return undefined;
+
+      const data = doc.data();
+      if (toMillis(data.expiresAt) <= Date.now()) {
+        await ref.delete();
+        return undefined;
+      }
+
+      return data.session;
+    },
+
+    async set(key, session, ttlMs) {
+      // Nothing worth keeping, don't leave an empty document behind
+      if (Object.keys(session).length === 0) {
+        await sessions.doc(key).delete();
+        return;
+      }
+
+      await sessions.doc(key).set({
+        key: key,
+        // Round-trip through JSON to drop undefined values Firestore rejects
+        session: JSON.parse(JSON.stringify(session)),
+        updatedAt: new Date().toISOString(),
+        expiresAt: new Date(Date.now() + ttlMs)
+      });
+    },
+
+    async delete(key) {
+      await sessions.doc(key).delete();
+    }
+  };
+}
+
+// Firestore returns Timestamps, the memory backend returns Dates
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  return new Date(value).getTime();
+}
+
+// ==================== AUDIT LOG ====================
+function createAuditLogRepository(db) {
+  const auditLog = db.collection('audit_log');
+
+  return {
+    async record(entry) {
+      const ref = auditLog.doc();
+      await ref.set({
+        entryId: ref.id,
+        ...entry,
+        createdAt: new Date().toISOString()
+      });
+    },
+
+    // Newest first; filters match actorId, targetUserId and action exactly
+    async list({ actorId, targetUserId, action } = {}, { limit = 10, offset = 0 } = {}) {
+      let query = auditLog;
+      if (actorId) query = query.where('actorId', '==', actorId);
+      if (targetUserId) query = query.where('targetUserId', '==', targetUserId);
+      if (action) query = query.where('action', '==', action);
+
+      const snapshot = await query
+        .orderBy('createdAt', 'desc')
+        .offset(offset)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    }
+  };
+}
+
+// ==================== ROLES ====================
+function createRoleRepository(db) {
+  const roles = db.collection('roles');
+
+  return {
+    async get(userId) {
+      const doc = await roles.doc(userId.toString()).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async set(userId, role, grantedBy) {
+      await roles.doc(userId.toString()).set({
+        userId: userId.toString(),
+        role: role,
+        grantedBy: grantedBy,
+        grantedAt: new Date().toISOString()
+      });
+    },
+
+    async delete(userId) {
+      await roles.doc(userId.toString()).delete();
+    },
+
+    async list() {
+      const snapshot = await roles.get();
+      return snapshot.docs.map(doc => doc.data());
+    }
+  };
+}
+
+// ==================== MODERATION SETTINGS ====================
+function createModerationRepository(db) {
+  const settingsRef = db.collection('system').doc('moderation');
+
+  return {
+    async getSettings() {
+      const doc = await settingsRef.get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async saveSettings(settings) {
+      await settingsRef.set({
+        ...settings,
+        updatedAt: new Date().toISOString()
+      });
+    }
+  };
+}
+
+// ==================== HASHTAGS ====================
+// One document per hashtag ('#exam' is stored as hashtags/exam) with the
+// number of published confessions using it and its subscriber count.
+// Subscriptions themselves live on the user as subscribedHashtags.
+function createHashtagRepository(db, FieldValue) {
+  const hashtags = db.collection('hashtags');
+  const users = db.collection('users');
+  const tagRef = tag => hashtags.doc(tag.replace(/^#/, ''));
+
+  // Add or remove a subscription; false if nothing changed
+  async function setSubscription(tag, userId, subscribed) {
+    return db.runTransaction(async (transaction) => {
+      const userRef = users.doc(userId.toString());
+      const userDoc = await transaction.get(userRef);
+      if (!userDoc.exists) return false;
+
+      const current = (userDoc.data().subscribedHashtags || []).includes(tag);
+      if (current === subscribed) return false;
+
+      transaction.update(userRef, {
+        subscribedHashtags: subscribed ? FieldValue.arrayUnion(tag) : FieldValue.arrayRemove(tag)
+      });
+      transaction.set(tagRef(tag), {
+        tag: tag,
+        subscriberCount: FieldValue.increment(subscribed ? 1 : -1)
+      }, { merge: true });
+      return true;
+    });
+  }
+
+  return {
+    async get(tag) {
+      const doc = await tagRef(tag).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    // Count one published confession for each of its tags
+    async recordUse(tags) {
+      if (tags.length === 0) return;
+
+      const batch = db.batch();
+      const now = new Date().toISOString();
+      for (const tag of tags) {
+        batch.set(tagRef(tag), {
+          tag: tag,
+          count: FieldValue.increment(1),
+          lastUsedAt: now
+        }, { merge: true });
+      }
+      await batch.commit();
+    },
+
+    // Overwrite a tag's count (used when rebuilding counts from confessions)
+    async setCount(tag, count, lastUsedAt) {
+      await tagRef(tag).set({ tag, count, lastUsedAt }, { merge: true });
+    },
+
+    async listPopular(limit = 10) {
+      const snapshot = await hashtags
+        .where('count', '>', 0)
+        .orderBy('count', 'desc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async subscribe(tag, userId) {
+      return setSubscription(tag, userId, true);
+    },
+
+    async unsubscribe(tag, userId) {
+      return setSubscription(tag, userId, false);
+    },
+
+    async listSubscribers(tag) {
+      const snapshot = await users.where('subscribedHashtags', 'array-contains', tag).get();
+      return snapshot.docs.map(doc => doc.data());
+    }
+  };
+}
+
+// ==================== NOTIFICATION OUTBOX ====================
+// Messages to users that go out later (see deliverNotifications in the bot).
+// Digest entries collect several events of one kind into a single message:
+// one document per user and kind whose count grows until it is delivered.
+function createNotificationOutboxRepository(db, FieldValue) {
+  const outbox = db.collection('notification_outbox');
+
+  return {
+    async add(userId, kind, data, deliverAfter) {
+      const ref = outbox.doc();
+      await ref.set({
+        entryId: ref.id,
+        userId: userId,
+        kind: kind,
+        data: data,
+        deliverAfter: deliverAfter,
+        createdAt: new Date().toISOString()
+      });
+    },
+
+    // Count one more event (under `key`) into the user's pending digest of this
+    // kind; a new digest is scheduled for deliverAfter, an existing one keeps its time
+    async addToDigest(userId, kind, deliverAfter, key = 'count') {
+      const ref = outbox.doc(`${kind}_${userId}`);
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+
+        if (doc.exists) {
+          transaction.update(ref, { [`data.${key}`]: FieldValue.increment(1) });
+        } else {
+          transaction.set(ref, {
+            entryId: ref.id,
+            userId: userId,
+            kind: kind,
+            data: { [key]: 1 },
+            deliverAfter: deliverAfter,
+            createdAt: new Date().toISOString()
+          });
+        }
+      });
+    },
+
+    async listDue(limit = 20) {
+      const snapshot = await outbox
+        .where('deliverAfter', '<=', new Date().toISOString())
+        .orderBy('deliverAfter', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async remove(entryId) {
+      await outbox.doc(entryId).delete();
+    }
+  };
+}
+
+// ==================== PUBLISHING ====================
+// Publish queue settings; lastPublishedAt in the same document is kept up to
+// date by confessions.publishNext
+function createPublishingRepository(db) {
+  const publishingRef = db.collection('system').doc('publishing');
+
+  return {
+    async get() {
+      const doc = await publishingRef.get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async saveSettings(settings) {
+      await publishingRef.set({
+        ...settings,
+        updatedAt: new Date().toISOString()
+      }, { merge: true });
+    }
+  };
+}
+
+// ==================== BROADCASTS ====================
+// A broadcast starts as a draft, is sent right away or scheduled, then walks
+// the active users in userId order. `cursor` is the last user handled, so a
+// job picks up where the previous run stopped; each recipient's outcome is
+// kept in the job's deliveries subcollection. A runner has to claim a job's
+// lease before sending, so overlapping runs never read the same cursor.
+function createBroadcastRepository(db, FieldValue) {
+  const broadcasts = db.collection('broadcasts');
+
+  return {
+    async create({ text, media = null, createdBy, reportChatId }) {
+      const ref = broadcasts.doc();
+      const job = {
+        broadcastId: ref.id,
+        text: text,
+        media: media,
+        buttons: [],
+        segment: { type: 'all' },
+        scheduledFor: null,
+        createdBy: createdBy,
+        reportChatId: reportChatId,
+        reportMessageId: null,
+        status: 'draft',
+        cursor: null,
+        counts: { sent: 0, failed: 0, blocked: 0 },
+        resumeAfter: null,
+        runnerId: null,
+        leaseUntil: null,
+        createdAt: new Date().toISOString(),
+        completedAt: null
+      };
+
+      await ref.set(job);
+      return job;
+    },
+
+    async get(broadcastId) {
+      const doc = await broadcasts.doc(broadcastId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    async update(broadcastId, data) {
+      await broadcasts.doc(broadcastId).update(data);
+    },
+
+    async remove(broadcastId) {
+      await broadcasts.doc(broadcastId).delete();
+    },
+
+    async listDueScheduled(limit = 5) {
+      const snapshot = await broadcasts
+        .where('status', '==', 'scheduled')
+        .where('scheduledFor', '<=', new Date().toISOString())
+        .orderBy('scheduledFor', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async listRunning(limit = 5) {
+      const snapshot = await broadcasts
+        .where('status', '==', 'running')
+        .orderBy('createdAt', 'asc')
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    // Take a due job for `runnerId` until the lease runs out: starts a
+    // scheduled job, and returns null if another runner holds it, it is
+    // waiting out a rate limit or it is no longer due
+    async claim(broadcastId, runnerId, leaseMs) {
+      const ref = broadcasts.doc(broadcastId);
+
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return null;
+
+        const job = doc.data();
+        const now = Date.now();
+        const due = job.status === 'running' ||
+          (job.status === 'scheduled' && Date.parse(job.scheduledFor) <= now);
+        if (!due) return null;
+        if (job.leaseUntil && Date.parse(job.leaseUntil) > now) return null;
+        if (job.resumeAfter && Date.parse(job.resumeAfter) > now) return null;
+
+        const changes = {
+          status: 'running',
+          runnerId: runnerId,
+          leaseUntil: new Date(now + leaseMs).toISOString(),
+          resumeAfter: null
+        };
+        transaction.update(ref, changes);
+
+        return { ...job, ...changes };
+      });
+    },
+
+    // Give the lease back so the next run can continue straight away
+    async release(broadcastId, runnerId) {
+      const ref = broadcasts.doc(broadcastId);
+
+      await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.data().runnerId !== runnerId) return;
+
+        transaction.update(ref, { runnerId: null, leaseUntil: null });
+      });
+    },
+
+    // Store one recipient's outcome and move the cursor past them
+    async recordDelivery(broadcastId, userId, status, error = null) {
+      const ref = broadcasts.doc(broadcastId);
+      const batch = db.batch();
+
+      batch.set(ref.collection('deliveries').doc(userId.toString()), {
+        userId: userId,
+        status: status,
+        error: error,
+        deliveredAt: new Date().toISOString()
+      });
+      batch.update(ref, {
+        cursor: userId,
+        [`counts.${status}`]: FieldValue.increment(1)
+      });
+
+      await batch.commit();
+    }
+  };
+}
+
+// ==================== APPEALS ====================
+// Users can appeal a rejected confession or a ban once. The document id is
+// derived from what is appealed, so a second appeal finds the first.
+function createAppealRepository(db) {
+  const appeals = db.collection('appeals');
+
+  return {
+    async get(appealId) {
+      const doc = await appeals.doc(appealId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    // Returns null if this was appealed before
+    async create(appealId, { userId, type, targetId, message, context }) {
+      const ref = appeals.doc(appealId);
+
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (doc.exists) return null;
+
+        const appeal = {
+          appealId: appealId,
+          userId: userId,
+          type: type,
+          targetId: targetId,
+          message: message,
+          context: context,
+          status: 'open',
+          createdAt: new Date().toISOString(),
+          resolvedBy: null,
+          resolvedAt: null,
+          response: null
+        };
+        transaction.set(ref, appeal);
+        return appeal;
+      });
+    },
+
+    // Open appeals of the given types, oldest first
+    async listOpen(types, { offset = 0, limit = 1 } = {}) {
+      const snapshot = await appeals
+        .where('status', '==', 'open')
+        .where('type', 'in', types)
+        .orderBy('createdAt', 'asc')
+        .offset(offset)
+        .limit(limit)
+        .get();
+
+      return snapshot.docs.map(doc => doc.data());
+    },
+
+    async countOpen(types) {
+      const snapshot = await appeals
+        .where('status', '==', 'open')
+        .where('type', 'in', types)
+        .count()
+        .get();
+
+      return snapshot.data().count;
+    },
+
+    // open -> accepted/denied; returns null if someone else decided first
+    async resolve(appealId, { status, resolvedBy, response = null }) {
+      const ref = appeals.doc(appealId);
+
+      return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists || doc.data().status !== 'open') return null;
+
+        const changes = {
+          status: status,
+          resolvedBy: resolvedBy,
+          resolvedAt: new Date().toISOString(),
+          response: response
+        };
+        transaction.update(ref, changes);
+        return { ...doc.data(), ...changes };
+      });
+    }
+  };
+}
+
+function createRepositories(db, FieldValue) {
+  return {
+    users: createUserRepository(db, FieldValue),
+    confessions: createConfessionRepository(db, FieldValue),
+    comments: createCommentRepository(db, FieldValue),
+    counters: createCounterRepository(db, FieldValue),
+    cooldowns: createCooldownRepository(db, FieldValue),
+    rateLimits: createRateLimitRepository(db, FieldValue),
+    drafts: createDraftRepository(db, FieldValue),
+    sessions: createSessionRepository(db, FieldValue),
+    auditLog: createAuditLogRepository(db, FieldValue),
+    roles: createRoleRepository(db, FieldValue),
+    moderation: createModerationRepository(db, FieldValue),
+    publishing: createPublishingRepository(db, FieldValue),
+    hashtags: createHashtagRepository(db, FieldValue),
+    outbox: createNotificationOutboxRepository(db, FieldValue),
+    broadcasts: createBroadcastRepository(db, FieldValue),
+    appeals: createAppealRepository(db, FieldValue)
+  };
+}
+
+module.exports = { createRepositories };
@@ -0,0 +1,48 @@
+// Add the search index fields (tags, keywords) to confessions stored before
+// search existed, and rebuild the per-hashtag confession counts from the
+// published confessions. Safe to run more than once.
+//
+// Usage: npm run index-search
+require('dotenv').config();
+const { createStorage } = require('../lib/storage');
+const { searchFields } = require('../lib/search');
+
+async function main() {
+  const { repos } = createStorage();
+  let indexed = 0;
+  const tagCounts = new Map();
+
+  for (const status of ['pending', 'scheduled', 'approved']) {
+    const confessions = await repos.confessions.listByStatus(status, { limit: 10000 });
+
+    for (const confession of confessions) {
+      const fields = confession.keywords
+        ? { tags: confession.tags }
+        : searchFields(confession.text || '', confession.hashtags || []);
+
+      if (!confession.keywords) {
+        await repos.confessions.update(confession.confessionId, fields);
+        indexed++;
+      }
+
+      if (status !== 'approved') continue;
+      for (const tag of fields.tags) {
+        const entry = tagCounts.get(tag) || { count: 0, lastUsedAt: null };
+        entry.count++;
+        if (!entry.lastUsedAt || confession.approvedAt > entry.lastUsedAt) entry.lastUsedAt = confession.approvedAt;
+        tagCounts.set(tag, entry);
+      }
+    }
+  }
+
+  for (const [tag, { count, lastUsedAt }] of tagCounts) {
+    await repos.hashtags.setCount(tag, count, lastUsedAt);
+  }
+
+  console.log(`Indexed ${indexed} confession(s), counted ${tagCounts.size} hashtag(s).`);
+}
+
+main().catch(error => {
+  console.error('Index error:', error);
+  process.exit(1);
+});
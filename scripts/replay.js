@@ -0,0 +1,52 @@
+// Replay a scripted scenario through the webhook handler and print every
+// Bot API call the bot made.
+//
+// Usage: npm run replay -- path/to/scenario.json
+//
+// A scenario is a JSON array of steps, each either a raw Telegram update or a
+// shorthand step:
+//   { "from": { "id": 42, "first_name": "Abebe" }, "text": "/start" }
+//   { "from": { "id": 1000 }, "callback": "approve_confess_42_1700000000000" }
+//   { "from": { "id": 42 }, "message": { "photo": [{ "file_id": "AgAD..." }] } }
+const fs = require('fs');
+const path = require('path');
+const { createHarness } = require('../lib/harness');
+
+function describeCall({ method, payload }) {
+  const target = payload.chat_id !== undefined ? ` -> ${payload.chat_id}` : '';
+  const body = payload.text || payload.caption || payload.callback_query_id && (payload.text || '(answer)') || '';
+  const buttons = (payload.reply_markup?.inline_keyboard || [])
+    .flat()
+    .map(button => `[${button.text}]`)
+    .join(' ');
+
+  return `${method}${target}\n${body ? `  ${body.replace(/\n/g, '\n  ')}\n` : ''}${buttons ? `  ${buttons}\n` : ''}`;
+}
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error('Usage: npm run replay -- <scenario.json>');
+    process.exit(1);
+  }
+
+  const steps = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const harness = createHarness();
+
+  try {
+    for (const [index, step] of steps.entries()) {
+      const before = harness.calls.length;
+      await harness.replay([step]);
+
+      console.log(`==================== STEP ${index + 1} ====================`);
+      harness.calls.slice(before).forEach(call => console.log(describeCall(call)));
+    }
+  } finally {
+    harness.close();
+  }
+}
+
+main().catch(error => {
+  console.error('Replay error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+// Appeals against rejected confessions and bans
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, AUTHOR, startHarness, callbackData, submitConfession, lastAnswer } = require('./helpers');
+
+async function rejectConfession(h, confessionId, reason) {
+  await h.callback(ADMIN, `reject_${confessionId}`, { chatId: ADMIN.id });
+  await h.message(ADMIN, reason);
+}
+
+test('the rejection notice escapes the reason and offers an appeal', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+
+  const confessionId = await submitConfession(h, AUTHOR, 'Nobody ever sits in the front row of the lecture hall');
+  await rejectConfession(h, confessionId, 'Too_short *bad*');
+
+  const notice = h.lastMessage(AUTHOR.id);
+  assert.match(notice.text, /Reason: Too\\_short \\\*bad\\\*/);
+  assert.deepEqual(callbackData(notice), [`appeal_rejection_${confessionId}`]);
+});
+
+test('an accepted rejection appeal sends the confession back to review', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+
+  const confessionId = await submitConfession(h, AUTHOR, 'Nobody ever sits in the front row of the lecture hall');
+  await rejectConfession(h, confessionId, 'Too vague');
+
+  await h.callback(AUTHOR, `appeal_rejection_${confessionId}`);
+  await h.message(AUTHOR, 'It is about a real habit, please look again');
+  assert.match(h.lastMessage(AUTHOR.id).text, /appeal has been sent/);
+
+  await h.callback(ADMIN, 'appeals_page_0');
+  const queue = h.lastMessage(ADMIN.id);
+  assert.match(queue.text, /1 open/);
+  assert.match(queue.text, /It is about a real habit/);
+
+  await h.callback(ADMIN, `apl_ok_rejection_${confessionId}_0`);
+  assert.equal((await h.storage.repos.confessions.get(confessionId)).status, 'pending');
+  assert.equal((await h.storage.repos.appeals.get(`rejection_${confessionId}`)).status, 'accepted');
+  assert.match(h.lastMessage(AUTHOR.id).text, /appeal was accepted/);
+
+  // One appeal per rejection
+  await h.callback(AUTHOR, `appeal_rejection_${confessionId}`);
+  assert.match(lastAnswer(h).text, /no longer be appealed|already appealed/);
+});
+
+test('an appeal denied while another moderator accepts it is not reopened', async (t) => {
+  const moderator = { id: 2000 };
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, moderator] });
+  const { repos } = h.storage;
+  await h.message(ADMIN, `/grant ${moderator.id} moderator`);
+
+  const confessionId = await submitConfession(h, AUTHOR, 'Nobody ever sits in the front row of the lecture hall');
+  await rejectConfession(h, confessionId, 'Too vague');
+  await h.callback(AUTHOR, `appeal_rejection_${confessionId}`);
+  await h.message(AUTHOR, 'It is about a real habit, please look again');
+  await h.callback(ADMIN, `apl_no_rejection_${confessionId}_0`);
+
+  // The admin sends the denial just after the moderator's accept read the open appeal
+  const get = repos.appeals.get;
+  t.mock.method(repos.appeals, 'get', async (appealId) => {
+    const appeal = await get(appealId);
+    repos.appeals.get.mock.restore();
+    await h.message(ADMIN, 'Still too vague');
+    return appeal;
+  });
+  await h.callback(moderator, `apl_ok_rejection_${confessionId}_0`);
+
+  assert.equal(lastAnswer(h).text, 'Already decided');
+  assert.equal((await repos.appeals.get(`rejection_${confessionId}`)).status, 'denied');
+  assert.equal((await repos.confessions.get(confessionId)).status, 'rejected');
+  assert.ok(h.messages(AUTHOR.id).every(message => !/appeal was accepted/.test(message.text)));
+});
+
+test('an accepted ban appeal keeps a separate mute in force', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+
+  await h.callback(ADMIN, `sanction_mute_comments_168_${AUTHOR.id}`);
+  await h.message(ADMIN, 'rude comments');
+  await h.callback(ADMIN, `sanction_ban_all_0_${AUTHOR.id}`);
+  await h.message(ADMIN, 'abuse');
+
+  await h.message(AUTHOR, 'hello');
+  assert.deepEqual(callbackData(h.lastMessage(AUTHOR.id)), ['appeal_ban']);
+  await h.callback(AUTHOR, 'appeal_ban');
+  await h.message(AUTHOR, 'I promise to behave from now on');
+
+  await h.callback(ADMIN, 'appeals_page_0');
+  const [accept] = callbackData(h.lastMessage(ADMIN.id));
+  assert.match(accept, /^apl_ok_ban_/);
+  await h.callback(ADMIN, accept);
+
+  const { restrictions } = await h.storage.repos.users.get(AUTHOR.id);
+  assert.equal(restrictions.ban, null);
+  assert.equal(restrictions.comments.reason, 'rude comments');
+  assert.match(h.lastMessage(AUTHOR.id).text, /ban has been lifted/);
+
+  await h.callback(AUTHOR, 'add_comment_anything');
+  assert.match(lastAnswer(h).text, /can't comment/);
+});
@@ -0,0 +1,38 @@
+// The audit trail of privileged actions and /auditlog
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, AUTHOR, SECOND_AUTHOR, startHarness, submitConfession, publishConfession } = require('./helpers');
+
+async function auditEntries(h) {
+  const snapshot = await h.storage.db.collection('audit_log').get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+test('reviews are recorded and /auditlog filters them by action', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, SECOND_AUTHOR] });
+
+  const approved = await publishConfession(h, AUTHOR, 'Group projects are just one person doing everything');
+  const rejected = await submitConfession(h, SECOND_AUTHOR, 'This one will not make it to the channel');
+  await h.callback(ADMIN, `reject_${rejected}`, { chatId: ADMIN.id });
+  await h.message(ADMIN, 'Off topic');
+
+  const entries = await auditEntries(h);
+  const rejection = entries.find(entry => entry.action === 'reject_confession');
+  assert.equal(rejection.actorId, String(ADMIN.id));
+  assert.equal(rejection.targetId, rejected);
+  assert.deepEqual(rejection.before, { status: 'pending' });
+  assert.deepEqual(rejection.after, { status: 'rejected', rejectionReason: 'Off topic' });
+  assert.ok(entries.some(entry => entry.action === 'approve_confession' && entry.targetId === approved));
+
+  await h.message(ADMIN, '/auditlog action:reject_confession');
+  const log = h.lastMessage(ADMIN.id).text;
+  assert.match(log, /reject\\_confession/);
+  assert.doesNotMatch(log, /approve\\_confession/);
+});
+
+test('/auditlog is closed to users without the permission', async (t) => {
+  const h = await startHarness(t, { users: [AUTHOR] });
+
+  await h.message(AUTHOR, '/auditlog');
+  assert.match(h.lastMessage(AUTHOR.id).text, /Access denied/);
+});
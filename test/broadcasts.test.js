@@ -0,0 +1,134 @@
+// Broadcast jobs: leases, throttling and the delivery report
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startHarness, lastAnswer } = require('./helpers');
+
+const USERS = [1, 2, 3, 4, 5].map(id => ({ id }));
+
+async function runningBroadcast(h, text) {
+  const job = await h.storage.repos.broadcasts.create({ text, createdBy: ADMIN.id, reportChatId: ADMIN.id });
+  await h.storage.repos.broadcasts.update(job.broadcastId, { status: 'running' });
+  return job.broadcastId;
+}
+
+// Broadcasts as recipients get them, not the sender's draft
+function deliveries(h, text) {
+  return h.callsTo('sendMessage').filter(call => (
+    call.payload.text?.startsWith('📢 *Broadcast Message*') && call.payload.text.includes(text)
+  ));
+}
+
+test('overlapping runs send each user the broadcast once', async (t) => {
+  const h = await startHarness(t, { users: USERS });
+
+  const broadcastId = await runningBroadcast(h, 'Library closes early today');
+
+  await Promise.all([
+    h.handler.runScheduledJobs(),
+    h.handler.runScheduledJobs()
+  ]);
+
+  const recipients = deliveries(h, 'Library closes early today').map(call => call.payload.chat_id);
+  assert.deepEqual(recipients.sort(), USERS.map(user => user.id));
+
+  const job = await h.storage.repos.broadcasts.get(broadcastId);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.counts.sent, USERS.length);
+  assert.equal(job.leaseUntil, null);
+});
+
+test('a job leased by another runner is left alone', async (t) => {
+  const h = await startHarness(t, { users: USERS });
+
+  const broadcastId = await runningBroadcast(h, 'Exam timetable is out');
+  assert.ok(await h.storage.repos.broadcasts.claim(broadcastId, 'other-runner', 60 * 1000));
+
+  await h.handler.runScheduledJobs();
+  assert.equal(deliveries(h, 'Exam timetable is out').length, 0);
+
+  await h.storage.repos.broadcasts.release(broadcastId, 'other-runner');
+  await h.handler.runScheduledJobs();
+  assert.equal(deliveries(h, 'Exam timetable is out').length, USERS.length);
+});
+
+test('a scheduled job starts once it is due', async (t) => {
+  const h = await startHarness(t, { users: USERS });
+
+  const job = await h.storage.repos.broadcasts.create({ text: 'Graduation photos', createdBy: ADMIN.id, reportChatId: ADMIN.id });
+  await h.storage.repos.broadcasts.update(job.broadcastId, {
+    status: 'scheduled',
+    scheduledFor: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+  });
+
+  await h.handler.runScheduledJobs();
+  assert.equal((await h.storage.repos.broadcasts.get(job.broadcastId)).status, 'scheduled');
+
+  await h.storage.repos.broadcasts.update(job.broadcastId, { scheduledFor: new Date(Date.now() - 1000).toISOString() });
+  await h.handler.runScheduledJobs();
+  assert.equal((await h.storage.repos.broadcasts.get(job.broadcastId)).status, 'completed');
+  assert.equal(deliveries(h, 'Graduation photos').length, USERS.length);
+});
+
+test('the draft counts its audience once per segment', async (t) => {
+  const h = await startHarness(t, { users: [...USERS, ADMIN] });
+
+  let scans = 0;
+  const { users } = h.storage.repos;
+  const listActiveAfter = users.listActiveAfter;
+  users.listActiveAfter = (...args) => {
+    scans++;
+    return listActiveAfter.apply(users, args);
+  };
+
+  await h.callback(ADMIN, 'broadcast_message');
+  await h.message(ADMIN, 'Registration closes on Friday');
+  assert.match(h.lastMessage(ADMIN.id).text, /All active users \(6 user\(s\)\)/);
+  const afterFirstCount = scans;
+
+  const [broadcastId] = h.lastMessage(ADMIN.id).reply_markup.inline_keyboard[0][0].callback_data.match(/[^_]+$/);
+  await h.callback(ADMIN, `bcast_open_${broadcastId}`);
+  await h.callback(ADMIN, `bcast_preview_${broadcastId}`);
+  await h.callback(ADMIN, `bcast_open_${broadcastId}`);
+  assert.equal(scans, afterFirstCount);
+
+  await h.callback(ADMIN, `bcast_seg_reputation_${broadcastId}`);
+  await h.message(ADMIN, '10+');
+  assert.ok(scans > afterFirstCount);
+  assert.match(h.lastMessage(ADMIN.id).text, /Reputation 10\+ \(\d+ user\(s\)\)/);
+});
+
+test('sending a draft leaves delivery to the cron run', async (t) => {
+  const h = await startHarness(t, { users: [...USERS, ADMIN] });
+
+  await h.callback(ADMIN, 'broadcast_message');
+  await h.message(ADMIN, 'Welcome week starts Monday');
+  const [broadcastId] = h.lastMessage(ADMIN.id).reply_markup.inline_keyboard[0][0].callback_data.match(/[^_]+$/);
+
+  await h.callback(ADMIN, `bcast_send_${broadcastId}`);
+  const report = h.lastMessage(ADMIN.id);
+  assert.match(report.text, /starting within a few minutes/);
+  assert.equal(deliveries(h, 'Welcome week starts Monday').length, 0);
+
+  await h.handler.runScheduledJobs();
+  assert.equal(deliveries(h, 'Welcome week starts Monday').length, USERS.length + 1);
+  assert.match(report.text, /Broadcast finished/);
+  assert.match(report.text, /Sent: 6/);
+});
+
+test('a stopped broadcast sends nothing more and is audited', async (t) => {
+  const h = await startHarness(t, { users: [...USERS, ADMIN] });
+  const broadcastId = await runningBroadcast(h, 'Exam hall changed');
+
+  await h.callback(USERS[0], `bcast_stop_${broadcastId}`);
+  assert.equal(lastAnswer(h).text, '❌ Access denied');
+
+  await h.callback(ADMIN, `bcast_stop_${broadcastId}`);
+  assert.equal(lastAnswer(h).text, '⏹ Broadcast stopped');
+  await h.handler.runScheduledJobs();
+  assert.equal((await h.storage.repos.broadcasts.get(broadcastId)).status, 'cancelled');
+  assert.equal(deliveries(h, 'Exam hall changed').length, 0);
+
+  const [entry] = await h.storage.repos.auditLog.list({ action: 'stop_broadcast' });
+  assert.equal(entry.targetId, broadcastId);
+  assert.deepEqual(entry.before, { status: 'running' });
+});
@@ -0,0 +1,53 @@
+// The comment count on the channel post's button
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { apiError } = require('../lib/harness');
+const {
+  ADMIN, CHANNEL_ID, AUTHOR, READER, OTHER_READER,
+  startHarness, buttons, publishConfession, addComment
+} = require('./helpers');
+
+function commentsButton(h) {
+  return buttons(h.lastMessage(CHANNEL_ID)).find(button => button.url).text;
+}
+
+test('comments update the channel post at most once per interval', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER, OTHER_READER] });
+
+  const confessionId = await publishConfession(h, AUTHOR, 'I learned more from YouTube than from lectures');
+  assert.equal(commentsButton(h), '👁️‍🗨️ View/Add Comments (0)');
+
+  await addComment(h, READER, confessionId, 'Honestly same');
+  assert.equal(commentsButton(h), '👁️‍🗨️ View/Add Comments (1)');
+  const edits = h.callsTo('editMessageReplyMarkup', CHANNEL_ID).length;
+
+  // Too soon for another edit: the post is only marked as behind
+  await addComment(h, OTHER_READER, confessionId, 'Depends on the lecturer');
+  assert.equal(h.callsTo('editMessageReplyMarkup', CHANNEL_ID).length, edits);
+  assert.equal(commentsButton(h), '👁️‍🗨️ View/Add Comments (1)');
+  assert.equal((await h.storage.repos.confessions.get(confessionId)).channelCounterPending, true);
+
+  t.mock.timers.tick(31 * 1000);
+  await h.handler.runScheduledJobs();
+
+  assert.equal(commentsButton(h), '👁️‍🗨️ View/Add Comments (2)');
+  assert.equal((await h.storage.repos.confessions.get(confessionId)).channelCounterPending, false);
+});
+
+test('a failed edit is retried on a later flush', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER] });
+
+  const confessionId = await publishConfession(h, AUTHOR, 'The exam timetable changed three times');
+
+  h.stub('editMessageReplyMarkup', () => { throw apiError(429, 'Too Many Requests: retry after 5'); });
+  await addComment(h, READER, confessionId, 'Four times for my department');
+  assert.equal((await h.storage.repos.confessions.get(confessionId)).channelCounterPending, true);
+  h.unstub('editMessageReplyMarkup');
+
+  t.mock.timers.tick(31 * 1000);
+  await h.handler.runScheduledJobs();
+
+  assert.equal(commentsButton(h), '👁️‍🗨️ View/Add Comments (1)');
+});
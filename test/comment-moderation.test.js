@@ -0,0 +1,109 @@
+// Comment reports, the moderators' queue and the author's edit window
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ADMIN, AUTHOR, SECOND_AUTHOR, THIRD_AUTHOR, READER, OTHER_READER,
+  startHarness, publishConfession, addComment, lastAnswer
+} = require('./helpers');
+
+const EVERYONE = [ADMIN, AUTHOR, SECOND_AUTHOR, THIRD_AUTHOR, READER, OTHER_READER];
+
+test('three reports hide a comment until a moderator restores it', async (t) => {
+  const h = await startHarness(t, { users: EVERYONE });
+  const { repos } = h.storage;
+
+  const confessionId = await publishConfession(h, AUTHOR, 'I fell asleep in my own presentation');
+  await addComment(h, READER, confessionId, 'Everyone in your class is an idiot');
+
+  await h.callback(OTHER_READER, `cmt_report_${confessionId}_c1`);
+  assert.match(lastAnswer(h).text, /Reported/);
+  await h.callback(OTHER_READER, `cmt_report_${confessionId}_c1`);
+  assert.equal(lastAnswer(h).text, 'You already reported this comment');
+  await h.callback(READER, `cmt_report_${confessionId}_c1`);
+  assert.equal(lastAnswer(h).text, "You can't report your own comment");
+
+  await h.callback(SECOND_AUTHOR, `cmt_report_${confessionId}_c1`);
+  assert.equal((await repos.comments.get(confessionId, 'c1')).status, 'visible');
+  await h.callback(THIRD_AUTHOR, `cmt_report_${confessionId}_c1`);
+
+  const hidden = await repos.comments.get(confessionId, 'c1');
+  assert.equal(hidden.status, 'hidden');
+  assert.equal(hidden.hiddenBy, 'reports');
+  assert.ok(h.messages(ADMIN.id).some(message => /Comment Auto-Hidden/.test(message.text)));
+
+  await h.callback(OTHER_READER, `cmt_view_${confessionId}_c1_0`);
+  assert.match(h.lastMessage(OTHER_READER.id).text, /Hidden pending review/);
+  assert.doesNotMatch(h.lastMessage(OTHER_READER.id).text, /idiot/);
+
+  await h.callback(ADMIN, 'cmt_reports_0');
+  assert.match(h.lastMessage(ADMIN.id).text, /Comment #1 · 3 report\(s\) · 🙈 hidden/);
+
+  await h.callback(ADMIN, `cmt_mod_unhide_${confessionId}_c1`);
+  const restored = await repos.comments.get(confessionId, 'c1');
+  assert.equal(restored.status, 'visible');
+  assert.equal(restored.reportCount, 0);
+  const report = await repos.comments.getReport(confessionId, 'c1');
+  assert.equal(report.status, 'resolved');
+  assert.equal(report.resolution, 'unhide');
+
+  await h.callback(ADMIN, 'cmt_reports_0');
+  assert.match(h.lastMessage(ADMIN.id).text, /No open reports/);
+});
+
+test('moderators dismiss reports, hide and delete comments', async (t) => {
+  const h = await startHarness(t, { users: EVERYONE });
+  const { repos } = h.storage;
+
+  const confessionId = await publishConfession(h, AUTHOR, 'I still do not know how to use the printer');
+  await addComment(h, READER, confessionId, 'Ask the guy with the red hat');
+  await h.callback(OTHER_READER, `cmt_report_${confessionId}_c1`);
+
+  await h.callback(READER, `cmt_mod_hide_${confessionId}_c1`);
+  assert.equal(lastAnswer(h).text, '❌ Access denied');
+
+  await h.callback(ADMIN, `cmt_mod_dismiss_${confessionId}_c1`);
+  assert.equal((await repos.comments.get(confessionId, 'c1')).reportCount, 0);
+  assert.equal((await repos.comments.getReport(confessionId, 'c1')).resolution, 'dismiss');
+
+  await h.callback(ADMIN, `cmt_mod_hide_${confessionId}_c1`);
+  const hidden = await repos.comments.get(confessionId, 'c1');
+  assert.equal(hidden.status, 'hidden');
+  assert.equal(hidden.hiddenBy.id, ADMIN.id.toString());
+
+  await h.callback(ADMIN, `cmt_mod_delete_${confessionId}_c1`);
+  const deleted = await repos.comments.get(confessionId, 'c1');
+  assert.equal(deleted.status, 'deleted');
+  assert.equal(deleted.text, '');
+  assert.equal((await repos.confessions.get(confessionId)).totalComments, 0);
+
+  await h.callback(ADMIN, `cmt_mod_delete_${confessionId}_c1`);
+  assert.equal(lastAnswer(h).text, '❌ Comment not found');
+
+  const actions = (await h.storage.db.collection('audit_log').get()).docs.map(doc => doc.data().action);
+  assert.deepEqual(actions.filter(action => /comment|reports/.test(action)).sort(),
+    ['delete_comment', 'dismiss_reports', 'hide_comment']);
+});
+
+test('authors can edit a comment only within the edit window', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER, OTHER_READER] });
+  const { repos } = h.storage;
+
+  const confessionId = await publishConfession(h, AUTHOR, 'I have a favourite stall in the library bathroom');
+  await addComment(h, READER, confessionId, 'Thrid floor one?');
+
+  await h.callback(OTHER_READER, `cmt_edit_${confessionId}_c1`);
+  assert.match(lastAnswer(h).text, /only be edited by their author within 5 minutes/);
+
+  await h.callback(READER, `cmt_edit_${confessionId}_c1`);
+  await h.message(READER, 'Third floor one?');
+  assert.ok(h.messages(READER.id).some(message => message.text === '✅ Comment updated!'));
+  const edited = await repos.comments.get(confessionId, 'c1');
+  assert.equal(edited.text, 'Third floor one?');
+  assert.ok(edited.editedAt);
+
+  t.mock.timers.tick(5 * 60 * 1000 + 1000);
+  await h.callback(READER, `cmt_edit_${confessionId}_c1`);
+  assert.match(lastAnswer(h).text, /only be edited by their author within 5 minutes/);
+  assert.equal((await repos.comments.get(confessionId, 'c1')).text, 'Third floor one?');
+});
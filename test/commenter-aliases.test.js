@@ -0,0 +1,56 @@
+// Per-confession pseudonyms for commenters
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ADMIN, AUTHOR, SECOND_AUTHOR, READER, OTHER_READER,
+  startHarness, publishConfession, addComment
+} = require('./helpers');
+
+test('a commenter keeps one alias per confession and the author is shown as OP', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER, OTHER_READER] });
+  const { repos } = h.storage;
+
+  const confessionId = await publishConfession(h, AUTHOR, 'I still have my high school calculator');
+
+  await addComment(h, READER, confessionId, 'Same, it still works');
+  await addComment(h, OTHER_READER, confessionId, 'Mine got stolen in first year');
+  await addComment(h, READER, confessionId, 'Guard it with your life');
+  await addComment(h, AUTHOR, confessionId, 'It has my name engraved on it');
+
+  const [first, second, third, fourth] = await Promise.all(
+    ['c1', 'c2', 'c3', 'c4'].map(id => repos.comments.get(confessionId, id))
+  );
+  assert.equal(first.authorNumber, 1);
+  assert.equal(second.authorNumber, 2);
+  assert.equal(third.authorNumber, 1);
+  assert.equal(fourth.isOP, true);
+
+  await h.message(OTHER_READER, `/start comments_${confessionId}`);
+  const page = h.lastMessage(OTHER_READER.id).text;
+  const aliases = page.match(/_Anon \w+ #\d+_/g);
+  assert.equal(aliases.length, 3);
+  assert.equal(aliases[0], aliases[2]);
+  assert.notEqual(aliases[0], aliases[1]);
+  assert.match(page, /🎤 \*OP\*/);
+  assert.doesNotMatch(page, new RegExp(`ID: ${READER.id}`));
+
+  // Staff allowed to see identities get the real IDs next to the aliases
+  await h.message(ADMIN, `/start comments_${confessionId}`);
+  assert.match(h.lastMessage(ADMIN.id).text, new RegExp(`_Anon \\w+ #1_ \\(ID: ${READER.id}\\)`));
+});
+
+test('commenter numbers start again on every confession', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, SECOND_AUTHOR, READER, OTHER_READER] });
+  const { repos } = h.storage;
+
+  const firstId = await publishConfession(h, AUTHOR, 'The library wifi only works on the third floor');
+  const secondId = await publishConfession(h, SECOND_AUTHOR, 'The cafeteria coffee is secretly good');
+
+  await addComment(h, READER, firstId, 'Fourth floor too');
+  await addComment(h, OTHER_READER, secondId, 'It really is');
+  await addComment(h, READER, secondId, 'Hard disagree');
+
+  assert.equal((await repos.comments.get(firstId, 'c1')).authorNumber, 1);
+  assert.equal((await repos.comments.get(secondId, 'c1')).authorNumber, 1);
+  assert.equal((await repos.comments.get(secondId, 'c2')).authorNumber, 2);
+});
@@ -0,0 +1,92 @@
+// Threaded comments and the sections they live in
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, AUTHOR, READER, OTHER_READER, startHarness, publishConfession, addComment } = require('./helpers');
+
+test('a long legacy comment array is migrated in several batches', async (t) => {
+  const h = await startHarness(t, { users: [READER] });
+  const { db, repos } = h.storage;
+  const confessionId = 'confess_7_1700000000000';
+
+  await db.collection('confessions').doc(confessionId).set({
+    confessionId: confessionId,
+    userId: 7,
+    text: 'An old post from before threaded comments',
+    status: 'approved',
+    confessionNumber: 1
+  });
+  // One commenter per comment: two writes each, far past one batch
+  const legacy = Array.from({ length: 300 }, (_, i) => ({
+    userId: 100 + i,
+    userName: `User ${i}`,
+    text: `Legacy comment ${i + 1}`,
+    createdAt: new Date(1700000000000 + i * 1000).toISOString()
+  }));
+  await db.collection('comments').doc(confessionId).set({
+    confessionId: confessionId,
+    confessionNumber: 1,
+    comments: legacy
+  });
+
+  await h.message(READER, `/start comments_${confessionId}`);
+
+  const section = await repos.comments.getSection(confessionId);
+  assert.equal(section.comments, undefined);
+  assert.equal(section.totalComments, 300);
+  assert.equal(section.lastCommenterNumber, 300);
+  assert.equal(await repos.comments.countTopLevel(confessionId), 300);
+
+  const last = await repos.comments.get(confessionId, 'c300');
+  assert.equal(last.text, 'Legacy comment 300');
+  assert.equal(last.authorNumber, 300);
+});
+
+test('a comment sent while legacy comments are migrated doesn\'t overwrite them', async (t) => {
+  const h = await startHarness(t);
+  const { db, repos } = h.storage;
+  const confessionId = 'confess_7_1700000000000';
+
+  await db.collection('confessions').doc(confessionId).set({ confessionId, userId: 7, status: 'approved' });
+  await db.collection('comments').doc(confessionId).set({
+    confessionId: confessionId,
+    comments: [1, 2, 3].map(i => ({ userId: 100 + i, text: `Legacy comment ${i}` }))
+  });
+
+  const [, comment] = await Promise.all([
+    repos.comments.migrateLegacy(confessionId),
+    repos.comments.add(confessionId, { text: 'Sent mid-migration', userId: 50 }),
+    repos.comments.migrateLegacy(confessionId)
+  ]);
+  assert.equal(comment, null);
+  assert.equal((await repos.comments.get(confessionId, 'c1')).text, 'Legacy comment 1');
+
+  const next = await repos.comments.add(confessionId, { text: 'Sent again', userId: 50 });
+  assert.equal(next.commentId, 'c4');
+  assert.equal(next.authorNumber, 4);
+
+  const section = await repos.comments.getSection(confessionId);
+  assert.equal(section.migratingSince, undefined);
+  assert.equal(section.totalComments, 4);
+});
+
+test('deleting a reply takes it off the parent\'s reply count', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER, OTHER_READER] });
+  const { repos } = h.storage;
+
+  const confessionId = await publishConfession(h, AUTHOR, 'The night bus is always twenty minutes late');
+  await addComment(h, READER, confessionId, 'Every single night');
+
+  await h.callback(OTHER_READER, `cmt_reply_${confessionId}_c1`);
+  await h.message(OTHER_READER, 'Not on Sundays though');
+  assert.equal((await repos.comments.get(confessionId, 'c1')).replyCount, 1);
+
+  await h.callback(OTHER_READER, `cmt_del_${confessionId}_c2`);
+  assert.equal((await repos.comments.get(confessionId, 'c1')).replyCount, 0);
+  assert.equal((await repos.confessions.get(confessionId)).totalComments, 1);
+
+  // The deleted reply keeps its place in the thread
+  await h.callback(READER, `cmt_view_${confessionId}_c1_0`);
+  const thread = h.lastMessage(READER.id).text;
+  assert.match(thread, /Replies\* \(0\)/);
+  assert.match(thread, /Comment deleted/);
+});
@@ -0,0 +1,34 @@
+// End-to-end: a confession from submission to a comment on its channel post
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ADMIN, CHANNEL_ID, AUTHOR, READER,
+  startHarness, buttons, submitConfession, approveConfession, addComment
+} = require('./helpers');
+
+test('submit, approve, post to the channel and comment', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER] });
+
+  const confessionId = await submitConfession(h, AUTHOR, 'I still get lost on the way to the library #campus');
+  assert.ok(h.messages(AUTHOR.id).some(message => /submitted/i.test(message.text)));
+
+  const review = h.lastMessage(ADMIN.id);
+  assert.match(review.text, /I still get lost on the way to the library/);
+  assert.ok(buttons(review).some(button => button.callback_data === `approve_${confessionId}`));
+
+  const confession = await approveConfession(h, confessionId);
+  assert.equal(confession.status, 'approved');
+  assert.equal(confession.confessionNumber, 1);
+
+  const post = h.lastMessage(CHANNEL_ID);
+  assert.match(post.text, /^#1\n\nI still get lost on the way to the library #campus/);
+  assert.ok(buttons(post).some(button => button.url?.endsWith(`start=comments_${confessionId}`)));
+  assert.ok(h.messages(AUTHOR.id).some(message => /approved/i.test(message.text) && message.text.includes('#1')));
+
+  await addComment(h, READER, confessionId, 'Same here, the signs do not help');
+
+  const comments = await h.storage.repos.comments.list(confessionId, { limit: 10 });
+  assert.equal(comments.length, 1);
+  assert.equal(comments[0].text, 'Same here, the signs do not help');
+  assert.equal((await h.storage.repos.confessions.get(confessionId)).totalComments, 1);
+});
@@ -0,0 +1,53 @@
+// The content filter screening confessions before review
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, AUTHOR, SECOND_AUTHOR, startHarness, submitConfession } = require('./helpers');
+
+test('a banned word rejects the confession and keeps the draft', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+
+  await h.message(ADMIN, '/filter ban cheating');
+  assert.match(h.lastMessage(ADMIN.id).text, /"cheating" added to the banned words/);
+
+  await h.message(AUTHOR, '📝 Send Confession');
+  await h.message(AUTHOR, 'I keep cheating on every midterm');
+  await h.callback(AUTHOR, 'draft_submit');
+
+  assert.match(h.lastMessage(AUTHOR.id).text, /blocked by the content filter \(banned word \(reject\)\)/);
+  assert.ok(await h.storage.repos.drafts.get(AUTHOR.id));
+
+  const confessions = await h.storage.db.collection('confessions').get();
+  assert.deepEqual(confessions.docs.map(doc => doc.data().status), ['rejected']);
+  assert.ok(!h.messages(ADMIN.id).some(message => /New Confession/.test(message.text || '')));
+});
+
+test('contact details are masked and links are flagged for the reviewer', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, SECOND_AUTHOR] });
+
+  const masked = await submitConfession(h, AUTHOR, 'Call me at +251 911 234 567 or mail crush@example.com');
+  assert.match(h.messages(AUTHOR.id).map(message => message.text).join('\n'), /personal details were hidden/);
+
+  const confession = await h.storage.repos.confessions.get(masked);
+  assert.equal(confession.text, 'Call me at [phone number hidden] or mail [email address hidden]');
+  assert.equal(confession.moderation.action, 'mask');
+
+  const flagged = await submitConfession(h, SECOND_AUTHOR, 'Everyone should read www.example.org before finals');
+  assert.equal((await h.storage.repos.confessions.get(flagged)).moderation.action, 'flag');
+  assert.match(h.lastMessage(ADMIN.id).text, /⚠️ \*Flagged\*: link \(flag\)/);
+});
+
+test('rules that match empty text or can backtrack badly are refused', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN] });
+
+  await h.message(ADMIN, '/filter rule reject /a*/');
+  assert.match(h.lastMessage(ADMIN.id).text, /Invalid pattern: the pattern matches empty text/);
+  await h.message(ADMIN, '/filter rule reject /(a+)+b/');
+  assert.match(h.lastMessage(ADMIN.id).text, /Invalid pattern: repeated groups can't contain repeats/);
+  await h.message(ADMIN, `/filter rule reject /${'a'.repeat(201)}/`);
+  assert.match(h.lastMessage(ADMIN.id).text, /Invalid pattern: patterns can be at most 200 characters/);
+
+  await h.message(ADMIN, '/filter rule flag /cheat(ing)?/i exam talk');
+  assert.match(h.lastMessage(ADMIN.id).text, /Rule r1 added/);
+  const { rules } = await h.storage.repos.moderation.getSettings();
+  assert.deepEqual(rules.map(rule => rule.pattern), ['cheat(ing)?']);
+});
@@ -0,0 +1,56 @@
+// Confession drafts: preview, edit, hashtags, resume and discard
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, AUTHOR, startHarness, callbackData } = require('./helpers');
+
+test('a draft is edited, tagged and resumed before it reaches the admins', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+
+  await h.message(AUTHOR, '📝 Send Confession');
+  await h.message(AUTHOR, 'I skipped the lab and nobdoy noticed');
+  const preview = h.lastMessage(AUTHOR.id);
+  assert.match(preview.text, /Confession Preview/);
+  assert.deepEqual(callbackData(preview), ['draft_edit', 'draft_hashtags', 'draft_submit', 'draft_discard']);
+  assert.equal(h.messages(ADMIN.id).filter(message => /approve/.test(JSON.stringify(message.reply_markup))).length, 0);
+
+  await h.callback(AUTHOR, 'draft_edit');
+  await h.message(AUTHOR, 'I skipped the lab and nobody noticed');
+  await h.callback(AUTHOR, 'draft_hashtags');
+  await h.message(AUTHOR, 'study, #confession');
+  assert.match(h.lastMessage(AUTHOR.id).text, /Hashtags: #study #confession/);
+
+  // Coming back later shows the saved draft
+  await h.message(AUTHOR, '📝 Send Confession');
+  assert.match(h.lastMessage(AUTHOR.id).text, /unfinished draft/);
+  assert.match(h.lastMessage(AUTHOR.id).text, /nobody noticed #study #confession/);
+
+  await h.callback(AUTHOR, 'draft_submit');
+  const [confession] = (await h.storage.db.collection('confessions').get()).docs.map(doc => doc.data());
+  assert.equal(confession.text, 'I skipped the lab and nobody noticed #study #confession');
+  assert.deepEqual(confession.hashtags, ['#study', '#confession']);
+  assert.equal(await h.storage.repos.drafts.get(AUTHOR.id), null);
+});
+
+test('a discarded draft is gone', async (t) => {
+  const h = await startHarness(t, { users: [AUTHOR] });
+
+  await h.message(AUTHOR, '📝 Send Confession');
+  await h.message(AUTHOR, 'Never mind, I changed my mind');
+  await h.callback(AUTHOR, 'draft_discard');
+
+  assert.match(h.lastMessage(AUTHOR.id).text, /Draft discarded/);
+  assert.equal(await h.storage.repos.drafts.get(AUTHOR.id), null);
+  assert.equal((await h.storage.db.collection('confessions').count().get()).data().count, 0);
+});
+
+test('a double tap on Submit sends the draft once', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+
+  await h.message(AUTHOR, '📝 Send Confession');
+  await h.message(AUTHOR, 'I tapped twice because the wifi was slow');
+  await Promise.all([h.callback(AUTHOR, 'draft_submit'), h.callback(AUTHOR, 'draft_submit')]);
+
+  assert.equal((await h.storage.db.collection('confessions').count().get()).data().count, 1);
+  assert.equal(h.messages(ADMIN.id).filter(message => /approve_/.test(JSON.stringify(message.reply_markup))).length, 1);
+  assert.ok(h.callsTo('answerCallbackQuery').some(call => call.payload.text === '❌ Draft not found'));
+});
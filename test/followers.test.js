@@ -0,0 +1,74 @@
+// Follow notifications, new post alerts and the /feed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, CHANNEL_ID, AUTHOR, READER, startHarness, publishConfession } = require('./helpers');
+
+function texts(h, chatId, pattern) {
+  return h.messages(chatId).map(message => message.text || '').filter(text => pattern.test(text));
+}
+
+// Followers only ever see the pseudonym chosen in the bot
+async function setUsername(h, user, username) {
+  await h.callback(user, 'set_username');
+  await h.message(user, username);
+}
+
+test('being followed is announced once', async (t) => {
+  const h = await startHarness(t, { users: [AUTHOR, READER] });
+  await setUsername(h, READER, 'reader');
+
+  await h.callback(READER, `follow_${AUTHOR.id}`);
+  assert.deepEqual(texts(h, AUTHOR.id, /New follower/), ['👥 *New follower!*\n\n@reader started following you.']);
+
+  await h.callback(READER, `unfollow_${AUTHOR.id}`);
+  await h.callback(READER, `follow_${AUTHOR.id}`);
+  assert.equal(texts(h, AUTHOR.id, /New follower/).length, 2);
+
+  // Pressing follow again while following doesn't notify
+  await h.callback(READER, `follow_${AUTHOR.id}`);
+  assert.equal(texts(h, AUTHOR.id, /New follower/).length, 2);
+});
+
+test('followers of an anonymous author only get a delayed alert that names no post', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER] });
+
+  await h.callback(READER, `follow_${AUTHOR.id}`);
+  await h.callback(READER, 'feed_alerts');
+  assert.match(h.lastMessage(READER.id).text, /New post alerts: on/);
+
+  // Its id is in the channel post's links, so it must not name the author
+  const confessionId = await publishConfession(h, AUTHOR, 'I pretend to take notes in every lecture');
+  assert.match(confessionId, /^[A-Za-z0-9]{20}$/);
+  assert.ok(JSON.stringify(h.lastMessage(CHANNEL_ID).reply_markup).includes(confessionId));
+
+  await h.handler.runScheduledJobs();
+  assert.equal(texts(h, READER.id, /^📰.*posted/).length, 0);
+
+  t.mock.timers.tick(6 * 60 * 60 * 1000 + 60 * 1000);
+  await h.handler.runScheduledJobs();
+  assert.deepEqual(texts(h, READER.id, /^📰.*posted/), ['📰 Someone you follow posted a new confession. Check the channel!']);
+
+  await h.message(READER, '/feed');
+  assert.match(h.lastMessage(READER.id).text, /Following 1 · 0 share their posts/);
+  assert.doesNotMatch(h.lastMessage(READER.id).text, /#1/);
+});
+
+test('an author who shares posts appears in the feed and is named in alerts', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER] });
+
+  await setUsername(h, AUTHOR, 'author');
+
+  await h.callback(READER, `follow_${AUTHOR.id}`);
+  await h.callback(READER, 'feed_alerts');
+  await h.callback(AUTHOR, 'feed_share');
+  assert.match(h.lastMessage(AUTHOR.id).text, /Your posts in followers' feeds: shown/);
+
+  await publishConfession(h, AUTHOR, 'I named my plant after the dean');
+  await h.handler.runScheduledJobs();
+  assert.deepEqual(texts(h, READER.id, /^📰.*posted/), ['📰 *@author posted Confession #1*']);
+
+  await h.message(READER, '/feed');
+  const feed = h.lastMessage(READER.id).text;
+  assert.match(feed, /👤 @author\n\*#1\* I named my plant after the dean/);
+});
@@ -0,0 +1,82 @@
+// Hashtag pages, their counts and subscriptions
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ADMIN, AUTHOR, SECOND_AUTHOR, THIRD_AUTHOR, READER,
+  startHarness, callbackData, submitTagged, approveConfession, lastAnswer
+} = require('./helpers');
+
+const AUTHORS = [AUTHOR, SECOND_AUTHOR, THIRD_AUTHOR];
+
+test('a hashtag page lists its confessions and counts subscribers', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, READER, ...AUTHORS] });
+
+  await approveConfession(h, await submitTagged(h, AUTHORS[0], 'Group chats at 2am are a war zone', 'dorm'));
+  await approveConfession(h, await submitTagged(h, AUTHORS[1], 'My roommate labels his eggs', '#Dorm, food'));
+
+  await h.callback(READER, 'hashtags');
+  const overview = h.lastMessage(READER.id);
+  assert.match(overview.text, /1\. #dorm \(2 confessions\)/);
+  assert.ok(callbackData(overview).includes('htag_dorm_0'));
+
+  await h.callback(READER, 'htag_dorm_0');
+  let page = h.lastMessage(READER.id);
+  assert.match(page.text, /2 confession\(s\) · 0 subscriber\(s\)/);
+  assert.ok(callbackData(page).includes('hsub_dorm'));
+
+  await h.callback(READER, 'hsub_dorm');
+  assert.equal(lastAnswer(h).text, '🔔 You\'ll get new #dorm confessions');
+  page = h.lastMessage(READER.id);
+  assert.match(page.text, /2 confession\(s\) · 1 subscriber\(s\)/);
+  assert.ok(callbackData(page).includes('hunsub_dorm'));
+
+  await h.callback(READER, 'hunsub_dorm');
+  assert.match(h.lastMessage(READER.id).text, /0 subscriber\(s\)/);
+});
+
+test('subscribers hear about new posts under the tag, but never about their own', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, READER, ...AUTHORS] });
+
+  await h.callback(READER, 'hsub_exam');
+  await h.callback(AUTHORS[0], 'hsub_exam');
+
+  await approveConfession(h, await submitTagged(h, AUTHORS[0], 'I studied the wrong chapter', 'exam'));
+  const alert = h.lastMessage(READER.id).text;
+  assert.match(alert, /New #exam confession: #1/);
+  assert.match(alert, /wrong chapter/);
+  assert.ok(!h.messages(AUTHORS[0].id).some(message => /New #exam confession/.test(message.text || '')));
+
+  await approveConfession(h, await submitTagged(h, AUTHORS[1], 'The canteen ran out of injera again', 'food'));
+  assert.equal(h.messages(READER.id).filter(message => /New #\w+ confession/.test(message.text || '')).length, 1);
+});
+
+test('words too long for a tag button are not hashtags', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, READER, AUTHOR] });
+  const long = 'a'.repeat(60);
+
+  // Stored before tags were capped; it has no button but doesn't break the list
+  await h.storage.db.collection('hashtags').doc(long).set({ tag: `#${long}`, count: 3 });
+
+  await h.message(AUTHOR, '📝 Send Confession');
+  await h.message(AUTHOR, `Nobody reads the syllabus #${long} #syllabus`);
+  assert.match(h.lastMessage(AUTHOR.id).text, /Hashtags: #syllabus\n/);
+
+  await h.callback(AUTHOR, 'draft_hashtags');
+  await h.message(AUTHOR, `#${'b'.repeat(33)}`);
+  assert.match(h.lastMessage(AUTHOR.id).text, /at most 32 characters/);
+  await h.message(AUTHOR, `#${'b'.repeat(32)}`);
+  await h.callback(AUTHOR, 'draft_submit');
+
+  const [confession] = (await h.storage.db.collection('confessions').get()).docs.map(doc => doc.data());
+  assert.deepEqual(confession.hashtags, ['#syllabus', `#${'b'.repeat(32)}`]);
+  await approveConfession(h, confession.confessionId);
+
+  await h.callback(READER, 'hashtags');
+  const overview = h.lastMessage(READER.id);
+  assert.match(overview.text, new RegExp(`#${long} \\(3 confessions\\)`));
+  assert.deepEqual(callbackData(overview).filter(data => data.startsWith('htag_')).sort(),
+    [`htag_${'b'.repeat(32)}_0`, 'htag_syllabus_0']);
+
+  await h.callback(READER, `htag_${'b'.repeat(32)}_0`);
+  assert.ok(callbackData(h.lastMessage(READER.id)).includes(`hsub_${'b'.repeat(32)}`));
+});
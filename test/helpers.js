@@ -0,0 +1,102 @@
+// Shared steps for the harness scenarios in this directory
+const { createHarness } = require('../lib/harness');
+
+const ADMIN = { id: 1000, first_name: 'Admin', username: 'admin' };
+const CHANNEL_ID = '-1001234567890';
+
+// Members shared by the scenarios; a file only defines users of its own for
+// special roles. Each confession needs its own author (submit cooldown)
+const AUTHOR = { id: 42, first_name: 'Abebe' };
+const SECOND_AUTHOR = { id: 43, first_name: 'Hana' };
+const THIRD_AUTHOR = { id: 46, first_name: 'Kebede' };
+const READER = { id: 44, first_name: 'Sara' };
+const OTHER_READER = { id: 45, first_name: 'Dawit' };
+
+// A fresh bot for one test; closed again when the test ends. `users` have
+// sent /start, in order, when it returns. The posting window is opened all
+// day so approvals publish straight away
+async function startHarness(t, { users = [], ...options } = {}) {
+  const h = createHarness(options);
+  t.after(() => h.close());
+
+  await h.storage.repos.publishing.saveSettings({ windowStart: 0, windowEnd: 0, lastPublishedAt: null });
+  for (const user of users) await h.message(user, '/start');
+  return h;
+}
+
+function buttons(message) {
+  return (message?.reply_markup?.inline_keyboard || []).flat();
+}
+
+function callbackData(message) {
+  return buttons(message).map(button => button.callback_data).filter(Boolean);
+}
+
+// Submit a confession through the draft flow; returns its id
+async function submitConfession(h, user, text) {
+  await h.message(user, '📝 Send Confession');
+  await h.message(user, text);
+  await h.callback(user, 'draft_submit');
+  return latestReviewId(h);
+}
+
+// The same, with hashtags (e.g. 'exam, #finals') added to the draft first
+async function submitTagged(h, user, text, hashtags) {
+  await h.message(user, '📝 Send Confession');
+  await h.message(user, text);
+  await h.callback(user, 'draft_hashtags');
+  await h.message(user, hashtags);
+  await h.callback(user, 'draft_submit');
+  return latestReviewId(h);
+}
+
+// The confession behind the newest review message sent to the admin
+function latestReviewId(h) {
+  const review = [...h.messages(ADMIN.id)].reverse()
+    .find(message => callbackData(message).some(data => data.startsWith('approve_')));
+  return callbackData(review).find(data => data.startsWith('approve_')).replace('approve_', '');
+}
+
+// Approve from the review message; the publish interval is reset first so
+// every approval in a scenario is posted at once
+async function approveConfession(h, confessionId) {
+  await h.storage.repos.publishing.saveSettings({ windowStart: 0, windowEnd: 0, lastPublishedAt: null });
+  await h.callback(ADMIN, `approve_${confessionId}`, { chatId: ADMIN.id });
+  return h.storage.repos.confessions.get(confessionId);
+}
+
+// Submit and approve; the confession is on the channel when this returns
+async function publishConfession(h, user, text) {
+  const confessionId = await submitConfession(h, user, text);
+  await approveConfession(h, confessionId);
+  return confessionId;
+}
+
+async function addComment(h, user, confessionId, text) {
+  await h.message(user, `/start comments_${confessionId}`);
+  await h.callback(user, `add_comment_${confessionId}`);
+  await h.message(user, text);
+}
+
+function lastAnswer(h) {
+  return h.callsTo('answerCallbackQuery').slice(-1)[0]?.payload;
+}
+
+module.exports = {
+  ADMIN,
+  CHANNEL_ID,
+  AUTHOR,
+  SECOND_AUTHOR,
+  THIRD_AUTHOR,
+  READER,
+  OTHER_READER,
+  startHarness,
+  buttons,
+  callbackData,
+  submitConfession,
+  submitTagged,
+  approveConfession,
+  publishConfession,
+  addComment,
+  lastAnswer
+};
@@ -0,0 +1,88 @@
+// The admin user list: paging, sorting, search and the user view
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startHarness, callbackData, publishConfession, addComment } = require('./helpers');
+
+const USERS = Array.from({ length: 10 }, (_, i) => ({ id: 100 + i }));
+
+function listedIds(message) {
+  return [...message.text.matchAll(/\(ID: (\d+)\)/g)].map(match => Number(match[1]));
+}
+
+test('the user list pages through everyone and sorts by reputation', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, ...USERS] });
+  const { repos } = h.storage;
+  for (const [i, user] of USERS.entries()) await repos.users.update(user.id, { reputation: i * 10 });
+
+  await h.callback(ADMIN, 'manage_users');
+  let list = h.lastMessage(ADMIN.id);
+  assert.match(list.text, /Manage Users\* \(11 · page 1\/2\)/);
+  assert.equal(listedIds(list).length, 8);
+  assert.ok(callbackData(list).includes('users_joined_1'));
+
+  await h.callback(ADMIN, 'users_joined_1');
+  list = h.lastMessage(ADMIN.id);
+  assert.match(list.text, /page 2\/2/);
+  assert.equal(listedIds(list).length, 3);
+  assert.ok(callbackData(list).includes('users_joined_0'));
+
+  await h.callback(ADMIN, 'users_reputation_0');
+  assert.deepEqual(listedIds(h.lastMessage(ADMIN.id)).slice(0, 3), [109, 108, 107]);
+});
+
+test('users can be found by username prefix or ID', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, ...USERS.slice(0, 3)] });
+  const { repos } = h.storage;
+  await repos.users.update(100, { username: 'abebe' });
+  await repos.users.update(101, { username: 'abel_k' });
+  await repos.users.update(102, { username: 'hana' });
+
+  await h.callback(ADMIN, 'users_search');
+  await h.message(ADMIN, '@abe');
+  assert.deepEqual(listedIds(h.lastMessage(ADMIN.id)).sort(), [100, 101]);
+
+  await h.callback(ADMIN, 'users_search');
+  await h.message(ADMIN, '102');
+  assert.deepEqual(listedIds(h.lastMessage(ADMIN.id)), [102]);
+
+  await h.callback(ADMIN, 'users_search');
+  await h.message(ADMIN, 'nobody');
+  assert.match(h.lastMessage(ADMIN.id).text, /No users found/);
+});
+
+test('the user view shows strikes and recent comments', async (t) => {
+  const [author, commenter] = USERS;
+  const h = await startHarness(t, { users: [ADMIN, author, commenter] });
+
+  const confessionId = await publishConfession(h, author, 'I clap when the plane lands on the campus shuttle');
+  await addComment(h, commenter, confessionId, 'You absolute legend');
+
+  await h.callback(ADMIN, `warn_user_${commenter.id}`);
+  await h.message(ADMIN, 'spam');
+
+  await h.callback(ADMIN, `view_user_${commenter.id}`);
+  const view = h.lastMessage(ADMIN.id);
+  assert.match(view.text, /⚠️ \*Strikes \(1\)\*\n• [^:]+: spam/);
+  assert.match(view.text, /💬 \*Recent Comments\*\n• #1, [^:]+: "You absolute legend"/);
+  assert.ok(callbackData(view).includes(`cmt_view_${confessionId}_c1_0`));
+});
+
+test('the user view only offers the actions the viewer\'s role allows', async (t) => {
+  const support = { id: 2000 };
+  const moderator = { id: 2001 };
+  const [member] = USERS;
+  const h = await startHarness(t, { users: [ADMIN, support, moderator, member] });
+  await h.message(ADMIN, `/grant ${support.id} support`);
+  await h.message(ADMIN, `/grant ${moderator.id} moderator`);
+
+  const actions = async (viewer) => {
+    await h.callback(viewer, `view_user_${member.id}`);
+    return callbackData(h.lastMessage(viewer.id))
+      .filter(data => /^(message|warn_user|sanction)_/.test(data))
+      .map(data => data.replace(`_${member.id}`, ''));
+  };
+
+  assert.deepEqual(await actions(support), ['message']);
+  assert.deepEqual(await actions(moderator), ['warn_user', 'sanction_menu_mute', 'sanction_menu_ban']);
+  assert.deepEqual(await actions(ADMIN), ['message', 'warn_user', 'sanction_menu_mute', 'sanction_menu_ban']);
+});
@@ -0,0 +1,45 @@
+// Media confessions through review to the channel
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, CHANNEL_ID, AUTHOR, startHarness, buttons, approveConfession } = require('./helpers');
+
+async function submitMedia(h, fields) {
+  await h.message(AUTHOR, '📝 Send Confession');
+  await h.media(AUTHOR, fields);
+  await h.callback(AUTHOR, 'draft_submit');
+
+  const [confession] = (await h.storage.db.collection('confessions').get()).docs.map(doc => doc.data());
+  return confession;
+}
+
+test('a photo with a caption is reviewed and posted as a photo', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+
+  const confession = await submitMedia(h, {
+    photo: [{ file_id: 'small-photo' }, { file_id: 'large-photo' }],
+    caption: 'Found this note in the library'
+  });
+  assert.deepEqual(confession.media, { type: 'photo', fileId: 'large-photo' });
+
+  const review = h.callsTo('sendPhoto', ADMIN.id).slice(-1)[0];
+  assert.equal(review.payload.photo, 'large-photo');
+  assert.match(review.payload.caption, /Found this note in the library/);
+
+  await approveConfession(h, confession.confessionId);
+  const post = h.callsTo('sendPhoto', CHANNEL_ID)[0];
+  assert.equal(post.payload.photo, 'large-photo');
+  assert.equal(post.payload.caption, '#1\n\nFound this note in the library');
+  assert.ok(buttons(h.lastMessage(CHANNEL_ID)).some(button => button.url?.includes(`comments_${confession.confessionId}`)));
+});
+
+test('a voice note without a caption is posted with just its number', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+
+  const confession = await submitMedia(h, { voice: { file_id: 'voice-note', duration: 12 } });
+  assert.deepEqual(confession.media, { type: 'voice', fileId: 'voice-note' });
+
+  await approveConfession(h, confession.confessionId);
+  const post = h.callsTo('sendVoice', CHANNEL_ID)[0];
+  assert.equal(post.payload.voice, 'voice-note');
+  assert.equal(post.payload.caption, '#1');
+});
@@ -0,0 +1,87 @@
+// Notification preferences: per-type toggles, quiet hours and the daily summary
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, AUTHOR, READER, startHarness, publishConfession, lastAnswer } = require('./helpers');
+
+const ENV = { TIMEZONE: 'UTC', NOTIFICATION_DIGEST_HOUR: '20' };
+const NOON = Date.UTC(2026, 0, 5, 12, 0);
+const HOUR = 60 * 60 * 1000;
+
+function approvalNotices(h) {
+  return h.messages(AUTHOR.id).filter(message => /was approved/.test(message.text || ''));
+}
+
+test('a notification type that is switched off is not sent', async (t) => {
+  const h = await startHarness(t, { env: ENV, users: [ADMIN, AUTHOR] });
+
+  await h.message(AUTHOR, '⚙️ Settings');
+  await h.callback(AUTHOR, 'notif_toggle_confessionApproved');
+  assert.equal(lastAnswer(h).text, 'Confession posted: off');
+  assert.match(JSON.stringify(h.lastMessage(AUTHOR.id).reply_markup), /❌ Confession posted/);
+
+  await publishConfession(h, AUTHOR, 'I have never been to the campus museum');
+  assert.equal(approvalNotices(h).length, 0);
+});
+
+test('notifications during quiet hours wait until they end', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOON });
+  const h = await startHarness(t, { env: ENV, users: [ADMIN, AUTHOR] });
+
+  await h.callback(AUTHOR, 'notif_quiet');
+  await h.message(AUTHOR, '11-14');
+  assert.ok(h.messages(AUTHOR.id).some(message => message.text === '✅ Quiet hours set to 11:00–14:00.'));
+
+  await publishConfession(h, AUTHOR, 'I eat lunch in the library stairwell');
+  await h.handler.runScheduledJobs();
+  assert.equal(approvalNotices(h).length, 0);
+
+  t.mock.timers.tick(2 * HOUR);
+  await h.handler.runScheduledJobs();
+  assert.equal(approvalNotices(h).length, 1);
+});
+
+test('the daily summary counts what was held back', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: NOON });
+  const h = await startHarness(t, { env: ENV, users: [ADMIN, AUTHOR] });
+
+  await h.callback(AUTHOR, 'notif_digest');
+  assert.equal(lastAnswer(h).text, '📬 One summary a day at 20:00');
+
+  await publishConfession(h, AUTHOR, 'I still do not know where building 7 is');
+  await h.handler.runScheduledJobs();
+  assert.equal(approvalNotices(h).length, 0);
+
+  t.mock.timers.tick(8 * HOUR + 60 * 1000);
+  await h.handler.runScheduledJobs();
+  const summary = h.lastMessage(AUTHOR.id).text;
+  assert.match(summary, /Your daily summary/);
+  assert.match(summary, /• 1 of your confessions posted/);
+  assert.equal(approvalNotices(h).length, 0);
+});
+
+test('preferences that were never stored use the same defaults everywhere', async (t) => {
+  const h = await startHarness(t, { env: ENV, users: [ADMIN, AUTHOR, READER] });
+  const { db, repos } = h.storage;
+
+  // Profiles from before notification preferences have none stored
+  const { notifications, ...legacy } = await repos.users.get(READER.id);
+  assert.ok(notifications);
+  await repos.users.create(READER.id, legacy);
+
+  await h.message(READER, '⚙️ Settings');
+  const settings = JSON.stringify(h.lastMessage(READER.id).reply_markup);
+  assert.match(settings, /✅ Comments & replies/);
+  assert.match(settings, /❌ Posts by people you follow/);
+
+  await h.callback(READER, `follow_${AUTHOR.id}`);
+  await h.message(READER, '/feed');
+  assert.match(h.lastMessage(READER.id).text, /New post alerts: off/);
+
+  await publishConfession(h, AUTHOR, 'I have a nap spot behind the chemistry building');
+  assert.equal((await db.collection('notification_outbox').count().get()).data().count, 0);
+
+  await h.callback(READER, 'notif_toggle_followedPosts');
+  assert.equal(lastAnswer(h).text, 'Posts by people you follow: on');
+  await h.message(READER, '/feed');
+  assert.match(h.lastMessage(READER.id).text, /New post alerts: on/);
+});
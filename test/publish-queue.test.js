@@ -0,0 +1,55 @@
+// The publish queue between approval and the channel
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { apiError } = require('../lib/harness');
+const {
+  ADMIN, CHANNEL_ID, AUTHOR, SECOND_AUTHOR,
+  startHarness, submitConfession, approveConfession, publishConfession, lastAnswer
+} = require('./helpers');
+
+test('a failed channel post goes back to the queue and keeps its number', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR] });
+  const { repos } = h.storage;
+
+  h.stub('sendMessage', (payload) => {
+    if (String(payload.chat_id) === CHANNEL_ID) throw apiError(502, 'Bad Gateway');
+  });
+
+  const confessionId = await submitConfession(h, AUTHOR, 'The cafeteria coffee is better than it looks');
+  let confession = await approveConfession(h, confessionId);
+  assert.equal(confession.status, 'scheduled');
+  assert.equal(confession.confessionNumber, 1);
+  assert.equal(confession.publishAttempts, 1);
+  assert.ok(!h.messages(AUTHOR.id).some(message => /was approved/.test(message.text)));
+
+  // Still backing off
+  h.unstub('sendMessage');
+  await h.handler.runScheduledJobs();
+  assert.equal((await repos.confessions.get(confessionId)).status, 'scheduled');
+
+  await repos.publishing.saveSettings({ retryAt: new Date(Date.now() - 1000).toISOString() });
+  await h.handler.runScheduledJobs();
+
+  confession = await repos.confessions.get(confessionId);
+  assert.equal(confession.status, 'approved');
+  assert.equal(confession.confessionNumber, 1);
+  assert.equal((await repos.counters.get()).confessionNumber, 1);
+  assert.equal(h.lastMessage(CHANNEL_ID).text, '#1\n\nThe cafeteria coffee is better than it looks');
+  assert.ok(h.messages(AUTHOR.id).some(message => /Confession #1 was approved/.test(message.text)));
+});
+
+test('approvals are spaced by the posting interval', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, SECOND_AUTHOR] });
+  const { repos } = h.storage;
+
+  const first = await publishConfession(h, AUTHOR, 'First post of the morning, nobody is awake yet');
+
+  const second = await submitConfession(h, SECOND_AUTHOR, 'Second post, queued behind the first one');
+  await h.callback(ADMIN, `approve_${second}`, { chatId: ADMIN.id });
+  assert.equal((await repos.confessions.get(second)).status, 'scheduled');
+  assert.match(lastAnswer(h).text, /Queued at position 1/);
+
+  await repos.publishing.saveSettings({ lastPublishedAt: new Date(Date.now() - 60 * 60 * 1000).toISOString() });
+  await h.handler.runScheduledJobs();
+  assert.equal((await repos.confessions.get(second)).confessionNumber, 2);
+});
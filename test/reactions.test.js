@@ -0,0 +1,50 @@
+// Reactions on confessions and the trending list they feed
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ADMIN, CHANNEL_ID, AUTHOR, SECOND_AUTHOR, READER, OTHER_READER,
+  startHarness, buttons, publishConfession, lastAnswer
+} = require('./helpers');
+
+async function react(h, user, confessionId, reaction) {
+  const post = h.lastMessage(CHANNEL_ID);
+  await h.callback(user, `creact_${confessionId}_${reaction}`, { chatId: CHANNEL_ID, messageId: post.message_id });
+}
+
+test('each user has one reaction per confession, which they can change or take back', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER] });
+  const { repos } = h.storage;
+
+  const confessionId = await publishConfession(h, AUTHOR, 'I sleep through every 8am');
+
+  await react(h, READER, confessionId, 'love');
+  assert.equal(lastAnswer(h).text, '❤️ Reacted');
+  assert.ok(buttons(h.lastMessage(CHANNEL_ID)).some(button => button.text === '❤️ 1'));
+
+  await react(h, READER, confessionId, 'laugh');
+  let confession = await repos.confessions.get(confessionId);
+  assert.deepEqual(confession.reactions, { love: 0, laugh: 1 });
+  assert.equal(confession.totalReactions, 1);
+
+  await react(h, READER, confessionId, 'laugh');
+  assert.equal(lastAnswer(h).text, 'Reaction removed');
+  confession = await repos.confessions.get(confessionId);
+  assert.equal(confession.totalReactions, 0);
+  assert.equal(confession.engagementScore, 0);
+});
+
+test('the confession with more engagement trends higher', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, SECOND_AUTHOR, READER, OTHER_READER] });
+
+  const quiet = await publishConfession(h, AUTHOR, 'I like the campus pigeons');
+  await react(h, READER, quiet, 'love');
+
+  const popular = await publishConfession(h, SECOND_AUTHOR, 'I have never once used the gym I pay for');
+  await react(h, READER, popular, 'laugh');
+  await react(h, OTHER_READER, popular, 'laugh');
+
+  await h.message(READER, '🔥 Trending');
+  const text = h.lastMessage(READER.id).text;
+  assert.match(text, /1\. #2\n[^\n]*gym[^\n]*\n\s+😂 2/);
+  assert.match(text, /2\. #1\n[^\n]*pigeons/);
+});
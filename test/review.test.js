@@ -0,0 +1,43 @@
+// Several admins reviewing the same confession
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, CHANNEL_ID, AUTHOR, startHarness, submitConfession, lastAnswer } = require('./helpers');
+
+const SECOND_ADMIN = { id: 1001, first_name: 'Second', username: 'second' };
+const ENV = { ADMIN_IDS: '1000,1001' };
+
+test('two admins approving at once post the confession once', async (t) => {
+  const h = await startHarness(t, { env: ENV, users: [ADMIN, SECOND_ADMIN, AUTHOR] });
+
+  const confessionId = await submitConfession(h, AUTHOR, 'I have never once finished the assigned reading');
+  await Promise.all([
+    h.callback(ADMIN, `approve_${confessionId}`, { chatId: ADMIN.id }),
+    h.callback(SECOND_ADMIN, `approve_${confessionId}`, { chatId: SECOND_ADMIN.id })
+  ]);
+
+  assert.equal(h.callsTo('sendMessage', CHANNEL_ID).length, 1);
+  assert.equal((await h.storage.repos.counters.get()).confessionNumber, 1);
+
+  // Both copies of the review message say who acted
+  for (const admin of [ADMIN, SECOND_ADMIN]) {
+    const review = h.messages(admin.id).find(message => message.text?.includes('never once finished'));
+    assert.match(review.text, /Approved\* by @(admin|second)/);
+    assert.match(review.text, /Posted as #1/);
+  }
+});
+
+test('a confession claimed for rejection is locked for the other admins', async (t) => {
+  const h = await startHarness(t, { env: ENV, users: [ADMIN, SECOND_ADMIN, AUTHOR] });
+
+  const confessionId = await submitConfession(h, AUTHOR, 'I have never once finished the assigned reading');
+  await h.callback(ADMIN, `reject_${confessionId}`, { chatId: ADMIN.id });
+
+  await h.callback(SECOND_ADMIN, `approve_${confessionId}`, { chatId: SECOND_ADMIN.id });
+  assert.equal(lastAnswer(h).text, '🔒 Claimed by @admin');
+  assert.equal((await h.storage.repos.confessions.get(confessionId)).status, 'pending');
+
+  // Cancelling the reason hands it back
+  await h.message(ADMIN, '/cancel');
+  await h.callback(SECOND_ADMIN, `approve_${confessionId}`, { chatId: SECOND_ADMIN.id });
+  assert.equal((await h.storage.repos.confessions.get(confessionId)).status, 'approved');
+});
@@ -0,0 +1,41 @@
+// Staff roles granted with /grant and the permissions they carry
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, AUTHOR, startHarness, callbackData, submitConfession, lastAnswer } = require('./helpers');
+
+const MODERATOR = { id: 2000, first_name: 'Mod', username: 'mod' };
+
+test('a moderator can review confessions but not broadcast or manage roles', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, MODERATOR, AUTHOR] });
+
+  await h.message(ADMIN, `/grant ${MODERATOR.id} moderator`);
+  assert.match(h.lastMessage(ADMIN.id).text, /is now 🔨 Moderator/);
+  assert.match(h.lastMessage(MODERATOR.id).text, /given the 🔨 Moderator role/);
+
+  // New confessions reach the moderator for review
+  await submitConfession(h, AUTHOR, 'Nobody reads the syllabus and that is fine');
+  assert.ok(h.messages(MODERATOR.id).some(message =>
+    callbackData(message).some(data => data.startsWith('approve_'))
+  ));
+
+  await h.callback(MODERATOR, 'broadcast_message', { chatId: MODERATOR.id });
+  assert.match(lastAnswer(h).text, /Access denied/);
+
+  await h.message(MODERATOR, `/grant ${AUTHOR.id} admin`);
+  assert.match(h.lastMessage(MODERATOR.id).text, /Access denied/);
+  assert.equal(await h.storage.repos.roles.get(AUTHOR.id), null);
+});
+
+test('revoking a role removes its permissions', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, MODERATOR] });
+
+  await h.message(ADMIN, `/grant ${MODERATOR.id} support`);
+  await h.message(ADMIN, '/roles');
+  assert.match(h.lastMessage(ADMIN.id).text, /💬 Support[\s\S]*• 2000/);
+
+  await h.message(ADMIN, `/revoke ${MODERATOR.id}`);
+  assert.match(h.lastMessage(ADMIN.id).text, /Removed the 💬 Support role/);
+
+  await h.message(MODERATOR, '/admin');
+  assert.match(h.lastMessage(MODERATOR.id).text, /Access denied/);
+});
@@ -0,0 +1,48 @@
+// Warnings, mutes, bans and the middleware that enforces them
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, startHarness } = require('./helpers');
+
+const MEMBER = { id: 60 };
+
+async function warn(h, userId, reason) {
+  await h.callback(ADMIN, `warn_user_${userId}`);
+  await h.message(ADMIN, reason);
+}
+
+test('three warnings ban automatically and the audit log shows the expiry', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, MEMBER] });
+
+  for (const reason of ['spam 1', 'spam 2', 'spam 3']) await warn(h, MEMBER.id, reason);
+
+  const profile = await h.storage.repos.users.get(MEMBER.id);
+  assert.equal(profile.strikeCount, 3);
+  assert.ok(Date.parse(profile.restrictions.ban.until) > Date.now());
+
+  await h.message(MEMBER, '/checkin');
+  assert.match(h.lastMessage(MEMBER.id).text, /banned/);
+
+  await h.callback(ADMIN, 'auditlog_page_0');
+  const log = h.lastMessage(ADMIN.id).text;
+  assert.match(log, /ban\\_user/);
+  assert.match(log, /restrictions\.ban\.until: \d{4}-/);
+  assert.doesNotMatch(log, /\[object Object\]/);
+});
+
+test('banned users get no broadcasts or notifications', async (t) => {
+  const follower = { id: 61 };
+  const h = await startHarness(t, { users: [ADMIN, MEMBER, follower] });
+
+  await h.callback(ADMIN, `sanction_ban_all_0_${MEMBER.id}`);
+  await h.message(ADMIN, 'abuse');
+  const before = h.calls.length;
+
+  await h.callback(follower, `follow_${MEMBER.id}`);
+  const job = await h.storage.repos.broadcasts.create({ text: 'Campus news', createdBy: ADMIN.id, reportChatId: ADMIN.id });
+  await h.storage.repos.broadcasts.update(job.broadcastId, { status: 'running' });
+  await h.handler.runScheduledJobs();
+
+  assert.deepEqual(h.calls.slice(before).filter(call => String(call.payload.chat_id) === String(MEMBER.id)), []);
+  assert.ok(h.callsTo('sendMessage', follower.id).some(call => call.payload.text.includes('Campus news')));
+  assert.equal((await h.storage.repos.broadcasts.get(job.broadcastId)).counts.sent, 2);
+});
@@ -0,0 +1,42 @@
+// Multi-step flows as scenes: cancel, timeouts and switching flows
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ADMIN, AUTHOR, READER, startHarness, publishConfession } = require('./helpers');
+
+test('/cancel leaves the flow so the next message is not a confession', async (t) => {
+  const h = await startHarness(t, { users: [AUTHOR] });
+  await h.message(AUTHOR, '📝 Send Confession');
+
+  await h.message(AUTHOR, '/cancel');
+  assert.match(h.lastMessage(AUTHOR.id).text, /Cancelled/);
+
+  await h.message(AUTHOR, 'Just saying hello to the bot');
+  assert.doesNotMatch(h.lastMessage(AUTHOR.id).text, /Confession Preview/);
+  assert.equal((await h.storage.db.collection('drafts').count().get()).data().count, 0);
+});
+
+test('an abandoned flow times out instead of catching the next message', async (t) => {
+  const h = await startHarness(t, { users: [AUTHOR] });
+  await h.message(AUTHOR, '📝 Send Confession');
+
+  const ref = h.storage.db.collection('sessions').doc(`${AUTHOR.id}:${AUTHOR.id}`);
+  const { session } = (await ref.get()).data();
+  await ref.update({ 'session.__scenes': { ...session.__scenes, expires: Math.floor(Date.now() / 1000) - 1 } });
+
+  await h.message(AUTHOR, 'Written an hour later');
+  assert.match(h.lastMessage(AUTHOR.id).text, /timed out/);
+});
+
+test('starting another flow from the menu replaces the current one', async (t) => {
+  const h = await startHarness(t, { users: [ADMIN, AUTHOR, READER] });
+
+  const confessionId = await publishConfession(h, AUTHOR, 'The library wifi only works near the stairs');
+
+  await h.message(READER, `/start comments_${confessionId}`);
+  await h.callback(READER, `add_comment_${confessionId}`);
+  await h.message(READER, '📝 Send Confession');
+  await h.message(READER, 'This was meant to be a confession, not a comment');
+
+  assert.match(h.lastMessage(READER.id).text, /Confession Preview/);
+  assert.equal((await h.storage.repos.confessions.get(confessionId)).totalComments, 0);
+});
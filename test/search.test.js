@@ -0,0 +1,63 @@
+// Searching approved confessions by number, hashtag and keywords
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ADMIN, AUTHOR, SECOND_AUTHOR, THIRD_AUTHOR, READER,
+  startHarness, submitConfession, submitTagged, approveConfession, publishConfession
+} = require('./helpers');
+
+const AUTHORS = [AUTHOR, SECOND_AUTHOR, THIRD_AUTHOR];
+const PENDING_AUTHOR = { id: 47 };
+
+// Three posts: #1 and #2 share a hashtag, #2 and #3 a keyword. A fourth
+// confession is left pending and must never show up
+async function publishFixtures(h) {
+  for (const user of [ADMIN, READER, ...AUTHORS, PENDING_AUTHOR]) await h.message(user, '/start');
+
+  await approveConfession(h, await submitTagged(h, AUTHORS[0], 'Finals week and I have not opened a single book', 'exam'));
+  await approveConfession(h, await submitTagged(h, AUTHORS[1], 'The library closes too early during finals', '#Exam, library'));
+  await publishConfession(h, AUTHORS[2], 'Someone in the library hums every afternoon');
+  await submitConfession(h, PENDING_AUTHOR, 'Pending: the library vending machine ate my coins');
+}
+
+function resultNumbers(text) {
+  return [...text.matchAll(/^\*#(\d+)\*/gm)].map(match => Number(match[1]));
+}
+
+test('/search finds posts by hashtag, keywords and number', async (t) => {
+  const h = await startHarness(t);
+  await publishFixtures(h);
+
+  await h.message(READER, '/search #exam');
+  assert.deepEqual(resultNumbers(h.lastMessage(READER.id).text), [2, 1]);
+
+  await h.message(READER, '/search library');
+  assert.deepEqual(resultNumbers(h.lastMessage(READER.id).text), [3, 2]);
+
+  // Every term has to match
+  await h.message(READER, '/search #exam library');
+  assert.deepEqual(resultNumbers(h.lastMessage(READER.id).text), [2]);
+
+  await h.message(READER, '/search #3');
+  assert.deepEqual(resultNumbers(h.lastMessage(READER.id).text), [3]);
+
+  await h.message(READER, '/search vending');
+  assert.match(h.lastMessage(READER.id).text, /No confessions found/);
+});
+
+test('a bare /search asks for the query and inline mode answers too', async (t) => {
+  const h = await startHarness(t);
+  await publishFixtures(h);
+
+  await h.message(READER, '/search');
+  assert.match(h.lastMessage(READER.id).text, /Search Confessions/);
+  await h.message(READER, 'afternoon');
+  assert.deepEqual(resultNumbers(h.lastMessage(READER.id).text), [3]);
+
+  await h.send({
+    update_id: 9000,
+    inline_query: { id: 'iq1', from: { id: READER.id, is_bot: false, first_name: 'Reader' }, query: '#exam', offset: '' }
+  });
+  const answer = h.callsTo('answerInlineQuery').slice(-1)[0].payload;
+  assert.deepEqual(answer.results.map(result => result.title), ['Confession #2', 'Confession #1']);
+});
@@ -0,0 +1,34 @@
+// Sessions live in the sessions collection, not in process memory
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AUTHOR, startHarness } = require('./helpers');
+
+async function sessionDoc(h, user) {
+  const doc = await h.storage.db.collection('sessions').doc(`${user.id}:${user.id}`).get();
+  return doc.exists ? doc.data() : null;
+}
+
+test('a flow started in one update continues from the stored session', async (t) => {
+  const h = await startHarness(t, { users: [AUTHOR] });
+  await h.message(AUTHOR, '📝 Send Confession');
+
+  const stored = await sessionDoc(h, AUTHOR);
+  assert.equal(stored.session.__scenes.current, 'confession');
+  assert.ok(stored.expiresAt.getTime() > Date.now());
+
+  await h.message(AUTHOR, 'My roommate still thinks I like her cooking');
+  assert.match(h.lastMessage(AUTHOR.id).text, /Confession Preview/);
+});
+
+test('an expired session is dropped instead of resuming the flow', async (t) => {
+  const h = await startHarness(t, { users: [AUTHOR] });
+  await h.message(AUTHOR, '📝 Send Confession');
+
+  await h.storage.db.collection('sessions').doc(`${AUTHOR.id}:${AUTHOR.id}`).update({
+    expiresAt: new Date(Date.now() - 1000)
+  });
+
+  await h.message(AUTHOR, 'My roommate still thinks I like her cooking');
+  assert.doesNotMatch(h.lastMessage(AUTHOR.id).text, /Confession Preview/);
+  assert.equal((await sessionDoc(h, AUTHOR))?.session.__scenes?.current, undefined);
+});
@@ -0,0 +1,76 @@
+// Memory backend checks for the repositories the handlers build on
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage } = require('../lib/storage');
+
+function memoryRepos() {
+  return createStorage('memory').repos;
+}
+
+test('confession numbers stay unique when assigned concurrently', async () => {
+  const repos = memoryRepos();
+
+  const numbers = await Promise.all(
+    Array.from({ length: 20 }, () => repos.counters.nextConfessionNumber())
+  );
+
+  assert.deepEqual([...numbers].sort((a, b) => a - b), Array.from({ length: 20 }, (_, i) => i + 1));
+  assert.equal((await repos.counters.get()).confessionNumber, 20);
+});
+
+test('confession numbers continue from an existing counter', async () => {
+  const repos = memoryRepos();
+  await repos.counters.set({ confessionNumber: 41 });
+
+  assert.equal(await repos.counters.nextConfessionNumber(), 42);
+  assert.equal(await repos.counters.nextConfessionNumber(), 43);
+});
+
+test('follow and unfollow update both users', async () => {
+  const repos = memoryRepos();
+  await repos.users.create(1, { userId: 1, followers: [], following: [] });
+  await repos.users.create(2, { userId: 2, followers: [], following: [] });
+
+  await repos.users.follow(1, 2);
+  await repos.users.follow(1, 2);
+  assert.deepEqual((await repos.users.get(1)).following, [2]);
+  assert.deepEqual((await repos.users.get(2)).followers, [1]);
+
+  await repos.users.unfollow(1, 2);
+  assert.deepEqual((await repos.users.get(1)).following, []);
+  assert.deepEqual((await repos.users.get(2)).followers, []);
+});
+
+test('a failed batch writes nothing', async () => {
+  const { db } = createStorage('memory');
+  const batch = db.batch();
+  batch.set(db.collection('users').doc('1'), { userId: 1 });
+  batch.update(db.collection('users').doc('missing'), { userId: 2 });
+
+  await assert.rejects(batch.commit(), /NOT_FOUND/);
+  assert.equal((await db.collection('users').doc('1').get()).exists, false);
+});
+
+test('batches over the Firestore write limit are rejected', async () => {
+  const { db } = createStorage('memory');
+  const batch = db.batch();
+  for (let i = 0; i < 501; i++) batch.set(db.collection('users').doc(`${i}`), { userId: i });
+
+  await assert.rejects(batch.commit(), /maximum 500 writes/);
+  assert.equal((await db.collection('users').count().get()).data().count, 0);
+});
+
+test('composite queries need a declared index', async () => {
+  const { db } = createStorage('memory');
+  const users = db.collection('users');
+  const confessions = db.collection('confessions');
+
+  await assert.rejects(
+    users.where('isActive', '==', true).orderBy('joinedAt', 'desc').get(),
+    /FAILED_PRECONDITION.*users \(COLLECTION\): isActive ASCENDING, joinedAt DESCENDING/
+  );
+  await confessions.where('userId', '==', 1).orderBy('createdAt', 'desc').get();
+  await confessions.where('userId', '==', 1).orderBy('createdAt', 'asc').get();
+  await users.where('isActive', '==', true).where('username', '==', 'a').get();
+  await users.orderBy('joinedAt', 'desc').get();
+});